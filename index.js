@@ -2,11 +2,23 @@ import express from "express";
 import { fileURLToPath } from "node:url";
 import path from "node:path";
 
+import { categoriesController } from "./lib/controllers/categories.js";
 import { dashboardController } from "./lib/controllers/dashboard.js";
+import { eventsController } from "./lib/controllers/events.js";
 import { feedsController } from "./lib/controllers/feeds.js";
+import { imagesController } from "./lib/controllers/images.js";
 import { itemsController } from "./lib/controllers/items.js";
+import { microsubController } from "./lib/controllers/microsub.js";
+import { opmlController } from "./lib/controllers/opml.js";
+import { queueController } from "./lib/controllers/queue.js";
+import { rulesController } from "./lib/controllers/rules.js";
 import { statusController } from "./lib/controllers/status.js";
+import { syncRunsController } from "./lib/controllers/sync-runs.js";
+import { timelineController } from "./lib/controllers/timeline.js";
+import { webhooksController } from "./lib/controllers/webhooks.js";
+import { websubController } from "./lib/controllers/websub.js";
 import { startSync } from "./lib/sync.js";
+import { DEFAULT_EMBED_HOSTS } from "./lib/utils.js";
 import { waitForReady } from "@rmdes/indiekit-startup-gate";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -17,10 +29,27 @@ const publicRouter = express.Router();
 const defaults = {
   mountPath: "/rssapi",
   syncInterval: 900_000, // 15 minutes
+  maxPollInterval: 86_400_000, // 24 hours
   maxItemsPerFeed: 50,
   fetchTimeout: 10_000,
   maxConcurrentFetches: 3,
+  syncLockTtl: 60_000, // 1 minute
+  autoDisableAfterDays: 7,
   retentionDays: 30,
+  keepRevisions: 0,
+  sanitizeProfile: "text", // text, rich or embeds
+  embedHosts: DEFAULT_EMBED_HOSTS, // iframe hosts kept by the embeds profile
+  proxyImages: false,
+  imageProxySecret: null, // Generated and stored in MongoDB when not set
+  imageProxyMaxBytes: 10_485_760, // 10 MB
+  imageProxyAllowPrivateHosts: false, // Fetch images from loopback/private addresses
+  imageCacheDays: 30,
+  webhookMaxAttempts: 6,
+  websub: true,
+  websubLeaseSeconds: 864_000, // 10 days
+  publicUrl: null, // Defaults to the Indiekit application URL
+  timelineTitle: "RSS timeline",
+  timelineDescription: "",
 };
 
 export default class RssEndpoint {
@@ -69,7 +98,65 @@ export default class RssEndpoint {
     // Feed management (protected - requires auth)
     protectedRouter.post("/api/feeds", express.json(), feedsController.add);
     protectedRouter.delete("/api/feeds/:id", feedsController.remove);
-    protectedRouter.patch("/api/feeds/:id", express.json(), feedsController.toggle);
+    protectedRouter.patch("/api/feeds/:id", express.json(), feedsController.update);
+
+    // Item read/starred state and playback progress (protected)
+    protectedRouter.post(
+      "/api/items/mark-read",
+      express.json(),
+      itemsController.markRead,
+    );
+    protectedRouter.patch("/api/items/:id", express.json(), itemsController.update);
+
+    // Podcast "up next" queue (protected)
+    protectedRouter.post("/api/queue", express.json(), queueController.add);
+    protectedRouter.put("/api/queue", express.json(), queueController.reorder);
+    protectedRouter.delete("/api/queue/:itemId", queueController.remove);
+
+    // OPML import (protected)
+    protectedRouter.post(
+      "/api/opml",
+      express.text({
+        type: ["text/x-opml", "text/xml", "application/xml", "text/plain"],
+        limit: "5mb",
+      }),
+      opmlController.import,
+    );
+
+    // Filter rules (protected)
+    protectedRouter.get("/api/rules", rulesController.list);
+    protectedRouter.post("/api/rules", express.json(), rulesController.add);
+    protectedRouter.post(
+      "/api/rules/preview",
+      express.json(),
+      rulesController.preview,
+    );
+    protectedRouter.patch("/api/rules/:id", express.json(), rulesController.update);
+    protectedRouter.delete("/api/rules/:id", rulesController.remove);
+
+    // Webhooks (protected - targets include their signing secrets)
+    protectedRouter.get("/api/webhooks", webhooksController.list);
+    protectedRouter.post("/api/webhooks", express.json(), webhooksController.add);
+    protectedRouter.patch(
+      "/api/webhooks/:id",
+      express.json(),
+      webhooksController.update,
+    );
+    protectedRouter.delete("/api/webhooks/:id", webhooksController.remove);
+    protectedRouter.post("/api/webhooks/:id/test", webhooksController.test);
+    protectedRouter.get(
+      "/api/webhooks/:id/deliveries",
+      webhooksController.deliveries,
+    );
+
+    // Microsub server for IndieWeb readers (protected - Indiekit tokens)
+    protectedRouter.get("/microsub", microsubController.handle);
+    protectedRouter.post(
+      "/microsub",
+      express.urlencoded({ extended: true }),
+      express.json(),
+      microsubController.handle,
+    );
 
     // Manual refresh (protected)
     protectedRouter.post("/api/refresh", statusController.refresh);
@@ -85,13 +172,45 @@ export default class RssEndpoint {
     // Feeds API (read-only)
     publicRouter.get("/api/feeds", feedsController.list);
 
+    // Categories API (read-only)
+    publicRouter.get("/api/categories", categoriesController.list);
+
+    // OPML export (read-only)
+    publicRouter.get("/api/opml", opmlController.export);
+
     // Items API (read-only)
     publicRouter.get("/api/items", itemsController.list);
     publicRouter.get("/api/items/:id", itemsController.get);
 
+    // Podcast queue (read-only)
+    publicRouter.get("/api/queue", queueController.list);
+
     // Status API (read-only)
     publicRouter.get("/api/status", statusController.status);
 
+    // Sync run history (read-only)
+    publicRouter.get("/api/sync-runs", syncRunsController.list);
+    publicRouter.get("/api/sync-runs/:id", syncRunsController.get);
+
+    // Live new items and sync progress (Server-Sent Events)
+    publicRouter.get("/api/events", eventsController.stream);
+
+    // Aggregated timeline feeds (read-only)
+    publicRouter.get("/feed.xml", timelineController.rss);
+    publicRouter.get("/atom.xml", timelineController.atom);
+    publicRouter.get("/feed.json", timelineController.json);
+
+    // Image proxy: signed URLs to resized, cached thumbnails
+    publicRouter.get("/image", imagesController.get);
+
+    // WebSub callbacks: hub verification and pushed content
+    publicRouter.get("/websub/:id", websubController.verify);
+    publicRouter.post(
+      "/websub/:id",
+      express.raw({ type: "*/*", limit: "5mb" }),
+      websubController.receive,
+    );
+
     return publicRouter;
   }
 
@@ -101,6 +220,16 @@ export default class RssEndpoint {
     // Add MongoDB collections
     Indiekit.addCollection("rssFeeds");
     Indiekit.addCollection("rssItems");
+    Indiekit.addCollection("rssActivity");
+    Indiekit.addCollection("rssSyncRuns");
+    Indiekit.addCollection("rssLocks");
+    Indiekit.addCollection("rssRules");
+    Indiekit.addCollection("rssWebhooks");
+    Indiekit.addCollection("rssWebhookDeliveries");
+    Indiekit.addCollection("rssSettings");
+
+    // WebSub hubs need a public callback URL
+    this.options.publicUrl ||= Indiekit.config.application.url || null;
 
     // Store config in application for controller access
     Indiekit.config.application.rssConfig = this.options;
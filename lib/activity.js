@@ -0,0 +1,46 @@
+const ACTIVITY_TTL = 30 * 86_400; // 30 days, in seconds
+
+/**
+ * Create indexes for the activity log
+ * Events expire on their own after 30 days
+ * @param {Collection} activityCollection - Activity collection
+ */
+export async function createActivityIndexes(activityCollection) {
+  await activityCollection.createIndex(
+    { at: 1 },
+    { expireAfterSeconds: ACTIVITY_TTL },
+  );
+}
+
+/**
+ * Record something that happened to a feed
+ * @param {Collection} activityCollection - Activity collection
+ * @param {Object} event - Event
+ * @param {string} event.type - moved, merged or disabled
+ * @param {Object} event.feed - Feed document the event is about
+ * @param {Object} [event.details] - Type-specific details, e.g. from/to URLs
+ */
+export async function logActivity(activityCollection, { type, feed, details }) {
+  try {
+    await activityCollection.insertOne({
+      type,
+      feedId: feed._id,
+      feedTitle: feed.title,
+      ...details,
+      at: new Date(),
+    });
+  } catch (error) {
+    // Losing an activity entry must not fail a sync
+    console.error("[RSS] Error logging activity:", error.message);
+  }
+}
+
+/**
+ * Get the most recent activity, newest first
+ * @param {Collection} activityCollection - Activity collection
+ * @param {number} [limit] - Maximum number of events
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getRecentActivity(activityCollection, limit = 10) {
+  return activityCollection.find({}).sort({ at: -1 }).limit(limit).toArray();
+}
@@ -0,0 +1,90 @@
+const MAX_CATEGORY_LENGTH = 100;
+
+/**
+ * Normalize categories from a request body
+ * @param {Array<string>|string} value - Array of names or comma-separated string
+ * @returns {Array<string>|null} Unique trimmed names, or null if value is invalid
+ */
+export function normalizeCategories(value) {
+  let names;
+  if (Array.isArray(value)) {
+    names = value;
+  } else if (typeof value === "string") {
+    names = value.split(",");
+  } else {
+    return null;
+  }
+
+  if (names.some((name) => typeof name !== "string")) {
+    return null;
+  }
+
+  return [
+    ...new Set(
+      names
+        .map((name) => name.trim().slice(0, MAX_CATEGORY_LENGTH))
+        .filter(Boolean),
+    ),
+  ];
+}
+
+/**
+ * Get IDs of feeds in a category
+ * @param {Collection} feedsCollection - Feeds collection
+ * @param {string} category - Category name
+ * @returns {Promise<Array<ObjectId>>}
+ */
+export async function getCategoryFeedIds(feedsCollection, category) {
+  const feeds = await feedsCollection
+    .find({ categories: category }, { projection: { _id: 1 } })
+    .toArray();
+  return feeds.map((feed) => feed._id);
+}
+
+/**
+ * Restrict an items query to feeds in a category
+ * Keeps an existing feedId filter, so both must match
+ * @param {Object} query - Items query (modified in place)
+ * @param {Collection} feedsCollection - Feeds collection
+ * @param {string} category - Category name
+ * @returns {Promise<Object>} The query
+ */
+export async function filterByCategory(query, feedsCollection, category) {
+  const feedIds = await getCategoryFeedIds(feedsCollection, category);
+  query.feedId = query.feedId
+    ? { $in: feedIds.filter((id) => id.equals(query.feedId)) }
+    : { $in: feedIds };
+  return query;
+}
+
+/**
+ * Group formatted feeds by category, uncategorized feeds last
+ * A feed with several categories appears in each of its groups
+ * @param {Array<Object>} feeds - Formatted feeds
+ * @returns {Array<{name: string|null, feeds: Array<Object>}>}
+ */
+export function groupFeedsByCategory(feeds) {
+  const groups = new Map();
+  const uncategorized = [];
+
+  for (const feed of feeds) {
+    if (!feed.categories?.length) {
+      uncategorized.push(feed);
+      continue;
+    }
+    for (const category of feed.categories) {
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(feed);
+    }
+  }
+
+  const grouped = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, categoryFeeds]) => ({ name, feeds: categoryFeeds }));
+
+  if (uncategorized.length > 0) {
+    grouped.push({ name: null, feeds: uncategorized });
+  }
+
+  return grouped;
+}
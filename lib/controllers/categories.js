@@ -0,0 +1,57 @@
+import { getUnreadCounts } from "../item-state.js";
+
+export const categoriesController = {
+  /**
+   * List categories with feed and item counts
+   * GET /api/categories
+   */
+  async list(request, response) {
+    try {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const feedsCollection = db.collection("rssFeeds");
+      const itemsCollection = db.collection("rssItems");
+
+      const [feeds, unreadCounts] = await Promise.all([
+        feedsCollection
+          .find(
+            { "categories.0": { $exists: true } },
+            { projection: { categories: 1, itemCount: 1 } },
+          )
+          .toArray(),
+        getUnreadCounts(itemsCollection),
+      ]);
+
+      const categories = new Map();
+      for (const feed of feeds) {
+        for (const name of feed.categories) {
+          const category = categories.get(name) || {
+            name,
+            feedCount: 0,
+            itemCount: 0,
+            unreadCount: 0,
+          };
+          category.feedCount++;
+          category.itemCount += feed.itemCount || 0;
+          category.unreadCount += unreadCounts.get(feed._id.toString()) || 0;
+          categories.set(name, category);
+        }
+      }
+
+      const sorted = [...categories.values()].sort((a, b) =>
+        a.name.localeCompare(b.name),
+      );
+
+      response.json({
+        categories: sorted,
+        total: sorted.length,
+      });
+    } catch (error) {
+      console.error("[RSS] Error listing categories:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
@@ -1,5 +1,24 @@
+import { getRecentActivity } from "../activity.js";
+import { groupFeedsByCategory } from "../categories.js";
+import { createImageProxy } from "../image-proxy.js";
+import {
+  getUnreadCounts,
+  VISIBLE_QUERY,
+  withUnreadCounts,
+} from "../item-state.js";
+import { RULE_ACTIONS, RULE_FIELDS, RULE_MATCH_TYPES } from "../rules.js";
+import { getSyncLock } from "../sync-lock.js";
 import { getSyncState, runSync } from "../sync.js";
-import { formatFeed, formatItem } from "../utils.js";
+import {
+  formatActivity,
+  formatDuration,
+  formatFeed,
+  formatItem,
+  formatRule,
+  formatSyncRun,
+  formatWebhook,
+  formatWebhookDelivery,
+} from "../utils.js";
 
 /**
  * Extract and clear flash messages from session
@@ -45,30 +64,110 @@ export const dashboardController = {
       const itemsCollection = db.collection("rssItems");
 
       // Get feeds and recent items
-      const [feeds, recentItems, totalItems] = await Promise.all([
-        feedsCollection.find({}).sort({ addedAt: -1 }).toArray(),
-        itemsCollection
-          .find({})
-          .sort({ pubDate: -1 })
-          .limit(10)
-          .toArray(),
-        itemsCollection.countDocuments({}),
-      ]);
+      const [
+        feeds,
+        recentItems,
+        totalItems,
+        unreadCounts,
+        activity,
+        syncRuns,
+        syncLock,
+        rules,
+        webhooks,
+        webhookDeliveries,
+      ] = await Promise.all([
+          feedsCollection.find({}).sort({ addedAt: -1 }).toArray(),
+          itemsCollection
+            .find({ duplicateOf: null, ...VISIBLE_QUERY })
+            .sort({ pubDate: -1 })
+            .limit(10)
+            .toArray(),
+          itemsCollection.countDocuments({}),
+          getUnreadCounts(itemsCollection),
+          getRecentActivity(db.collection("rssActivity")),
+          db
+            .collection("rssSyncRuns")
+            .find({}, { projection: { feeds: 0 } })
+            .sort({ startedAt: -1 })
+            .limit(10)
+            .toArray(),
+          getSyncLock(db.collection("rssLocks")),
+          db.collection("rssRules").find({}).sort({ createdAt: 1 }).toArray(),
+          db.collection("rssWebhooks").find({}).sort({ createdAt: 1 }).toArray(),
+          db
+            .collection("rssWebhookDeliveries")
+            .find({})
+            .sort({ createdAt: -1 })
+            .limit(10)
+            .toArray(),
+        ]);
 
       const syncState = getSyncState();
 
       // Extract flash messages for native Indiekit notification banner
       const flash = consumeFlashMessage(request);
 
+      // Admins' browsers don't hotlink third-party images either
+      const proxyImage = await createImageProxy(db, rssConfig);
+      const formattedFeeds = withUnreadCounts(feeds, unreadCounts).map(
+        (feed) => formatFeed(feed, { proxyImage }),
+      );
+
       response.render("rss", {
         title: response.__("rss.title"),
-        feeds: feeds.map(formatFeed),
-        recentItems: recentItems.map((item) => formatItem(item)),
+        feeds: formattedFeeds,
+        feedGroups: groupFeedsByCategory(formattedFeeds),
+        brokenFeeds: formattedFeeds.filter(
+          (feed) => feed.consecutiveFailures > 0 || feed.disabledReason,
+        ),
+        recentItems: recentItems.map((item) => {
+          const formatted = formatItem(item, { proxyImage });
+          return {
+            ...formatted,
+            // First audio enclosure, for the inline player
+            audio: formatted.enclosures.find((enclosure) =>
+              enclosure.type?.startsWith("audio/"),
+            ),
+            duration: formatDuration(formatted.podcast?.duration),
+          };
+        }),
+        rules: rules.map((rule) => ({
+          ...formatRule(rule),
+          feedTitle: rule.feedId
+            ? feeds.find((feed) => feed._id.equals(rule.feedId))?.title
+            : null,
+        })),
+        ruleOptions: {
+          fields: RULE_FIELDS,
+          matchTypes: RULE_MATCH_TYPES,
+          actions: RULE_ACTIONS,
+        },
+        webhooks: webhooks.map((webhook) => ({
+          ...formatWebhook(webhook),
+          feedTitle: webhook.feedId
+            ? feeds.find((feed) => feed._id.equals(webhook.feedId))?.title
+            : null,
+        })),
+        webhookDeliveries: webhookDeliveries.map((delivery) => {
+          const webhook = webhooks.find((webhook) =>
+            webhook._id.equals(delivery.webhookId),
+          );
+          return {
+            ...formatWebhookDelivery(delivery),
+            webhookName: webhook?.name || webhook?.url,
+          };
+        }),
+        recentActivity: activity.map(formatActivity),
+        syncRuns: syncRuns.map((run) => formatSyncRun(run)),
         totalFeeds: feeds.length,
         totalItems,
         syncState: {
-          syncing: syncState.syncing,
-          lastSync: syncState.lastSync,
+          // Another instance may be the one syncing
+          syncing: syncState.syncing || Boolean(syncLock),
+          // After a restart, fall back to the stored history
+          lastSync:
+            syncState.lastSync ||
+            syncRuns.find((run) => run.finishedAt)?.finishedAt.toISOString(),
           lastError: syncState.lastError,
         },
         mountPath: request.baseUrl,
@@ -101,20 +200,15 @@ export const dashboardController = {
         });
       }
 
-      // Drop all items
-      const itemsCollection = db.collection("rssItems");
-      const deleteResult = await itemsCollection.deleteMany({});
-      console.log(`[RSS] Cleared ${deleteResult.deletedCount} items`);
-
-      // Reset feed item counts
-      const feedsCollection = db.collection("rssFeeds");
-      await feedsCollection.updateMany({}, { $set: { itemCount: 0 } });
-
-      // Trigger sync
-      const result = await runSync(db, rssConfig);
+      // Drop all items except starred and queued ones and re-sync, holding the sync lock
+      const result = await runSync(db, rssConfig, {
+        force: true,
+        trigger: "clear-resync",
+        clearItems: true,
+      });
 
       if (result.error) {
-        return response.status(500).json({
+        return response.status("lockedBy" in result ? 409 : 500).json({
           success: false,
           error: result.error,
         });
@@ -123,9 +217,10 @@ export const dashboardController = {
       response.json({
         success: true,
         message: response.locals.__("rss.success.clearResync"),
-        itemsCleared: deleteResult.deletedCount,
+        itemsCleared: result.itemsCleared,
         feedsProcessed: result.feedsProcessed,
         itemsAdded: result.itemsAdded,
+        itemsUpdated: result.itemsUpdated,
       });
     } catch (error) {
       console.error("[RSS] Clear & re-sync error:", error.message);
@@ -156,15 +251,18 @@ export const dashboardController = {
         return response.redirect(request.baseUrl);
       }
 
-      const syncState = getSyncState();
-      if (syncState.syncing) {
+      const syncLock = await getSyncLock(db.collection("rssLocks"));
+      if (syncLock) {
         request.session.messages = [
           { type: "warning", content: "A sync is already in progress" },
         ];
         return response.redirect(request.baseUrl);
       }
 
-      const result = await runSync(db, rssConfig);
+      const result = await runSync(db, rssConfig, {
+        force: true,
+        trigger: "manual",
+      });
 
       if (result.error) {
         request.session.messages = [
@@ -174,12 +272,16 @@ export const dashboardController = {
       }
 
       const itemsAdded = result.itemsAdded || 0;
+      const itemsUpdated = result.itemsUpdated || 0;
       const feedsProcessed = result.feedsProcessed || 0;
       const itemsPruned = result.itemsPruned || 0;
 
       let message;
-      if (itemsAdded > 0) {
+      if (itemsAdded > 0 || itemsUpdated > 0) {
         message = `Synced ${itemsAdded} new items from ${feedsProcessed} feeds`;
+        if (itemsUpdated > 0) {
+          message += `, ${itemsUpdated} updated`;
+        }
         if (itemsPruned > 0) {
           message += ` (${itemsPruned} old items pruned)`;
         }
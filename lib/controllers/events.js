@@ -0,0 +1,70 @@
+import { getEventsSince, matchesFilters, subscribeEvents } from "../events.js";
+
+const HEARTBEAT_INTERVAL = 30_000;
+const RETRY_DELAY = 5000;
+
+/**
+ * Write an event in text/event-stream format
+ * @param {Object} response - Express response
+ * @param {Object} event - Published event
+ */
+function writeEvent(response, event) {
+  response.write(
+    `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+  );
+  // Push through compression middleware, if any
+  response.flush?.();
+}
+
+export const eventsController = {
+  /**
+   * Stream new items and sync progress as Server-Sent Events
+   * GET /api/events
+   * Query: feedId, category
+   * Headers: Last-Event-ID (replays buffered events missed while disconnected)
+   */
+  stream(request, response) {
+    const filters = {
+      feedId: typeof request.query.feedId === "string" ? request.query.feedId : null,
+      category:
+        typeof request.query.category === "string" ? request.query.category : null,
+    };
+
+    response.set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    response.flushHeaders();
+    response.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    const lastEventId =
+      request.get("last-event-id") ||
+      (typeof request.query.lastEventId === "string"
+        ? request.query.lastEventId
+        : null);
+    for (const event of getEventsSince(lastEventId)) {
+      if (matchesFilters(event, filters)) {
+        writeEvent(response, event);
+      }
+    }
+
+    const unsubscribe = subscribeEvents((event) => {
+      if (matchesFilters(event, filters)) {
+        writeEvent(response, event);
+      }
+    });
+
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => {
+      response.write(": heartbeat\n\n");
+      response.flush?.();
+    }, HEARTBEAT_INTERVAL);
+
+    request.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  },
+};
@@ -1,27 +1,48 @@
 import { ObjectId } from "mongodb";
+import { normalizeCategories } from "../categories.js";
+import { resetHealth } from "../health.js";
+import { createImageProxy } from "../image-proxy.js";
+import { getUnreadCounts, withUnreadCounts } from "../item-state.js";
 import { RssClient } from "../rss-client.js";
-import { formatFeed, isValidUrl, normalizeUrl } from "../utils.js";
+import { createFeed, deleteFeed } from "../subscriptions.js";
+import {
+  formatFeed,
+  isValidUrl,
+  normalizeUrl,
+  SANITIZE_PROFILES,
+} from "../utils.js";
 
 export const feedsController = {
   /**
    * List all feeds
    * GET /api/feeds
+   * Query: category
    */
   async list(request, response) {
     try {
-      const db = request.app.locals.application.getRssDb?.();
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
       if (!db) {
         return response.status(500).json({ error: "Database not available" });
       }
 
+      const query = {};
+      if (typeof request.query.category === "string") {
+        query.categories = request.query.category;
+      }
+
       const feedsCollection = db.collection("rssFeeds");
-      const feeds = await feedsCollection
-        .find({})
-        .sort({ addedAt: -1 })
-        .toArray();
+      const itemsCollection = db.collection("rssItems");
+      const [feeds, unreadCounts] = await Promise.all([
+        feedsCollection.find(query).sort({ addedAt: -1 }).toArray(),
+        getUnreadCounts(itemsCollection),
+      ]);
 
+      const proxyImage = await createImageProxy(db, rssConfig || {});
       response.json({
-        feeds: feeds.map(formatFeed),
+        feeds: withUnreadCounts(feeds, unreadCounts).map((feed) =>
+          formatFeed(feed, { proxyImage }),
+        ),
         total: feeds.length,
       });
     } catch (error) {
@@ -33,7 +54,10 @@ export const feedsController = {
   /**
    * Add a new feed
    * POST /api/feeds
-   * Body: { url: string }
+   * Body: { url: string, categories?: Array<string>|string, discover?: boolean }
+   * The URL may be a feed, or a website URL to discover feeds on. A page
+   * marked up with h-feed is followed as it is, unless it also advertises
+   * feeds (and discover isn't false), in which case they are all offered
    */
   async add(request, response) {
     try {
@@ -45,6 +69,18 @@ export const feedsController = {
         });
       }
 
+      const categories = normalizeCategories(request.body.categories ?? []);
+      if (!categories) {
+        return response.status(400).json({
+          error: "categories must be an array of strings",
+        });
+      }
+
+      const { discover = true } = request.body;
+      if (typeof discover !== "boolean") {
+        return response.status(400).json({ error: "discover must be boolean" });
+      }
+
       const normalizedUrl = normalizeUrl(url);
       const db = request.app.locals.application.getRssDb?.();
       if (!db) {
@@ -67,32 +103,74 @@ export const feedsController = {
         timeout: rssConfig?.fetchTimeout || 10_000,
       });
 
+      let feedUrl = normalizedUrl;
       let feedMeta;
       try {
         const result = await client.fetchFeed(normalizedUrl);
         feedMeta = result.feed;
+
+        // An h-feed page may advertise feeds as well - let the user pick
+        if (feedMeta.format === "h-feed" && discover) {
+          const candidates = await client.discoverFeeds(normalizedUrl);
+          if (candidates.length > 1) {
+            return response.status(300).json({
+              message: response.locals.__("rss.feedCandidates"),
+              candidates,
+            });
+          }
+        }
       } catch (error) {
-        return response.status(400).json({
-          error: `${response.locals.__("rss.error.fetchFailed")}: ${error.message}`,
+        // Not a web page, so there is nothing to discover
+        if (!error.cause?.isHtml) {
+          return response.status(400).json({
+            error: `${response.locals.__("rss.error.fetchFailed")}: ${error.message}`,
+          });
+        }
+
+        // A website URL - look for the feeds it advertises
+        const candidates = await client.discoverFeeds(normalizedUrl);
+
+        if (candidates.length === 0) {
+          return response.status(400).json({
+            error: response.locals.__("rss.error.noFeedsFound"),
+          });
+        }
+
+        // Several feeds found - let the user pick one
+        if (candidates.length > 1) {
+          return response.status(300).json({
+            message: response.locals.__("rss.feedCandidates"),
+            candidates,
+          });
+        }
+
+        feedUrl = normalizeUrl(candidates[0].url);
+
+        const existingCandidate = await feedsCollection.findOne({
+          url: feedUrl,
         });
-      }
+        if (existingCandidate) {
+          return response.status(409).json({
+            error: response.locals.__("rss.error.feedExists"),
+          });
+        }
 
-      // Insert feed
-      const feed = {
-        url: normalizedUrl,
-        title: feedMeta.title,
-        siteUrl: feedMeta.siteUrl,
-        description: feedMeta.description,
-        imageUrl: feedMeta.imageUrl,
-        enabled: true,
-        addedAt: new Date(),
-        lastFetchedAt: null,
-        lastError: null,
-        itemCount: 0,
-      };
+        try {
+          const result = await client.fetchFeed(feedUrl);
+          feedMeta = result.feed;
+        } catch (discoveredError) {
+          return response.status(400).json({
+            error: `${response.locals.__("rss.error.fetchFailed")}: ${discoveredError.message}`,
+          });
+        }
+      }
 
-      const result = await feedsCollection.insertOne(feed);
-      feed._id = result.insertedId;
+      const feed = await createFeed(
+        feedsCollection,
+        feedUrl,
+        feedMeta,
+        categories,
+      );
 
       response.status(201).json({
         message: response.locals.__("rss.success.feedAdded"),
@@ -121,21 +199,17 @@ export const feedsController = {
         return response.status(500).json({ error: "Database not available" });
       }
 
-      const feedsCollection = db.collection("rssFeeds");
-      const itemsCollection = db.collection("rssItems");
-      const feedId = new ObjectId(id);
-
       // Check if feed exists
-      const feed = await feedsCollection.findOne({ _id: feedId });
+      const feed = await db
+        .collection("rssFeeds")
+        .findOne({ _id: new ObjectId(id) });
       if (!feed) {
         return response.status(404).json({
           error: response.locals.__("rss.error.feedNotFound"),
         });
       }
 
-      // Delete feed and its items
-      await itemsCollection.deleteMany({ feedId });
-      await feedsCollection.deleteOne({ _id: feedId });
+      await deleteFeed(db, feed, request.app.locals.application.rssConfig || {});
 
       response.json({
         message: response.locals.__("rss.success.feedRemoved"),
@@ -147,21 +221,89 @@ export const feedsController = {
   },
 
   /**
-   * Toggle feed enabled/disabled
+   * Update feed settings
    * PATCH /api/feeds/:id
-   * Body: { enabled: boolean }
+   * Body: { enabled?: boolean, pollInterval?: number|null, categories?: Array<string>|string,
+   *   fetchFullContent?: boolean, sanitizeProfile?: string|null }
    */
-  async toggle(request, response) {
+  async update(request, response) {
     try {
       const { id } = request.params;
-      const { enabled } = request.body;
+      const {
+        enabled,
+        pollInterval,
+        categories,
+        fetchFullContent,
+        sanitizeProfile,
+      } = request.body;
 
       if (!ObjectId.isValid(id)) {
         return response.status(400).json({ error: "Invalid feed ID" });
       }
 
-      if (typeof enabled !== "boolean") {
-        return response.status(400).json({ error: "enabled must be boolean" });
+      const update = {};
+
+      if (enabled !== undefined) {
+        if (typeof enabled !== "boolean") {
+          return response.status(400).json({ error: "enabled must be boolean" });
+        }
+        update.enabled = enabled;
+
+        // Re-enabling gives a broken feed a fresh start
+        if (enabled) {
+          Object.assign(update, resetHealth());
+        }
+      }
+
+      if (pollInterval !== undefined) {
+        // Feeds are only checked once per sync, so a shorter pin can't be met
+        const syncInterval =
+          request.app.locals.application.rssConfig?.syncInterval || 900_000;
+        if (
+          pollInterval !== null &&
+          (!Number.isInteger(pollInterval) || pollInterval < syncInterval)
+        ) {
+          return response.status(400).json({
+            error: `pollInterval must be null or at least ${syncInterval} (ms)`,
+          });
+        }
+        // Clear the schedule so the new interval applies on the next sync
+        update.pollInterval = pollInterval;
+        update.nextFetchAt = null;
+      }
+
+      if (categories !== undefined) {
+        update.categories = normalizeCategories(categories);
+        if (!update.categories) {
+          return response.status(400).json({
+            error: "categories must be an array of strings",
+          });
+        }
+      }
+
+      if (fetchFullContent !== undefined) {
+        if (typeof fetchFullContent !== "boolean") {
+          return response.status(400).json({
+            error: "fetchFullContent must be boolean",
+          });
+        }
+        update.fetchFullContent = fetchFullContent;
+      }
+
+      if (sanitizeProfile !== undefined) {
+        if (
+          sanitizeProfile !== null &&
+          !SANITIZE_PROFILES.includes(sanitizeProfile)
+        ) {
+          return response.status(400).json({
+            error: `sanitizeProfile must be null or one of ${SANITIZE_PROFILES.join(", ")}`,
+          });
+        }
+        update.sanitizeProfile = sanitizeProfile;
+      }
+
+      if (Object.keys(update).length === 0) {
+        return response.status(400).json({ error: "Nothing to update" });
       }
 
       const db = request.app.locals.application.getRssDb?.();
@@ -174,7 +316,7 @@ export const feedsController = {
 
       const result = await feedsCollection.findOneAndUpdate(
         { _id: feedId },
-        { $set: { enabled } },
+        { $set: update },
         { returnDocument: "after" }
       );
 
@@ -184,14 +326,19 @@ export const feedsController = {
         });
       }
 
-      response.json({
-        message: enabled
+      let message = response.locals.__("rss.success.feedUpdated");
+      if (enabled !== undefined) {
+        message = enabled
           ? response.locals.__("rss.success.feedEnabled")
-          : response.locals.__("rss.success.feedDisabled"),
+          : response.locals.__("rss.success.feedDisabled");
+      }
+
+      response.json({
+        message,
         feed: formatFeed(result),
       });
     } catch (error) {
-      console.error("[RSS] Error toggling feed:", error.message);
+      console.error("[RSS] Error updating feed:", error.message);
       response.status(500).json({ error: error.message });
     }
   },
@@ -0,0 +1,100 @@
+import {
+  DEFAULT_WIDTH,
+  getCacheKey,
+  getImageProxySecret,
+  getThumbnail,
+  openThumbnail,
+  THUMBNAIL_WIDTHS,
+  verifyImageSignature,
+} from "../image-proxy.js";
+import { isValidUrl } from "../utils.js";
+
+const CACHE_MAX_AGE = 30 * 86_400; // 30 days, in seconds
+
+/**
+ * Set the headers every thumbnail is sent with
+ * @param {Object} response - Express response
+ * @param {string} key - Cache key, used as the ETag
+ */
+function setImageHeaders(response, key) {
+  response.set({
+    "Content-Type": "image/webp",
+    "Cache-Control": `public, max-age=${CACHE_MAX_AGE}, immutable`,
+    ETag: `"${key}"`,
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "default-src 'none'",
+  });
+}
+
+export const imagesController = {
+  /**
+   * Serve a remote image through the proxy, resized and cached
+   * Only URLs signed by this server (see proxyImages) are fetched
+   * GET /image
+   * Query: url, w (64, 160, 320, 640 or 1280), s (signature)
+   */
+  async get(request, response) {
+    try {
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const { url, s: signature } = request.query;
+      if (typeof url !== "string" || !isValidUrl(url)) {
+        return response.status(400).json({ error: "url must be an http(s) URL" });
+      }
+
+      const width = parseInt(request.query.w, 10) || DEFAULT_WIDTH;
+      if (!THUMBNAIL_WIDTHS.includes(width)) {
+        return response.status(400).json({
+          error: `w must be one of ${THUMBNAIL_WIDTHS.join(", ")}`,
+        });
+      }
+
+      const secret = await getImageProxySecret(db, rssConfig || {});
+      if (!verifyImageSignature(secret, url, signature)) {
+        return response.status(403).json({ error: "Invalid signature" });
+      }
+
+      // The ETag only depends on the URL and width, so revalidation is
+      // answered without fetching or reading the image
+      const etag = getCacheKey(url, width);
+      if (request.get("if-none-match") === `"${etag}"`) {
+        setImageHeaders(response, etag);
+        return response.status(304).end();
+      }
+
+      const { key, file, image } = await getThumbnail(
+        db,
+        url,
+        width,
+        rssConfig || {},
+      );
+
+      setImageHeaders(response, key);
+
+      if (image) {
+        return response.send(image);
+      }
+
+      response.set("Content-Length", String(file.length));
+      openThumbnail(db, file)
+        .on("error", (error) => {
+          console.error("[RSS] Error reading cached image:", error.message);
+          response.destroy(error);
+        })
+        .pipe(response);
+    } catch (error) {
+      if (error.status) {
+        return response.status(error.status).json({ error: error.message });
+      }
+      if (error.name === "TimeoutError") {
+        return response.status(504).json({ error: "Image fetch timed out" });
+      }
+      console.error("[RSS] Error proxying image:", error.message);
+      response.status(502).json({ error: error.message });
+    }
+  },
+};
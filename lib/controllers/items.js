@@ -1,15 +1,90 @@
 import { ObjectId } from "mongodb";
-import { formatItem } from "../utils.js";
+import { filterByCategory } from "../categories.js";
+import { createImageProxy } from "../image-proxy.js";
+import { setReadState, UNREAD_QUERY, VISIBLE_QUERY } from "../item-state.js";
+import { IN_PROGRESS_QUERY, QUEUED_QUERY } from "../playback.js";
+import {
+  formatItem,
+  getSanitizeProfile,
+  SANITIZE_PROFILES,
+} from "../utils.js";
+
+// Enclosure kinds accepted by ?hasMedia=
+const MEDIA_KINDS = ["audio", "video"];
+
+/**
+ * Read the sanitization profile requested with ?profile=
+ * @param {Object} request - Express request
+ * @returns {{profile: string|null}|{error: string}}
+ */
+function getRequestedProfile(request) {
+  const { profile } = request.query;
+  if (profile === undefined) return { profile: null };
+  if (!SANITIZE_PROFILES.includes(profile)) {
+    return { error: `profile must be one of ${SANITIZE_PROFILES.join(", ")}` };
+  }
+  return { profile };
+}
+
+/**
+ * Build a function giving the formatting options for each item's content
+ * A requested profile wins over each feed's, which wins over the default
+ * @param {Object} db - Database instance
+ * @param {Array<Object>} items - Items to format
+ * @param {string|null} requested - Profile requested with ?profile=
+ * @param {Object} [options] - Plugin options
+ * @returns {Promise<Function>} Called with an item, returns formatItem options
+ */
+async function getContentOptions(db, items, requested, options = {}) {
+  const feedProfiles = new Map();
+  if (!requested) {
+    const feedIds = [...new Set(items.map((item) => item.feedId?.toString()))]
+      .filter(Boolean)
+      .map((id) => new ObjectId(id));
+    const feeds = await db
+      .collection("rssFeeds")
+      .find(
+        { _id: { $in: feedIds }, sanitizeProfile: { $ne: null } },
+        { projection: { sanitizeProfile: 1 } },
+      )
+      .toArray();
+    for (const feed of feeds) {
+      feedProfiles.set(feed._id.toString(), feed.sanitizeProfile);
+    }
+  }
+
+  return (item) => ({
+    profile: getSanitizeProfile(
+      requested,
+      feedProfiles.get(item.feedId?.toString()),
+      options.sanitizeProfile,
+    ),
+    embedHosts: options.embedHosts,
+  });
+}
 
 export const itemsController = {
   /**
    * List feed items with pagination
    * GET /api/items
-   * Query: page, limit, feedId, includeContent
+   * Query: page, limit, feedId, category, unread, starred, tag, q, sort, includeDuplicates, includeHidden, includeContent, profile, hasMedia, played, inProgress, queued
    */
   async list(request, response) {
     try {
-      const db = request.app.locals.application.getRssDb?.();
+      const { profile, error } = getRequestedProfile(request);
+      if (error) {
+        return response.status(400).json({ error });
+      }
+
+      const { hasMedia } = request.query;
+      if (hasMedia !== undefined && !MEDIA_KINDS.includes(hasMedia)) {
+        return response.status(400).json({
+          error: `hasMedia must be one of ${MEDIA_KINDS.join(", ")}`,
+        });
+      }
+
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
       if (!db) {
         return response.status(500).json({ error: "Database not available" });
       }
@@ -17,6 +92,20 @@ export const itemsController = {
       const page = Math.max(1, parseInt(request.query.page) || 1);
       const limit = Math.min(100, Math.max(1, parseInt(request.query.limit) || 20));
       const feedId = request.query.feedId;
+      const category = request.query.category;
+      const unread = request.query.unread === "true";
+      const starred = request.query.starred === "true";
+      const { played } = request.query;
+      const inProgress = request.query.inProgress === "true";
+      const queued = request.query.queued === "true";
+      const search =
+        typeof request.query.q === "string"
+          ? request.query.q.trim().slice(0, 200)
+          : "";
+      const sortByDate = !search || request.query.sort === "date";
+      const includeDuplicates = request.query.includeDuplicates === "true";
+      const includeHidden = request.query.includeHidden === "true";
+      const tag = request.query.tag;
       const includeContent = request.query.includeContent === "true";
       const skip = (page - 1) * limit;
 
@@ -27,23 +116,76 @@ export const itemsController = {
       if (feedId && ObjectId.isValid(feedId)) {
         query.feedId = new ObjectId(feedId);
       }
+      if (typeof category === "string") {
+        await filterByCategory(query, db.collection("rssFeeds"), category);
+      }
+      if (unread) {
+        Object.assign(query, UNREAD_QUERY);
+      }
+      if (starred) {
+        query.starred = true;
+      }
+      if (typeof tag === "string") {
+        query.tags = tag;
+      }
+      if (played === "true") {
+        query.played = true;
+      } else if (played === "false") {
+        query.played = { $ne: true };
+      }
+      if (inProgress) {
+        Object.assign(query, IN_PROGRESS_QUERY);
+      }
+      if (queued) {
+        Object.assign(query, QUEUED_QUERY);
+      }
+      if (search) {
+        query.$text = { $search: search };
+      }
+      if (hasMedia) {
+        // Items cached before all enclosures were kept only have `enclosure`
+        const mediaType = new RegExp(`^${hasMedia}/`);
+        query.$or = [
+          { "enclosures.type": mediaType },
+          { "enclosure.type": mediaType },
+        ];
+      }
+      if (!includeDuplicates) {
+        query.duplicateOf = null;
+      }
+      if (!includeHidden) {
+        Object.assign(query, VISIBLE_QUERY);
+      }
 
       // Get total count
       const total = await itemsCollection.countDocuments(query);
 
-      // Get items
+      // Search results are ranked by relevance unless sort=date
       const items = await itemsCollection
-        .find(query)
-        .sort({ pubDate: -1 })
+        .find(query, search ? { projection: { score: { $meta: "textScore" } } } : {})
+        .sort(
+          sortByDate
+            ? { pubDate: -1 }
+            : { score: { $meta: "textScore" }, pubDate: -1 },
+        )
         .skip(skip)
         .limit(limit)
         .toArray();
 
+      const contentOptions = includeContent
+        ? await getContentOptions(db, items, profile, rssConfig)
+        : () => ({});
+      const proxyImage = await createImageProxy(db, rssConfig || {});
+
       const totalPages = Math.ceil(total / limit);
 
       response.json({
         items: items.map((item) =>
-          formatItem(item, { includeContent })
+          formatItem(item, {
+            includeContent,
+            proxyImage,
+            ...contentOptions(item),
+          })
         ),
         pagination: {
           page,
@@ -63,6 +205,7 @@ export const itemsController = {
   /**
    * Get a single item by ID
    * GET /api/items/:id
+   * Query: profile
    */
   async get(request, response) {
     try {
@@ -72,7 +215,13 @@ export const itemsController = {
         return response.status(400).json({ error: "Invalid item ID" });
       }
 
-      const db = request.app.locals.application.getRssDb?.();
+      const { profile, error } = getRequestedProfile(request);
+      if (error) {
+        return response.status(400).json({ error });
+      }
+
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
       if (!db) {
         return response.status(500).json({ error: "Database not available" });
       }
@@ -84,12 +233,160 @@ export const itemsController = {
         return response.status(404).json({ error: "Item not found" });
       }
 
+      const contentOptions = await getContentOptions(
+        db,
+        [item],
+        profile,
+        rssConfig,
+      );
       response.json({
-        item: formatItem(item, { includeContent: true }),
+        item: formatItem(item, {
+          includeContent: true,
+          includeRevisions: true,
+          proxyImage: await createImageProxy(db, rssConfig || {}),
+          ...contentOptions(item),
+        }),
       });
     } catch (error) {
       console.error("[RSS] Error getting item:", error.message);
       response.status(500).json({ error: error.message });
     }
   },
+
+  /**
+   * Update read/starred state and playback progress of a single item
+   * Marking an item played takes it off the queue and rewinds it
+   * PATCH /api/items/:id
+   * Body: { read?: boolean, starred?: boolean, played?: boolean, position?: number (seconds) }
+   */
+  async update(request, response) {
+    try {
+      const { id } = request.params;
+      const { read, starred, played, position } = request.body;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid item ID" });
+      }
+
+      const update = {};
+      if (read !== undefined) {
+        if (typeof read !== "boolean") {
+          return response.status(400).json({ error: "read must be boolean" });
+        }
+        update.read = read;
+        update.readAt = read ? new Date().toISOString() : null;
+      }
+      if (starred !== undefined) {
+        if (typeof starred !== "boolean") {
+          return response.status(400).json({ error: "starred must be boolean" });
+        }
+        update.starred = starred;
+        update.starredAt = starred ? new Date().toISOString() : null;
+      }
+      if (position !== undefined) {
+        if (typeof position !== "number" || !(position >= 0)) {
+          return response.status(400).json({
+            error: "position must be a number of seconds",
+          });
+        }
+        update.playbackPosition = Math.round(position);
+        update.playbackUpdatedAt = new Date().toISOString();
+      }
+      if (played !== undefined) {
+        if (typeof played !== "boolean") {
+          return response.status(400).json({ error: "played must be boolean" });
+        }
+        update.played = played;
+        update.playedAt = played ? new Date().toISOString() : null;
+        if (played) {
+          update.playbackPosition = 0;
+          update.playbackUpdatedAt = update.playedAt;
+        }
+      }
+
+      if (Object.keys(update).length === 0) {
+        return response.status(400).json({ error: "Nothing to update" });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const itemsCollection = db.collection("rssItems");
+      const item = await itemsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        {
+          $set: update,
+          ...(played && { $unset: { queuePosition: "", queuedAt: "" } }),
+        },
+        { returnDocument: "after" },
+      );
+
+      if (!item) {
+        return response.status(404).json({ error: "Item not found" });
+      }
+
+      // Reading an article reads its copies from other feeds too
+      if (read !== undefined) {
+        await itemsCollection.updateMany(
+          { duplicateOf: item._id },
+          { $set: { read: update.read, readAt: update.readAt } },
+        );
+      }
+
+      response.json({
+        item: formatItem(item),
+      });
+    } catch (error) {
+      console.error("[RSS] Error updating item:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Mark many items as read
+   * POST /api/items/mark-read
+   * Body: { feedId?: string, olderThan?: string (ISO date) }
+   */
+  async markRead(request, response) {
+    try {
+      const { feedId, olderThan } = request.body || {};
+
+      const query = {};
+      if (feedId !== undefined) {
+        if (!ObjectId.isValid(feedId)) {
+          return response.status(400).json({ error: "Invalid feed ID" });
+        }
+        query.feedId = new ObjectId(feedId);
+      }
+      if (olderThan !== undefined) {
+        const cutoff = new Date(olderThan);
+        if (isNaN(cutoff.getTime())) {
+          return response.status(400).json({
+            error: "olderThan must be an ISO 8601 date",
+          });
+        }
+        query.pubDate = { $lt: cutoff };
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const itemsMarked = await setReadState(
+        db.collection("rssItems"),
+        query,
+      );
+
+      response.json({
+        message: response.locals.__("rss.success.markedRead"),
+        itemsMarked,
+      });
+    } catch (error) {
+      console.error("[RSS] Error marking items read:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
 };
@@ -0,0 +1,480 @@
+import { ObjectId } from "mongodb";
+import { normalizeCategories } from "../categories.js";
+import { createImageProxy } from "../image-proxy.js";
+import { setReadState, UNREAD_QUERY } from "../item-state.js";
+import {
+  decodeCursor,
+  encodeCursor,
+  getChannelFeedIds,
+  getChannelQuery,
+  getChannels,
+  getPageQuery,
+  GLOBAL_CHANNEL,
+  NOTIFICATIONS_CHANNEL,
+  toJf2Entry,
+  toJf2Feed,
+  UNCATEGORIZED_CHANNEL,
+} from "../microsub.js";
+import { RssClient } from "../rss-client.js";
+import { createFeed, deleteFeed } from "../subscriptions.js";
+import { syncSingleFeed } from "../sync.js";
+import {
+  formatFeed,
+  formatItem,
+  getSanitizeProfile,
+  isValidUrl,
+  normalizeUrl,
+} from "../utils.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_RESULTS = 20;
+
+/**
+ * Answer with a Microsub error
+ * @param {Object} response - Express response
+ * @param {number} status - HTTP status
+ * @param {string} error - Error code (invalid_request, not_found)
+ * @param {string} description - Human-readable description
+ * @returns {Object}
+ */
+function sendError(response, status, error, description) {
+  return response.status(status).json({ error, error_description: description });
+}
+
+/**
+ * Read a URL parameter, adding https:// to bare domains
+ * @param {string} value - URL or domain
+ * @returns {string|null}
+ */
+function getUrl(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const url = /^https?:\/\//i.test(value.trim())
+    ? value.trim()
+    : `https://${value.trim()}`;
+  return isValidUrl(url) ? normalizeUrl(url) : null;
+}
+
+/**
+ * Read entry IDs, given once or as entry[]
+ * @param {string|Array<string>} value - Entry parameter
+ * @returns {Array<ObjectId>|null} Null when any ID is invalid
+ */
+function getEntryIds(value) {
+  const ids = [value].flat().filter((id) => id !== undefined);
+  if (ids.length === 0 || !ids.every((id) => ObjectId.isValid(id))) return null;
+  return ids.map((id) => new ObjectId(id));
+}
+
+/**
+ * Format items as jf2 entries, with their feeds as author cards
+ * @param {Object} db - Database instance
+ * @param {Array<Object>} items - Item documents
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Array<Object>>}
+ */
+async function formatEntries(db, items, options) {
+  const feedIds = [...new Set(items.map((item) => item.feedId?.toString()))]
+    .filter(Boolean)
+    .map((id) => new ObjectId(id));
+  const proxyImage = await createImageProxy(db, options);
+  const feeds = await db
+    .collection("rssFeeds")
+    .find({ _id: { $in: feedIds } })
+    .toArray();
+  const feedsById = new Map(feeds.map((feed) => [feed._id.toString(), feed]));
+
+  return items.map((item) => {
+    const feed = feedsById.get(item.feedId?.toString());
+    return toJf2Entry(
+      formatItem(item, {
+        includeContent: true,
+        proxyImage,
+        profile: getSanitizeProfile(
+          feed?.sanitizeProfile,
+          options.sanitizeProfile,
+        ),
+        embedHosts: options.embedHosts,
+      }),
+      feed && formatFeed(feed, { proxyImage }),
+    );
+  });
+}
+
+const actions = {
+  /**
+   * List channels
+   * Channels can't be created, renamed or removed: they are feed categories
+   */
+  async channels(request, response, { db, method }) {
+    if (method === "POST") {
+      return sendError(
+        response,
+        400,
+        "invalid_request",
+        "Channels are feed categories; follow a feed in a new channel to create one",
+      );
+    }
+
+    const channels = await getChannels(db, {
+      notifications: response.locals.__("rss.notifications"),
+      uncategorized: response.locals.__("rss.uncategorized"),
+    });
+    response.json({ channels });
+  },
+
+  /**
+   * Page through a channel's items, newest first, or mark them read or unread
+   */
+  async timeline(request, response, { db, method, params, options }) {
+    const channelQuery =
+      typeof params.channel === "string"
+        ? await getChannelQuery(db.collection("rssFeeds"), params.channel)
+        : null;
+    if (!channelQuery) {
+      return sendError(response, 404, "not_found", "Channel not found");
+    }
+
+    const itemsCollection = db.collection("rssItems");
+
+    if (method === "POST") {
+      if (!["mark_read", "mark_unread"].includes(params.method)) {
+        return sendError(
+          response,
+          400,
+          "invalid_request",
+          "method must be mark_read or mark_unread",
+        );
+      }
+      const read = params.method === "mark_read";
+
+      let query;
+      if (params.last_read_entry !== undefined) {
+        const [id] = getEntryIds(params.last_read_entry) || [];
+        const last = id && (await itemsCollection.findOne({ _id: id }));
+        if (!last) {
+          return sendError(response, 404, "not_found", "Entry not found");
+        }
+        // The entry itself and everything older
+        const cursor = { pubDate: last.pubDate || null, _id: last._id };
+        query = {
+          $and: [
+            channelQuery,
+            { $or: [{ _id: last._id }, getPageQuery(cursor, "after")] },
+          ],
+        };
+      } else {
+        const ids = getEntryIds(params.entry);
+        if (!ids) {
+          return sendError(response, 400, "invalid_request", "Invalid entry ID");
+        }
+        query = { _id: { $in: ids } };
+      }
+
+      // Copies of an entry from other feeds follow it, as in the items API
+      const ids = await itemsCollection.distinct("_id", query);
+      await setReadState(
+        itemsCollection,
+        { $or: [{ _id: { $in: ids } }, { duplicateOf: { $in: ids } }] },
+        read,
+      );
+      return response.json({});
+    }
+
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, parseInt(params.limit) || DEFAULT_LIMIT),
+    );
+    const direction = params.before ? "before" : "after";
+    const cursor = params[direction] ? decodeCursor(params[direction]) : null;
+    if (params[direction] && !cursor) {
+      return sendError(response, 400, "invalid_request", "Invalid paging cursor");
+    }
+
+    const query = { $and: [channelQuery] };
+    if (params.is_read === "false") {
+      query.$and.push(UNREAD_QUERY);
+    }
+    if (cursor) {
+      query.$and.push(getPageQuery(cursor, direction));
+    }
+
+    // Newer items are read oldest first, so the page starts right at the cursor
+    const order = direction === "before" ? 1 : -1;
+    const found = await itemsCollection
+      .find(query)
+      .sort({ pubDate: order, _id: order })
+      .limit(limit + 1)
+      .toArray();
+    const hasMore = found.length > limit;
+    const items = found.slice(0, limit);
+    if (direction === "before") items.reverse();
+
+    const paging = {};
+    if (items.length > 0) {
+      paging.before = encodeCursor(items[0]);
+      if (direction === "before" || hasMore) {
+        paging.after = encodeCursor(items.at(-1));
+      }
+    } else if (direction === "before" && cursor) {
+      // Nothing newer yet - poll again from the same place
+      paging.before = params.before;
+    }
+
+    response.json({ items: await formatEntries(db, items, options), paging });
+  },
+
+  /**
+   * List the feeds followed in a channel, or follow a feed in a channel
+   * Feeds already followed are added to the channel's category
+   */
+  async follow(request, response, { db, method, params, options }) {
+    const { channel } = params;
+    if (
+      typeof channel !== "string" ||
+      [NOTIFICATIONS_CHANNEL, GLOBAL_CHANNEL].includes(channel)
+    ) {
+      return sendError(
+        response,
+        400,
+        "invalid_request",
+        "Feeds can't be followed in this channel",
+      );
+    }
+
+    const feedsCollection = db.collection("rssFeeds");
+    const proxyImage = await createImageProxy(db, options);
+
+    if (method === "GET") {
+      const feedIds = await getChannelFeedIds(feedsCollection, channel);
+      const feeds = await feedsCollection
+        .find({ _id: { $in: feedIds } })
+        .sort({ title: 1 })
+        .toArray();
+      return response.json({
+        items: feeds.map((feed) => toJf2Feed(formatFeed(feed, { proxyImage }))),
+      });
+    }
+
+    const url = getUrl(params.url);
+    if (!url) {
+      return sendError(response, 400, "invalid_request", "url must be an http(s) URL");
+    }
+    const categories =
+      channel === UNCATEGORIZED_CHANNEL ? [] : normalizeCategories([channel]);
+
+    let feed = await feedsCollection.findOne({ url });
+    if (feed) {
+      if (categories.length > 0) {
+        feed = await feedsCollection.findOneAndUpdate(
+          { _id: feed._id },
+          { $addToSet: { categories: { $each: categories } } },
+          { returnDocument: "after" },
+        );
+      }
+      return response.json(toJf2Feed(formatFeed(feed, { proxyImage })));
+    }
+
+    const client = new RssClient({ timeout: options.fetchTimeout || 10_000 });
+    let feedMeta;
+    try {
+      feedMeta = (await client.fetchFeed(url)).feed;
+    } catch (error) {
+      return sendError(
+        response,
+        400,
+        "invalid_request",
+        error.cause?.isHtml
+          ? "URL is a web page, not a feed; search for it to find its feeds"
+          : error.message,
+      );
+    }
+
+    feed = await createFeed(feedsCollection, url, feedMeta, categories);
+
+    // Fetch its items now rather than at the next sync, unless one is running
+    syncSingleFeed(db, feed._id, options, { trigger: "follow" }).catch((error) => {
+      console.error(`[RSS] Error syncing followed feed ${url}:`, error.message);
+    });
+
+    response.status(201).json(toJf2Feed(formatFeed(feed, { proxyImage })));
+  },
+
+  /**
+   * Unfollow a feed in a channel
+   * A feed left in no channel at all is removed with its items, apart from
+   * starred ones
+   */
+  async unfollow(request, response, { db, params, options }) {
+    const { channel } = params;
+    const url = getUrl(params.url);
+    if (typeof channel !== "string" || !url) {
+      return sendError(response, 400, "invalid_request", "channel and url are required");
+    }
+
+    const feedsCollection = db.collection("rssFeeds");
+    const feed = await feedsCollection.findOne({ url });
+    const inChannel =
+      channel === UNCATEGORIZED_CHANNEL
+        ? !feed?.categories?.length
+        : feed?.categories?.includes(channel);
+    if (!inChannel) {
+      return sendError(response, 404, "not_found", "Feed not followed in this channel");
+    }
+
+    const categories = feed.categories?.filter((name) => name !== channel) || [];
+    if (categories.length > 0) {
+      await feedsCollection.updateOne({ _id: feed._id }, { $set: { categories } });
+    } else {
+      await deleteFeed(db, feed, options, { keepStarred: true });
+    }
+
+    response.json({});
+  },
+
+  /**
+   * Search for feeds to follow by URL or among subscriptions, or search a
+   * channel's items when a channel is given
+   */
+  async search(request, response, { db, params, options }) {
+    const query = typeof params.query === "string" ? params.query.trim() : "";
+    if (!query) {
+      return sendError(response, 400, "invalid_request", "query is required");
+    }
+
+    // Items in a channel
+    if (typeof params.channel === "string") {
+      const channelQuery = await getChannelQuery(
+        db.collection("rssFeeds"),
+        params.channel,
+      );
+      if (!channelQuery) {
+        return sendError(response, 404, "not_found", "Channel not found");
+      }
+      const items = await db
+        .collection("rssItems")
+        .find(
+          { ...channelQuery, $text: { $search: query.slice(0, 200) } },
+          { projection: { score: { $meta: "textScore" } } },
+        )
+        .sort({ score: { $meta: "textScore" }, pubDate: -1 })
+        .limit(MAX_SEARCH_RESULTS)
+        .toArray();
+      return response.json({ items: await formatEntries(db, items, options) });
+    }
+
+    // A URL or domain: the feed itself, or the feeds a website advertises
+    const url = !/\s/.test(query) && query.includes(".") ? getUrl(query) : null;
+    if (url) {
+      const client = new RssClient({ timeout: options.fetchTimeout || 10_000 });
+      try {
+        const { feed } = await client.fetchFeed(url);
+        return response.json({ results: [toJf2Feed({ ...feed, url })] });
+      } catch (error) {
+        if (!error.cause?.isHtml) {
+          return response.json({ results: [] });
+        }
+      }
+      const candidates = await client.discoverFeeds(url);
+      return response.json({ results: candidates.map(toJf2Feed) });
+    }
+
+    // Anything else: subscriptions whose title or URL match
+    const pattern = new RegExp(
+      query.slice(0, 200).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      "i",
+    );
+    const feeds = await db
+      .collection("rssFeeds")
+      .find({ $or: [{ title: pattern }, { url: pattern }, { siteUrl: pattern }] })
+      .sort({ title: 1 })
+      .limit(MAX_SEARCH_RESULTS)
+      .toArray();
+    const proxyImage = await createImageProxy(db, options);
+    response.json({
+      results: feeds.map((feed) => toJf2Feed(formatFeed(feed, { proxyImage }))),
+    });
+  },
+
+  /**
+   * Show a feed's current items without following it
+   */
+  async preview(request, response, { params, options }) {
+    const url = getUrl(params.url);
+    if (!url) {
+      return sendError(response, 400, "invalid_request", "url must be an http(s) URL");
+    }
+
+    const client = new RssClient({ timeout: options.fetchTimeout || 10_000 });
+    let parsed;
+    try {
+      parsed = await client.fetchFeed(url);
+    } catch (error) {
+      return sendError(response, 400, "invalid_request", error.message);
+    }
+
+    const feed = { ...parsed.feed, url };
+    response.json({
+      items: parsed.items.slice(0, DEFAULT_LIMIT).map((item) =>
+        toJf2Entry(
+          formatItem(
+            { ...item, feedTitle: feed.title },
+            {
+              includeContent: true,
+              profile: options.sanitizeProfile,
+              embedHosts: options.embedHosts,
+            },
+          ),
+          feed,
+        ),
+      ),
+    });
+  },
+};
+
+// Actions that only read
+const GET_ACTIONS = new Set(["channels", "timeline", "follow", "search", "preview"]);
+
+export const microsubController = {
+  /**
+   * Microsub endpoint (https://indieweb.org/Microsub-spec)
+   * Channels are feed categories, plus notifications (items tagged by a filter
+   * rule) and uncategorized feeds. Requests use Indiekit's access tokens.
+   * GET /microsub?action=channels|timeline|follow|search|preview
+   * POST /microsub with action=channels|timeline|follow|unfollow|search|preview
+   */
+  async handle(request, response) {
+    try {
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const { method } = request;
+      const params = { ...request.query, ...(method === "POST" && request.body) };
+      // Only the actions defined above, not Object.prototype methods
+      const action = Object.hasOwn(actions, params.action)
+        ? actions[params.action]
+        : null;
+      if (!action || (method === "GET" && !GET_ACTIONS.has(params.action))) {
+        return sendError(
+          response,
+          400,
+          "invalid_request",
+          `Unsupported action: ${params.action || "none"}`,
+        );
+      }
+
+      await action(request, response, {
+        db,
+        method,
+        params,
+        options: rssConfig || {},
+      });
+    } catch (error) {
+      console.error("[RSS] Microsub error:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
@@ -0,0 +1,120 @@
+import { buildOpml, parseOpml } from "../opml.js";
+import { isValidUrl, normalizeUrl } from "../utils.js";
+
+export const opmlController = {
+  /**
+   * Import subscriptions from an OPML document
+   * POST /api/opml
+   * Body: OPML 2.0 document (text/x-opml, text/xml or application/xml)
+   */
+  async import(request, response) {
+    try {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      let outlines;
+      try {
+        outlines = parseOpml(request.body);
+      } catch (error) {
+        return response.status(400).json({
+          error: `${response.locals.__("rss.error.invalidOpml")}: ${error.message}`,
+        });
+      }
+
+      const feedsCollection = db.collection("rssFeeds");
+      const existingUrls = new Set(
+        (
+          await feedsCollection.find({}, { projection: { url: 1 } }).toArray()
+        ).map((feed) => feed.url),
+      );
+
+      const results = [];
+      for (const outline of outlines) {
+        if (!isValidUrl(outline.url)) {
+          results.push({
+            url: outline.url,
+            title: outline.title,
+            status: "failed",
+            error: response.locals.__("rss.error.invalidUrl"),
+          });
+          continue;
+        }
+
+        const url = normalizeUrl(outline.url);
+        if (existingUrls.has(url)) {
+          results.push({ url, title: outline.title, status: "skipped" });
+          continue;
+        }
+
+        // Metadata is filled in by the next sync, as these feeds are due immediately
+        try {
+          await feedsCollection.insertOne({
+            url,
+            title: outline.title || url,
+            siteUrl: outline.siteUrl,
+            description: "",
+            imageUrl: null,
+            categories: outline.categories,
+            enabled: true,
+            addedAt: new Date(),
+            lastFetchedAt: null,
+            lastError: null,
+            itemCount: 0,
+          });
+          existingUrls.add(url);
+          results.push({ url, title: outline.title, status: "added" });
+        } catch (error) {
+          results.push({
+            url,
+            title: outline.title,
+            status: error.code === 11000 ? "skipped" : "failed",
+            error: error.code === 11000 ? undefined : error.message,
+          });
+        }
+      }
+
+      const count = (status) =>
+        results.filter((result) => result.status === status).length;
+
+      response.json({
+        message: response.locals.__("rss.success.opmlImported"),
+        added: count("added"),
+        skipped: count("skipped"),
+        failed: count("failed"),
+        results,
+      });
+    } catch (error) {
+      console.error("[RSS] Error importing OPML:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Export subscriptions as an OPML document
+   * GET /api/opml
+   */
+  async export(request, response) {
+    try {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const feeds = await db
+        .collection("rssFeeds")
+        .find({})
+        .sort({ title: 1 })
+        .toArray();
+
+      response
+        .type("text/x-opml; charset=utf-8")
+        .attachment("subscriptions.opml")
+        .send(buildOpml(feeds));
+    } catch (error) {
+      console.error("[RSS] Error exporting OPML:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
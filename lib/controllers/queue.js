@@ -0,0 +1,188 @@
+import { ObjectId } from "mongodb";
+import { createImageProxy } from "../image-proxy.js";
+import {
+  addToQueue,
+  QUEUED_QUERY,
+  removeFromQueue,
+  setQueue,
+} from "../playback.js";
+import { formatItem } from "../utils.js";
+
+const MAX_QUEUE_LENGTH = 500;
+
+/**
+ * Queued items, formatted, in queue order
+ * @param {Object} db - Database instance
+ * @param {Object} [options] - Plugin options
+ * @returns {Promise<{items: Array<Object>, total: number}>}
+ */
+async function getQueue(db, options = {}) {
+  const items = await db
+    .collection("rssItems")
+    .find(QUEUED_QUERY)
+    .sort({ queuePosition: 1 })
+    .toArray();
+  const proxyImage = await createImageProxy(db, options);
+
+  return {
+    items: items.map((item) => formatItem(item, { proxyImage })),
+    total: items.length,
+  };
+}
+
+export const queueController = {
+  /**
+   * List the "up next" queue
+   * GET /api/queue
+   */
+  async list(request, response) {
+    try {
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      response.json(await getQueue(db, rssConfig));
+    } catch (error) {
+      console.error("[RSS] Error listing queue:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Add an item to the queue, or move it if already queued
+   * POST /api/queue
+   * Body: { itemId, position? (zero-based, defaults to the end) }
+   */
+  async add(request, response) {
+    try {
+      const { itemId, position } = request.body || {};
+
+      if (typeof itemId !== "string" || !ObjectId.isValid(itemId)) {
+        return response.status(400).json({ error: "Invalid item ID" });
+      }
+      if (
+        position !== undefined &&
+        (!Number.isInteger(position) || position < 0)
+      ) {
+        return response.status(400).json({
+          error: "position must be a non-negative integer",
+        });
+      }
+
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const itemsCollection = db.collection("rssItems");
+      const item = await itemsCollection.findOne(
+        { _id: new ObjectId(itemId) },
+        { projection: { _id: 1, queuePosition: 1 } },
+      );
+      if (!item) {
+        return response.status(404).json({ error: "Item not found" });
+      }
+
+      const queueLength = await itemsCollection.countDocuments(QUEUED_QUERY);
+      if (item.queuePosition === undefined && queueLength >= MAX_QUEUE_LENGTH) {
+        return response.status(400).json({
+          error: `The queue is limited to ${MAX_QUEUE_LENGTH} items`,
+        });
+      }
+
+      await addToQueue(itemsCollection, item._id, position);
+
+      response.json(await getQueue(db, rssConfig));
+    } catch (error) {
+      console.error("[RSS] Error adding to queue:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Reorder the queue
+   * Queued items left out of itemIds are taken off the queue
+   * PUT /api/queue
+   * Body: { itemIds: [string] }
+   */
+  async reorder(request, response) {
+    try {
+      const { itemIds } = request.body || {};
+
+      if (
+        !Array.isArray(itemIds) ||
+        !itemIds.every((id) => typeof id === "string" && ObjectId.isValid(id))
+      ) {
+        return response.status(400).json({
+          error: "itemIds must be an array of item IDs",
+        });
+      }
+      if (new Set(itemIds).size !== itemIds.length) {
+        return response.status(400).json({
+          error: "itemIds must not contain duplicates",
+        });
+      }
+      if (itemIds.length > MAX_QUEUE_LENGTH) {
+        return response.status(400).json({
+          error: `The queue is limited to ${MAX_QUEUE_LENGTH} items`,
+        });
+      }
+
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const itemsCollection = db.collection("rssItems");
+      const ids = itemIds.map((id) => new ObjectId(id));
+      const found = await itemsCollection.countDocuments({ _id: { $in: ids } });
+      if (found !== ids.length) {
+        return response.status(404).json({ error: "Item not found" });
+      }
+
+      await setQueue(itemsCollection, ids);
+
+      response.json(await getQueue(db, rssConfig));
+    } catch (error) {
+      console.error("[RSS] Error reordering queue:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Take an item off the queue
+   * DELETE /api/queue/:itemId
+   */
+  async remove(request, response) {
+    try {
+      const { itemId } = request.params;
+
+      if (!ObjectId.isValid(itemId)) {
+        return response.status(400).json({ error: "Invalid item ID" });
+      }
+
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const removed = await removeFromQueue(
+        db.collection("rssItems"),
+        new ObjectId(itemId),
+      );
+      if (!removed) {
+        return response.status(404).json({ error: "Item not in queue" });
+      }
+
+      response.json(await getQueue(db, rssConfig));
+    } catch (error) {
+      console.error("[RSS] Error removing from queue:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
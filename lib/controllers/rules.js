@@ -0,0 +1,211 @@
+import { ObjectId } from "mongodb";
+import { compileRule, validateRule } from "../rules.js";
+import { formatItem, formatRule } from "../utils.js";
+
+const PREVIEW_SCAN_LIMIT = 500;
+const PREVIEW_RESULT_LIMIT = 20;
+
+export const rulesController = {
+  /**
+   * List filter rules
+   * GET /api/rules
+   * Query: feedId
+   */
+  async list(request, response) {
+    try {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const query = {};
+      const { feedId } = request.query;
+      if (feedId && ObjectId.isValid(feedId)) {
+        query.feedId = new ObjectId(feedId);
+      }
+
+      const rules = await db
+        .collection("rssRules")
+        .find(query)
+        .sort({ createdAt: 1 })
+        .toArray();
+
+      response.json({ rules: rules.map(formatRule), total: rules.length });
+    } catch (error) {
+      console.error("[RSS] Error listing rules:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Add a filter rule
+   * POST /api/rules
+   * Body: { pattern, action, field?, matchType?, caseSensitive?, tag?, feedId?, name?, enabled? }
+   */
+  async add(request, response) {
+    try {
+      const { rule, error } = validateRule(request.body || {});
+      if (error) {
+        return response.status(400).json({ error });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      if (rule.feedId) {
+        const feed = await db.collection("rssFeeds").findOne({ _id: rule.feedId });
+        if (!feed) {
+          return response.status(404).json({
+            error: response.locals.__("rss.error.feedNotFound"),
+          });
+        }
+      }
+
+      const now = new Date();
+      const document = { ...rule, createdAt: now, updatedAt: now };
+      const result = await db.collection("rssRules").insertOne(document);
+      document._id = result.insertedId;
+
+      response.status(201).json({
+        message: response.locals.__("rss.success.ruleAdded"),
+        rule: formatRule(document),
+      });
+    } catch (error) {
+      console.error("[RSS] Error adding rule:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Update a filter rule
+   * PATCH /api/rules/:id
+   * Body: any fields accepted by POST /api/rules
+   */
+  async update(request, response) {
+    try {
+      const { id } = request.params;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid rule ID" });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const rulesCollection = db.collection("rssRules");
+      const existing = await rulesCollection.findOne({ _id: new ObjectId(id) });
+      if (!existing) {
+        return response.status(404).json({ error: "Rule not found" });
+      }
+
+      const { rule, error } = validateRule(request.body || {}, existing);
+      if (error) {
+        return response.status(400).json({ error });
+      }
+
+      if (rule.feedId && !rule.feedId.equals(existing.feedId)) {
+        const feed = await db.collection("rssFeeds").findOne({ _id: rule.feedId });
+        if (!feed) {
+          return response.status(404).json({
+            error: response.locals.__("rss.error.feedNotFound"),
+          });
+        }
+      }
+
+      const updated = await rulesCollection.findOneAndUpdate(
+        { _id: existing._id },
+        { $set: { ...rule, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+
+      response.json({
+        message: response.locals.__("rss.success.ruleUpdated"),
+        rule: formatRule(updated),
+      });
+    } catch (error) {
+      console.error("[RSS] Error updating rule:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Remove a filter rule
+   * Items it already hid, marked read or tagged are left as they are
+   * DELETE /api/rules/:id
+   */
+  async remove(request, response) {
+    try {
+      const { id } = request.params;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid rule ID" });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const result = await db
+        .collection("rssRules")
+        .deleteOne({ _id: new ObjectId(id) });
+
+      if (result.deletedCount === 0) {
+        return response.status(404).json({ error: "Rule not found" });
+      }
+
+      response.json({
+        message: response.locals.__("rss.success.ruleRemoved"),
+      });
+    } catch (error) {
+      console.error("[RSS] Error removing rule:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Preview which cached items a rule would match
+   * Checks the most recent items (of the rule's feed, if it has one)
+   * POST /api/rules/preview
+   * Body: same as POST /api/rules
+   */
+  async preview(request, response) {
+    try {
+      const { rule, error } = validateRule(request.body || {});
+      if (error) {
+        return response.status(400).json({ error });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const query = rule.feedId ? { feedId: rule.feedId } : {};
+      const items = await db
+        .collection("rssItems")
+        .find(query)
+        .sort({ pubDate: -1 })
+        .limit(PREVIEW_SCAN_LIMIT)
+        .toArray();
+
+      const { matches } = compileRule(rule);
+      const matched = items.filter((item) => matches(item));
+
+      response.json({
+        scanned: items.length,
+        matched: matched.length,
+        items: matched
+          .slice(0, PREVIEW_RESULT_LIMIT)
+          .map((item) => formatItem(item)),
+      });
+    } catch (error) {
+      console.error("[RSS] Error previewing rule:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
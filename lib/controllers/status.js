@@ -1,3 +1,5 @@
+import { getSyncLock, INSTANCE_ID } from "../sync-lock.js";
+import { getLastSyncRun } from "../sync-runs.js";
 import { getSyncState, runSync } from "../sync.js";
 
 export const statusController = {
@@ -14,6 +16,8 @@ export const statusController = {
       let feedsCount = 0;
       let itemsCount = 0;
       let enabledFeedsCount = 0;
+      let lastRun = null;
+      let syncLock = null;
 
       if (db) {
         const feedsCollection = db.collection("rssFeeds");
@@ -22,24 +26,45 @@ export const statusController = {
         feedsCount = await feedsCollection.countDocuments({});
         enabledFeedsCount = await feedsCollection.countDocuments({ enabled: true });
         itemsCount = await itemsCollection.countDocuments({});
+
+        // Survives restarts, unlike the in-memory sync state
+        lastRun = await getLastSyncRun(db.collection("rssSyncRuns"));
+        syncLock = await getSyncLock(db.collection("rssLocks"));
       }
 
+      const lastSync =
+        syncState.lastSync || lastRun?.finishedAt?.toISOString() || null;
+
       const syncIntervalMs = rssConfig?.syncInterval || 900_000;
-      const nextSync = syncState.lastSync
-        ? new Date(new Date(syncState.lastSync).getTime() + syncIntervalMs).toISOString()
+      const nextSync = lastSync
+        ? new Date(new Date(lastSync).getTime() + syncIntervalMs).toISOString()
         : null;
 
       response.json({
-        status: syncState.syncing ? "syncing" : "idle",
-        lastSync: syncState.lastSync || null,
+        status: syncState.syncing || syncLock ? "syncing" : "idle",
+        instance: INSTANCE_ID,
+        lock: syncLock
+          ? {
+              owner: syncLock.owner,
+              acquiredAt: syncLock.acquiredAt.toISOString(),
+              heartbeatAt: syncLock.heartbeatAt.toISOString(),
+              expiresAt: syncLock.expiresAt.toISOString(),
+            }
+          : null,
+        lastSync,
         nextSync: nextSync,
         lastError: syncState.lastError,
+        lastRunId: lastRun?._id?.toString() || null,
         stats: {
           feedsCount,
           enabledFeedsCount,
           itemsCount,
-          lastFeedsProcessed: syncState.feedsProcessed,
-          lastItemsAdded: syncState.itemsAdded,
+          lastFeedsProcessed: lastRun?.feedsProcessed ?? syncState.feedsProcessed,
+          lastFeedsNotModified:
+            lastRun?.feedsNotModified ?? syncState.feedsNotModified,
+          lastFeedsFailed: lastRun?.feedsFailed ?? 0,
+          lastItemsAdded: lastRun?.itemsAdded ?? syncState.itemsAdded,
+          lastItemsUpdated: lastRun?.itemsUpdated ?? syncState.itemsUpdated,
         },
         config: {
           syncInterval: syncIntervalMs,
@@ -65,16 +90,22 @@ export const statusController = {
         return response.status(500).json({ error: "Plugin not configured" });
       }
 
-      const syncState = getSyncState();
-      if (syncState.syncing) {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const syncLock = await getSyncLock(db.collection("rssLocks"));
+      if (syncLock) {
         return response.status(409).json({
           error: "Sync already in progress",
           status: "syncing",
+          lockedBy: syncLock.owner,
         });
       }
 
       // Run sync asynchronously
-      runSync(Indiekit, rssConfig).catch((err) => {
+      runSync(Indiekit, rssConfig, { force: true, trigger: "manual" }).catch((err) => {
         console.error("[RSS] Manual sync error:", err.message);
       });
 
@@ -0,0 +1,107 @@
+import { ObjectId } from "mongodb";
+import { formatSyncRun } from "../utils.js";
+
+export const syncRunsController = {
+  /**
+   * List sync runs, newest first
+   * GET /api/sync-runs
+   * Query: page, limit, trigger, feedId
+   * With feedId, only runs that fetched the feed are listed, with its outcome
+   */
+  async list(request, response) {
+    try {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const page = Math.max(1, parseInt(request.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(request.query.limit) || 20));
+      const { trigger, feedId } = request.query;
+      const skip = (page - 1) * limit;
+
+      const runsCollection = db.collection("rssSyncRuns");
+
+      // Build query
+      const query = {};
+      if (typeof trigger === "string") {
+        query.trigger = trigger;
+      }
+      const feedObjectId =
+        feedId && ObjectId.isValid(feedId) ? new ObjectId(feedId) : null;
+      if (feedObjectId) {
+        query["feeds.feedId"] = feedObjectId;
+      }
+
+      const [total, runs] = await Promise.all([
+        runsCollection.countDocuments(query),
+        runsCollection
+          .find(query, feedObjectId ? {} : { projection: { feeds: 0 } })
+          .sort({ startedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .toArray(),
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      response.json({
+        runs: runs.map((run) => {
+          if (!feedObjectId) return formatSyncRun(run);
+
+          // Only the requested feed's outcome
+          return formatSyncRun(
+            {
+              ...run,
+              feeds: run.feeds.filter((feed) => feedObjectId.equals(feed.feedId)),
+            },
+            { includeFeeds: true },
+          );
+        }),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("[RSS] Error listing sync runs:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Get a single sync run with per-feed outcomes
+   * GET /api/sync-runs/:id
+   */
+  async get(request, response) {
+    try {
+      const { id } = request.params;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid sync run ID" });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const run = await db
+        .collection("rssSyncRuns")
+        .findOne({ _id: new ObjectId(id) });
+
+      if (!run) {
+        return response.status(404).json({ error: "Sync run not found" });
+      }
+
+      response.json({ run: formatSyncRun(run, { includeFeeds: true }) });
+    } catch (error) {
+      console.error("[RSS] Error getting sync run:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
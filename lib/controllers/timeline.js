@@ -0,0 +1,128 @@
+import { ObjectId } from "mongodb";
+import { filterByCategory } from "../categories.js";
+import { buildAtom, buildJsonFeed, buildRss } from "../feed-writer.js";
+import { VISIBLE_QUERY } from "../item-state.js";
+
+/**
+ * Load the merged timeline and its metadata for a request
+ * @param {Object} request - Express request
+ * @returns {Promise<{meta: Object, entries: Array}|null>} Null if no database
+ */
+async function loadTimeline(request) {
+  const { getRssDb, rssConfig } = request.app.locals.application;
+  const db = getRssDb?.();
+  if (!db) return null;
+
+  const limit = Math.min(100, Math.max(1, parseInt(request.query.limit) || 50));
+  const { feedId, category } = request.query;
+  const feedsCollection = db.collection("rssFeeds");
+
+  // Each article once, however many feeds carried it, minus muted items
+  const query = { duplicateOf: null, ...VISIBLE_QUERY };
+  if (feedId && ObjectId.isValid(feedId)) {
+    query.feedId = new ObjectId(feedId);
+  }
+  if (typeof category === "string") {
+    await filterByCategory(query, feedsCollection, category);
+  }
+
+  const items = await db
+    .collection("rssItems")
+    .find(query)
+    .sort({ pubDate: -1 })
+    .limit(limit)
+    .toArray();
+
+  const feedIds = [...new Set(items.map((item) => item.feedId?.toString()))]
+    .filter(Boolean)
+    .map((id) => new ObjectId(id));
+  const feeds = await feedsCollection.find({ _id: { $in: feedIds } }).toArray();
+  const feedsById = new Map(feeds.map((feed) => [feed._id.toString(), feed]));
+
+  const origin = `${request.protocol}://${request.get("host")}`;
+  let title = rssConfig?.timelineTitle || "RSS timeline";
+  if (typeof category === "string") {
+    title += ` - ${category}`;
+  }
+
+  return {
+    meta: {
+      title,
+      description: rssConfig?.timelineDescription || "",
+      homeUrl: `${origin}/`,
+      feedUrl: `${origin}${request.originalUrl}`,
+    },
+    entries: items.map((item) => ({
+      item,
+      feed: feedsById.get(item.feedId?.toString()),
+    })),
+  };
+}
+
+export const timelineController = {
+  /**
+   * Aggregated timeline as RSS 2.0
+   * GET /feed.xml
+   * Query: feedId, category, limit
+   */
+  async rss(request, response) {
+    try {
+      const timeline = await loadTimeline(request);
+      if (!timeline) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      response
+        .type("application/rss+xml; charset=utf-8")
+        .set("Cache-Control", "public, max-age=300")
+        .send(buildRss(timeline.meta, timeline.entries));
+    } catch (error) {
+      console.error("[RSS] Error building RSS timeline:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Aggregated timeline as Atom 1.0
+   * GET /atom.xml
+   * Query: feedId, category, limit
+   */
+  async atom(request, response) {
+    try {
+      const timeline = await loadTimeline(request);
+      if (!timeline) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      response
+        .type("application/atom+xml; charset=utf-8")
+        .set("Cache-Control", "public, max-age=300")
+        .send(buildAtom(timeline.meta, timeline.entries));
+    } catch (error) {
+      console.error("[RSS] Error building Atom timeline:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Aggregated timeline as JSON Feed 1.1
+   * GET /feed.json
+   * Query: feedId, category, limit
+   */
+  async json(request, response) {
+    try {
+      const timeline = await loadTimeline(request);
+      if (!timeline) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      response
+        .type("application/feed+json; charset=utf-8")
+        .set("Cache-Control", "public, max-age=300")
+        .send(JSON.stringify(buildJsonFeed(timeline.meta, timeline.entries)));
+    } catch (error) {
+      console.error("[RSS] Error building JSON Feed timeline:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
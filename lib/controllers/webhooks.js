@@ -0,0 +1,299 @@
+import { ObjectId } from "mongodb";
+import { VISIBLE_QUERY } from "../item-state.js";
+import { formatItem, formatWebhook, formatWebhookDelivery } from "../utils.js";
+import { attemptDelivery, validateWebhook } from "../webhooks.js";
+
+/**
+ * Check that the feed a webhook is limited to exists
+ * @param {Object} db - Database instance
+ * @param {Object} webhook - Validated webhook
+ * @returns {Promise<boolean>}
+ */
+async function feedExists(db, webhook) {
+  if (!webhook.feedId) return true;
+  return Boolean(await db.collection("rssFeeds").findOne({ _id: webhook.feedId }));
+}
+
+export const webhooksController = {
+  /**
+   * List webhook targets
+   * GET /api/webhooks
+   */
+  async list(request, response) {
+    try {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const webhooks = await db
+        .collection("rssWebhooks")
+        .find({})
+        .sort({ createdAt: 1 })
+        .toArray();
+
+      response.json({
+        webhooks: webhooks.map(formatWebhook),
+        total: webhooks.length,
+      });
+    } catch (error) {
+      console.error("[RSS] Error listing webhooks:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Add a webhook target
+   * A secret is generated if none is given
+   * POST /api/webhooks
+   * Body: { url, secret?, name?, feedId?, category?, keyword?, enabled? }
+   */
+  async add(request, response) {
+    try {
+      const { webhook, error } = validateWebhook(request.body || {});
+      if (error) {
+        return response.status(400).json({ error });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      if (!(await feedExists(db, webhook))) {
+        return response.status(404).json({
+          error: response.locals.__("rss.error.feedNotFound"),
+        });
+      }
+
+      const now = new Date();
+      const document = { ...webhook, createdAt: now, updatedAt: now };
+      const result = await db.collection("rssWebhooks").insertOne(document);
+      document._id = result.insertedId;
+
+      response.status(201).json({
+        message: response.locals.__("rss.success.webhookAdded"),
+        webhook: formatWebhook(document),
+      });
+    } catch (error) {
+      console.error("[RSS] Error adding webhook:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Update a webhook target
+   * PATCH /api/webhooks/:id
+   * Body: any fields accepted by POST /api/webhooks
+   */
+  async update(request, response) {
+    try {
+      const { id } = request.params;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid webhook ID" });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const webhooksCollection = db.collection("rssWebhooks");
+      const existing = await webhooksCollection.findOne({ _id: new ObjectId(id) });
+      if (!existing) {
+        return response.status(404).json({ error: "Webhook not found" });
+      }
+
+      const { webhook, error } = validateWebhook(request.body || {}, existing);
+      if (error) {
+        return response.status(400).json({ error });
+      }
+
+      if (!webhook.feedId?.equals(existing.feedId) && !(await feedExists(db, webhook))) {
+        return response.status(404).json({
+          error: response.locals.__("rss.error.feedNotFound"),
+        });
+      }
+
+      const updated = await webhooksCollection.findOneAndUpdate(
+        { _id: existing._id },
+        { $set: { ...webhook, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+
+      response.json({
+        message: response.locals.__("rss.success.webhookUpdated"),
+        webhook: formatWebhook(updated),
+      });
+    } catch (error) {
+      console.error("[RSS] Error updating webhook:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Remove a webhook target and its delivery log
+   * DELETE /api/webhooks/:id
+   */
+  async remove(request, response) {
+    try {
+      const { id } = request.params;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid webhook ID" });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const webhookId = new ObjectId(id);
+      const result = await db
+        .collection("rssWebhooks")
+        .deleteOne({ _id: webhookId });
+
+      if (result.deletedCount === 0) {
+        return response.status(404).json({ error: "Webhook not found" });
+      }
+      await db.collection("rssWebhookDeliveries").deleteMany({ webhookId });
+
+      response.json({
+        message: response.locals.__("rss.success.webhookRemoved"),
+      });
+    } catch (error) {
+      console.error("[RSS] Error removing webhook:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Send the most recent item to a webhook target straight away
+   * Test deliveries are logged but not retried
+   * POST /api/webhooks/:id/test
+   */
+  async test(request, response) {
+    try {
+      const { id } = request.params;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid webhook ID" });
+      }
+
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const webhook = await db
+        .collection("rssWebhooks")
+        .findOne({ _id: new ObjectId(id) });
+      if (!webhook) {
+        return response.status(404).json({ error: "Webhook not found" });
+      }
+
+      const itemQuery = { duplicateOf: null, ...VISIBLE_QUERY };
+      if (webhook.feedId) {
+        itemQuery.feedId = webhook.feedId;
+      }
+      const item = await db
+        .collection("rssItems")
+        .findOne(itemQuery, { sort: { pubDate: -1 } });
+
+      const now = new Date();
+      const deliveriesCollection = db.collection("rssWebhookDeliveries");
+      const delivery = {
+        webhookId: webhook._id,
+        event: "test",
+        payload: item
+          ? formatItem(item)
+          : { title: "Test delivery", link: null, feedTitle: null },
+        state: "sending",
+        attempts: 0,
+        test: true,
+        history: [],
+        createdAt: now,
+        claimedAt: now,
+      };
+      const result = await deliveriesCollection.insertOne(delivery);
+      delivery._id = result.insertedId;
+
+      const updated = await attemptDelivery(
+        deliveriesCollection,
+        webhook,
+        delivery,
+        rssConfig || {},
+      );
+      const delivered = updated.state === "delivered";
+
+      response.json({
+        message: delivered
+          ? response.locals.__("rss.webhooks.testDelivered")
+          : `${response.locals.__("rss.webhooks.testFailed")}: ${updated.lastError}`,
+        delivered,
+        delivery: formatWebhookDelivery(updated),
+      });
+    } catch (error) {
+      console.error("[RSS] Error testing webhook:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Delivery log of a webhook target, newest first
+   * GET /api/webhooks/:id/deliveries
+   * Query: page, limit, state
+   */
+  async deliveries(request, response) {
+    try {
+      const { id } = request.params;
+
+      if (!ObjectId.isValid(id)) {
+        return response.status(400).json({ error: "Invalid webhook ID" });
+      }
+
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const page = Math.max(1, parseInt(request.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(request.query.limit) || 20));
+      const skip = (page - 1) * limit;
+
+      const query = { webhookId: new ObjectId(id) };
+      if (typeof request.query.state === "string") {
+        query.state = request.query.state;
+      }
+
+      const deliveriesCollection = db.collection("rssWebhookDeliveries");
+      const [deliveries, total] = await Promise.all([
+        deliveriesCollection
+          .find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .toArray(),
+        deliveriesCollection.countDocuments(query),
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+      response.json({
+        deliveries: deliveries.map(formatWebhookDelivery),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("[RSS] Error listing webhook deliveries:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
@@ -0,0 +1,176 @@
+import { ObjectId } from "mongodb";
+import { RssClient } from "../rss-client.js";
+import { ingestPushedFeed } from "../sync.js";
+import { DEFAULT_LEASE_SECONDS, verifySignature } from "../websub.js";
+
+/**
+ * Load the feed a callback URL belongs to
+ * @param {Object} db - Database instance
+ * @param {string} id - Feed ID from the callback URL
+ * @returns {Promise<Object|null>}
+ */
+async function findFeed(db, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return db.collection("rssFeeds").findOne({ _id: new ObjectId(id) });
+}
+
+export const websubController = {
+  /**
+   * Answer a hub verifying a (un)subscription request, or denying one
+   * GET /websub/:id
+   * Query: hub.mode, hub.topic, hub.challenge, hub.lease_seconds, hub.reason
+   */
+  async verify(request, response) {
+    try {
+      const db = request.app.locals.application.getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const mode = request.query["hub.mode"];
+      const topic = request.query["hub.topic"];
+      const challenge = request.query["hub.challenge"];
+      const feed = await findFeed(db, request.params.id);
+      const { websub } = feed || {};
+      const feedsCollection = db.collection("rssFeeds");
+
+      if (mode === "denied") {
+        if (websub && websub.topic === topic) {
+          const reason = request.query["hub.reason"] || null;
+          await feedsCollection.updateOne(
+            { _id: feed._id },
+            { $set: { "websub.state": "denied", "websub.error": reason } },
+          );
+          console.warn(
+            `[RSS] WebSub hub denied subscription to ${topic}${reason ? `: ${reason}` : ""}`,
+          );
+        }
+        return response.sendStatus(200);
+      }
+
+      if (typeof challenge !== "string" || !challenge) {
+        return response.status(400).json({ error: "Missing hub.challenge" });
+      }
+
+      if (mode === "subscribe") {
+        if (
+          !feed?.enabled ||
+          !websub ||
+          websub.topic !== topic ||
+          !["pending", "active"].includes(websub.state)
+        ) {
+          return response.status(404).json({ error: "Subscription not found" });
+        }
+
+        const leaseSeconds =
+          parseInt(request.query["hub.lease_seconds"], 10) ||
+          DEFAULT_LEASE_SECONDS;
+        const now = new Date();
+        await feedsCollection.updateOne(
+          { _id: feed._id },
+          {
+            $set: {
+              "websub.state": "active",
+              "websub.verifiedAt": now,
+              "websub.leaseSeconds": leaseSeconds,
+              "websub.expiresAt": new Date(now.getTime() + leaseSeconds * 1000),
+              "websub.error": null,
+            },
+          },
+        );
+        if (websub.state !== "active") {
+          console.log(`[RSS] WebSub subscription to ${topic} verified`);
+        }
+        return response.type("text/plain").send(challenge);
+      }
+
+      if (mode === "unsubscribe") {
+        // Confirm for removed feeds too, so the hub stops pushing to them
+        if (
+          feed &&
+          (!websub || websub.topic !== topic || websub.state !== "unsubscribing")
+        ) {
+          return response.status(404).json({ error: "Subscription not found" });
+        }
+
+        if (feed) {
+          await feedsCollection.updateOne(
+            { _id: feed._id },
+            { $set: { "websub.state": "unsubscribed", "websub.expiresAt": null } },
+          );
+        }
+        return response.type("text/plain").send(challenge);
+      }
+
+      response.status(400).json({ error: "Invalid hub.mode" });
+    } catch (error) {
+      console.error("[RSS] Error verifying WebSub subscription:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Receive content pushed by a hub
+   * Content with a missing or wrong signature is acknowledged but ignored,
+   * as the spec requires
+   * POST /websub/:id
+   * Body: feed document (RSS, Atom or JSON Feed)
+   */
+  async receive(request, response) {
+    try {
+      const { getRssDb, rssConfig } = request.app.locals.application;
+      const db = getRssDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      const feed = await findFeed(db, request.params.id);
+      if (!feed?.enabled || !feed.websub?.secret) {
+        return response.status(404).json({ error: "Subscription not found" });
+      }
+
+      const body = Buffer.isBuffer(request.body) ? request.body : Buffer.alloc(0);
+      if (
+        !verifySignature(
+          request.get("x-hub-signature"),
+          feed.websub.secret,
+          body,
+        )
+      ) {
+        console.warn(`[RSS] Ignoring WebSub push for ${feed.url}: bad signature`);
+        return response.sendStatus(202);
+      }
+
+      const client = new RssClient({
+        timeout: rssConfig?.fetchTimeout || 10_000,
+      });
+      let parsed;
+      try {
+        parsed = await client.parseFeed(
+          body.toString("utf8"),
+          feed.url,
+          request.get("content-type") || "",
+        );
+      } catch (error) {
+        console.error(`[RSS] Unreadable WebSub push for ${feed.url}: ${error.message}`);
+        return response.status(400).json({ error: "Unreadable feed document" });
+      }
+
+      const result = await ingestPushedFeed(db, feed, parsed, rssConfig || {});
+      if (result.deferred) {
+        console.log(
+          `[RSS] WebSub push for ${feed.url} left to the next sync (sync in progress)`,
+        );
+      } else if (result.itemsAdded > 0 || result.itemsUpdated > 0) {
+        console.log(
+          `[RSS] WebSub push for ${feed.url}: ${result.itemsAdded} new items, ${result.itemsUpdated} updated`,
+        );
+      }
+
+      response.sendStatus(200);
+    } catch (error) {
+      console.error("[RSS] Error receiving WebSub push:", error.message);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
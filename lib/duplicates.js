@@ -0,0 +1,200 @@
+import { createHash } from "node:crypto";
+import { stripHtml } from "./utils.js";
+
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_hsenc",
+  "_hsmi",
+  "ref",
+  "ref_src",
+]);
+
+const MIN_FINGERPRINT_LENGTH = 100;
+const FINGERPRINT_LENGTH = 500;
+const TITLE_MATCH_WINDOW = 3 * 86_400_000; // 3 days
+
+/**
+ * Canonicalize a link for comparison
+ * Drops scheme, www., fragment, trailing slash and tracking parameters
+ * @param {string} link - Item link
+ * @returns {string|null}
+ */
+export function canonicalizeLink(link) {
+  if (!link) return null;
+  try {
+    const url = new URL(link);
+    for (const key of [...url.searchParams.keys()]) {
+      if (key.toLowerCase().startsWith("utm_") || TRACKING_PARAMS.has(key.toLowerCase())) {
+        url.searchParams.delete(key);
+      }
+    }
+    url.searchParams.sort();
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, "");
+    const pathname = url.pathname.replace(/\/+$/, "");
+    const search = url.searchParams.toString();
+    return `${host}${url.port ? `:${url.port}` : ""}${pathname}${search ? `?${search}` : ""}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the host of a link, without www.
+ * @param {string} link - Item link
+ * @returns {string|null}
+ */
+function linkHost(link) {
+  if (!link) return null;
+  try {
+    return new URL(link).hostname.toLowerCase().replace(/^www\./, "") || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize text for comparison (case, accents, punctuation, whitespace)
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Get keys used to detect the same article across feeds
+ * @param {Object} item - Normalized item from RssClient
+ * @returns {{canonicalLink: string|null, titleKey: string|null, contentHash: string|null}}
+ */
+export function getDuplicateKeys(item) {
+  const titleKey = item.title && item.title !== "Untitled"
+    ? normalizeText(item.title) || null
+    : null;
+
+  const text = normalizeText(stripHtml(item.content || item.description));
+  const contentHash = text.length >= MIN_FINGERPRINT_LENGTH
+    ? createHash("sha1").update(text.slice(0, FINGERPRINT_LENGTH)).digest("hex")
+    : null;
+
+  return {
+    canonicalLink: canonicalizeLink(item.link),
+    titleKey,
+    contentHash,
+  };
+}
+
+/**
+ * Group a newly inserted item under an earlier copy from another feed
+ * The earliest copy stays the primary and lists the copies from other feeds
+ * @param {Collection} itemsCollection - Items collection
+ * @param {Object} item - Inserted item document (with _id and duplicate keys)
+ * @returns {Promise<ObjectId|null>} Primary item ID, or null if not a duplicate
+ */
+export async function groupDuplicate(itemsCollection, item) {
+  const matches = [];
+  if (item.canonicalLink) {
+    matches.push({ canonicalLink: item.canonicalLink });
+  }
+  if (item.contentHash) {
+    matches.push({ contentHash: item.contentHash });
+  }
+  // Titles such as "Weekly links" are too common to match on their own, so
+  // the copy must also link to the same site
+  const host = linkHost(item.link);
+  if (item.titleKey && item.pubDate && host) {
+    const pubDate = new Date(item.pubDate);
+    const hostPattern = host.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    matches.push({
+      titleKey: item.titleKey,
+      pubDate: {
+        $gte: new Date(pubDate.getTime() - TITLE_MATCH_WINDOW),
+        $lte: new Date(pubDate.getTime() + TITLE_MATCH_WINDOW),
+      },
+      link: {
+        $regex: `^https?://(www\\.)?${hostPattern}(:\\d+)?([/?#]|$)`,
+        $options: "i",
+      },
+    });
+  }
+
+  if (matches.length === 0) return null;
+
+  const primary = await itemsCollection.findOne(
+    {
+      _id: { $ne: item._id },
+      feedId: { $ne: item.feedId },
+      duplicateOf: null,
+      $or: matches,
+    },
+    { sort: { fetchedAt: 1 } },
+  );
+
+  if (!primary) return null;
+
+  await itemsCollection.updateOne(
+    { _id: item._id },
+    { $set: { duplicateOf: primary._id } },
+  );
+  await itemsCollection.updateOne(
+    { _id: primary._id },
+    { $addToSet: { duplicates: describeCopy(item) } },
+  );
+
+  return primary._id;
+}
+
+/**
+ * Describe where a copy of an item came from
+ * @param {Object} item - Item document
+ * @returns {Object}
+ */
+function describeCopy(item) {
+  return {
+    itemId: item._id,
+    feedId: item.feedId,
+    feedTitle: item.feedTitle,
+    link: item.link || null,
+  };
+}
+
+/**
+ * Delete items, keeping duplicate groups consistent
+ * Copies of a deleted primary become primaries again, and deleted copies are
+ * removed from their primary's list of duplicates
+ * @param {Collection} itemsCollection - Items collection
+ * @param {Object} query - Items query
+ * @returns {Promise<number>} Number of items deleted
+ */
+export async function deleteItems(itemsCollection, query) {
+  const deleted = await itemsCollection
+    .find(query, { projection: { _id: 1 } })
+    .toArray();
+  if (deleted.length === 0) return 0;
+
+  const ids = deleted.map((item) => item._id);
+  const result = await itemsCollection.deleteMany({ _id: { $in: ids } });
+
+  await itemsCollection.updateMany(
+    { duplicateOf: { $in: ids } },
+    { $set: { duplicateOf: null } },
+  );
+  await itemsCollection.updateMany(
+    { "duplicates.itemId": { $in: ids } },
+    { $pull: { duplicates: { itemId: { $in: ids } } } },
+  );
+
+  return result.deletedCount;
+}
@@ -0,0 +1,84 @@
+import { EventEmitter } from "node:events";
+
+// Events live in this process only: with several instances, clients hear
+// only about syncs and pushes handled by the one they are connected to
+
+const BUFFER_SIZE = 500;
+
+// Prefix for event IDs, so a client reconnecting after a restart is detected
+const STREAM_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+let sequence = 0;
+
+/**
+ * Publish an event to connected clients
+ * @param {string} type - item.added, feed.updated, feed.error, sync.started,
+ *   sync.progress or sync.finished
+ * @param {Object} data - Event payload
+ * @param {Object} [feed] - Feed document the event is about, for filtering
+ */
+export function publishEvent(type, data, feed) {
+  const event = {
+    id: `${STREAM_ID}-${++sequence}`,
+    sequence,
+    type,
+    feedId: feed?._id?.toString() || null,
+    categories: feed?.categories || [],
+    data,
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  emitter.emit("event", event);
+}
+
+/**
+ * Listen for published events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Stops listening
+ */
+export function subscribeEvents(listener) {
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+}
+
+/**
+ * Get the events a reconnecting client missed
+ * After a restart the client's ID is from an earlier stream, so everything
+ * buffered since is replayed
+ * @param {string} [lastEventId] - Last-Event-ID sent by the client
+ * @returns {Array<Object>}
+ */
+export function getEventsSince(lastEventId) {
+  if (typeof lastEventId !== "string" || !lastEventId) return [];
+
+  const [stream, last] = lastEventId.split("-");
+  if (stream !== STREAM_ID) {
+    return [...recentEvents];
+  }
+
+  return recentEvents.filter((event) => event.sequence > Number(last));
+}
+
+/**
+ * Check whether an event matches a client's filters
+ * Events not about a feed (sync.started, sync.finished) always match
+ * @param {Object} event - Published event
+ * @param {Object} filters - Client filters
+ * @param {string} [filters.feedId] - Only events about this feed
+ * @param {string} [filters.category] - Only events about feeds in this category
+ * @returns {boolean}
+ */
+export function matchesFilters(event, { feedId, category }) {
+  if (!event.feedId) return true;
+  if (feedId && event.feedId !== feedId) return false;
+  if (category && !event.categories.includes(category)) return false;
+  return true;
+}
@@ -0,0 +1,181 @@
+import { deleteItems } from "./duplicates.js";
+import { normalizeUrl } from "./utils.js";
+import { unsubscribe } from "./websub.js";
+
+// Item fields set by the user (read, star, playback and queue state)
+const USER_STATE_PROJECTION = {
+  guid: 1,
+  read: 1,
+  readAt: 1,
+  starred: 1,
+  starredAt: 1,
+  played: 1,
+  playedAt: 1,
+  playbackPosition: 1,
+  playbackUpdatedAt: 1,
+  queuePosition: 1,
+  queuedAt: 1,
+};
+
+// Flags that stay set once either copy of an item has them, with their date
+const USER_FLAGS = [
+  ["read", "readAt"],
+  ["starred", "starredAt"],
+  ["played", "playedAt"],
+];
+
+/**
+ * Move a feed to the URL it permanently redirects to
+ * If another feed already has that URL, the two are merged into it
+ * @param {Object} db - Database instance
+ * @param {Object} feed - Feed document
+ * @param {string} newUrl - New feed URL
+ * @param {Object} options - Plugin options
+ * @returns {Promise<{feed: Object, merged: boolean}>} The feed now holding the subscription
+ */
+export async function moveFeed(db, feed, newUrl, options) {
+  // Stored like subscribed URLs, so the unique index catches the same feed
+  const url = normalizeUrl(newUrl);
+  const feedsCollection = db.collection("rssFeeds");
+  const move = { url: feed.url, movedAt: new Date().toISOString() };
+
+  try {
+    await feedsCollection.updateOne(
+      { _id: feed._id },
+      { $set: { url }, $push: { urlHistory: move } },
+    );
+    return {
+      feed: { ...feed, url, urlHistory: [...(feed.urlHistory || []), move] },
+      merged: false,
+    };
+  } catch (error) {
+    // Anything but the unique URL index rejecting the move is a real error
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const target = await feedsCollection.findOne({ url });
+  await mergeFeeds(db, feed, target, move, options);
+
+  return { feed: await feedsCollection.findOne({ _id: target._id }), merged: true };
+}
+
+/**
+ * Get the user state a merged copy of an item adds to the copy that is kept
+ * Read, starred and played stick if either copy has them, the latest playback
+ * position wins, and the item keeps its place in the queue
+ * @param {Object} kept - Item kept (USER_STATE_PROJECTION fields)
+ * @param {Object} merged - Item merged into it (USER_STATE_PROJECTION fields)
+ * @returns {Object} Fields to set on the kept item
+ */
+function mergeUserState(kept, merged) {
+  const fields = {};
+  for (const [flag, date] of USER_FLAGS) {
+    if (merged[flag] && !kept[flag]) {
+      fields[flag] = true;
+      fields[date] = merged[date] ?? null;
+    }
+  }
+  if (
+    merged.playbackUpdatedAt &&
+    !(kept.playbackUpdatedAt >= merged.playbackUpdatedAt)
+  ) {
+    fields.playbackPosition = merged.playbackPosition ?? 0;
+    fields.playbackUpdatedAt = merged.playbackUpdatedAt;
+  }
+  if (merged.queuePosition >= 0 && !(kept.queuePosition >= 0)) {
+    fields.queuePosition = merged.queuePosition;
+    fields.queuedAt = merged.queuedAt ?? null;
+  }
+  return fields;
+}
+
+/**
+ * Merge a feed into another subscription to the same feed
+ * Items, filter rules and webhooks move across (the target's copy of an item
+ * wins when both have one, with the user state of both), categories are kept,
+ * and the merged feed is unsubscribed from its hub and removed
+ * @param {Object} db - Database instance
+ * @param {Object} feed - Feed document to merge and remove
+ * @param {Object} target - Feed document to merge into
+ * @param {Object} move - URL history entry for the merged feed
+ * @param {Object} options - Plugin options
+ */
+async function mergeFeeds(db, feed, target, move, options) {
+  const feedsCollection = db.collection("rssFeeds");
+  const itemsCollection = db.collection("rssItems");
+
+  // Items both feeds have: keep the target's, with the state of both copies
+  const targetItems = await itemsCollection
+    .find({ feedId: target._id }, { projection: USER_STATE_PROJECTION })
+    .toArray();
+  const targetItemsByGuid = new Map(
+    targetItems.map((item) => [item.guid, item]),
+  );
+  const targetGuids = [...targetItemsByGuid.keys()];
+  const sharedItems = await itemsCollection
+    .find(
+      { feedId: feed._id, guid: { $in: targetGuids } },
+      { projection: USER_STATE_PROJECTION },
+    )
+    .toArray();
+  const stateUpdates = sharedItems
+    .map((item) => {
+      const kept = targetItemsByGuid.get(item.guid);
+      return { _id: kept._id, fields: mergeUserState(kept, item) };
+    })
+    .filter(({ fields }) => Object.keys(fields).length > 0);
+  if (stateUpdates.length > 0) {
+    await itemsCollection.bulkWrite(
+      stateUpdates.map(({ _id, fields }) => ({
+        updateOne: { filter: { _id }, update: { $set: fields } },
+      })),
+      { ordered: false },
+    );
+  }
+  await deleteItems(itemsCollection, {
+    feedId: feed._id,
+    guid: { $in: targetGuids },
+  });
+
+  // Everything else moves to the target
+  await itemsCollection.updateMany(
+    { feedId: feed._id },
+    { $set: { feedId: target._id, feedTitle: target.title } },
+  );
+  await itemsCollection.updateMany(
+    { "duplicates.feedId": feed._id },
+    {
+      $set: {
+        "duplicates.$[copy].feedId": target._id,
+        "duplicates.$[copy].feedTitle": target.title,
+      },
+    },
+    { arrayFilters: [{ "copy.feedId": feed._id }] },
+  );
+
+  const itemCount = await itemsCollection.countDocuments({
+    feedId: target._id,
+  });
+  await feedsCollection.updateOne(
+    { _id: target._id },
+    {
+      $set: { itemCount },
+      $addToSet: { categories: { $each: feed.categories || [] } },
+      $push: { urlHistory: { $each: [...(feed.urlHistory || []), move] } },
+    },
+  );
+  await db
+    .collection("rssRules")
+    .updateMany({ feedId: feed._id }, { $set: { feedId: target._id } });
+  await db
+    .collection("rssWebhooks")
+    .updateMany({ feedId: feed._id }, { $set: { feedId: target._id } });
+
+  // Pushes for the merged feed would otherwise land on a removed feed
+  if (feed.websub) {
+    await unsubscribe(feedsCollection, feed, options);
+  }
+  await feedsCollection.deleteOne({ _id: feed._id });
+}
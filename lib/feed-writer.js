@@ -0,0 +1,196 @@
+import { escapeXml, sanitizeHtml, stripHtml } from "./utils.js";
+
+/**
+ * Get the date an item should be published under
+ * @param {Object} item - Item document
+ * @returns {Date}
+ */
+function itemDate(item) {
+  const date = new Date(item.pubDate || item.fetchedAt || Date.now());
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Get an item's sanitized content, with links made absolute
+ * @param {Object} item - Item document
+ * @returns {string}
+ */
+function itemContent(item) {
+  return sanitizeHtml(item.content || item.description, { baseUrl: item.link });
+}
+
+/**
+ * Get where an item originally came from
+ * Aggregated items (FreshRSS etc.) credit their origin rather than the aggregator
+ * @param {Object} item - Item document
+ * @param {Object} [feed] - Feed document the item was fetched from
+ * @returns {{title: string, url: string|null, feedUrl: string|null}}
+ */
+function itemSource(item, feed) {
+  if (item.origin?.title || item.sourceTitle) {
+    return {
+      title: item.sourceTitle || item.origin.title,
+      url: item.sourceUrl || item.origin?.htmlUrl || null,
+      feedUrl: item.origin?.feedUrl || null,
+    };
+  }
+
+  return {
+    title: feed?.title || item.feedTitle || "",
+    url: feed?.siteUrl || null,
+    feedUrl: feed?.url || null,
+  };
+}
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} meta - Channel metadata (title, description, homeUrl, feedUrl)
+ * @param {Array<{item: Object, feed: Object}>} entries - Items with their source feeds
+ * @returns {string}
+ */
+export function buildRss(meta, entries) {
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">`,
+    `  <channel>`,
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.homeUrl)}</link>`,
+    `    <description>${escapeXml(meta.description)}</description>`,
+    `    <atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+  ];
+
+  for (const { item, feed } of entries) {
+    const source = itemSource(item, feed);
+    lines.push(`    <item>`);
+    lines.push(`      <title>${escapeXml(item.title)}</title>`);
+    if (item.link) {
+      lines.push(`      <link>${escapeXml(item.link)}</link>`);
+    }
+    lines.push(
+      `      <guid isPermaLink="false">${escapeXml(`${item.feedId}:${item.guid}`)}</guid>`,
+      `      <pubDate>${itemDate(item).toUTCString()}</pubDate>`,
+    );
+    if (item.author) {
+      lines.push(`      <dc:creator>${escapeXml(item.author)}</dc:creator>`);
+    }
+    for (const category of item.categories || []) {
+      lines.push(`      <category>${escapeXml(category)}</category>`);
+    }
+    lines.push(
+      `      <description>${escapeXml(itemContent(item))}</description>`,
+    );
+    if (source.feedUrl) {
+      lines.push(
+        `      <source url="${escapeXml(source.feedUrl)}">${escapeXml(source.title)}</source>`,
+      );
+    }
+    lines.push(`    </item>`);
+  }
+
+  lines.push(`  </channel>`, `</rss>`, "");
+  return lines.join("\n");
+}
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} meta - Feed metadata (title, description, homeUrl, feedUrl)
+ * @param {Array<{item: Object, feed: Object}>} entries - Items with their source feeds
+ * @returns {string}
+ */
+export function buildAtom(meta, entries) {
+  const updated = entries.length > 0 ? itemDate(entries[0].item) : new Date();
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <id>${escapeXml(meta.feedUrl)}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+  ];
+  if (meta.description) {
+    lines.push(`  <subtitle>${escapeXml(meta.description)}</subtitle>`);
+  }
+  lines.push(
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.feedUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(meta.homeUrl)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+  );
+
+  for (const { item, feed } of entries) {
+    const source = itemSource(item, feed);
+    const date = itemDate(item).toISOString();
+    lines.push(
+      `  <entry>`,
+      `    <id>${escapeXml(`tag:${item.feedId},${item.guid}`)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+    );
+    if (item.link) {
+      lines.push(`    <link rel="alternate" href="${escapeXml(item.link)}"/>`);
+    }
+    lines.push(`    <published>${date}</published>`, `    <updated>${date}</updated>`);
+    lines.push(
+      `    <author><name>${escapeXml(item.author || source.title)}</name></author>`,
+    );
+    for (const category of item.categories || []) {
+      lines.push(`    <category term="${escapeXml(category)}"/>`);
+    }
+    if (item.description) {
+      lines.push(
+        `    <summary>${escapeXml(stripHtml(item.description))}</summary>`,
+      );
+    }
+    lines.push(
+      `    <content type="html">${escapeXml(itemContent(item))}</content>`,
+      `    <source>`,
+    );
+    if (source.feedUrl) {
+      lines.push(`      <id>${escapeXml(source.feedUrl)}</id>`);
+    }
+    lines.push(`      <title>${escapeXml(source.title)}</title>`);
+    if (source.url) {
+      lines.push(`      <link rel="alternate" href="${escapeXml(source.url)}"/>`);
+    }
+    if (source.feedUrl) {
+      lines.push(`      <link rel="self" href="${escapeXml(source.feedUrl)}"/>`);
+    }
+    lines.push(`    </source>`, `  </entry>`);
+  }
+
+  lines.push(`</feed>`, "");
+  return lines.join("\n");
+}
+
+/**
+ * Build a JSON Feed 1.1 document
+ * Sources are attributed with a `_source` extension object
+ * @param {Object} meta - Feed metadata (title, description, homeUrl, feedUrl)
+ * @param {Array<{item: Object, feed: Object}>} entries - Items with their source feeds
+ * @returns {Object}
+ */
+export function buildJsonFeed(meta, entries) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    home_page_url: meta.homeUrl,
+    feed_url: meta.feedUrl,
+    ...(meta.description && { description: meta.description }),
+    items: entries.map(({ item, feed }) => {
+      const source = itemSource(item, feed);
+      return {
+        id: `${item.feedId}:${item.guid}`,
+        ...(item.link && { url: item.link }),
+        title: item.title,
+        content_html: itemContent(item),
+        ...(item.description && { summary: stripHtml(item.description) }),
+        ...(item.imageUrl && { image: item.imageUrl }),
+        date_published: itemDate(item).toISOString(),
+        authors: [{ name: item.author || source.title }],
+        tags: item.categories || [],
+        _source: {
+          title: source.title,
+          home_page_url: source.url,
+          feed_url: source.feedUrl,
+        },
+      };
+    }),
+  };
+}
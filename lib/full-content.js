@@ -0,0 +1,66 @@
+import { Readability } from "@mozilla/readability";
+import { parseHTML } from "linkedom";
+import { isValidUrl, sanitizeHtml } from "./utils.js";
+
+// Pages with less readable text than this are not treated as articles
+const MIN_ARTICLE_LENGTH = 250;
+
+/**
+ * Extract the main article from a web page
+ * Uses Mozilla's Readability (the Firefox reader view) on a linkedom
+ * document, which drops navigation, sidebars, comments and hidden blocks
+ * @param {string} html - HTML page
+ * @param {string} baseUrl - URL of the page, for resolving relative links
+ * @returns {{content: string, textLength: number}|null} Article HTML,
+ *   sanitized with the rich profile, or null when the page has no
+ *   article-like content
+ */
+export function extractArticle(html, baseUrl) {
+  if (!html) return null;
+
+  const { document } = parseHTML(html);
+  const article = new Readability(document).parse();
+  if (!article?.content) return null;
+
+  const textLength = article.textContent.trim().length;
+  if (textLength < MIN_ARTICLE_LENGTH) return null;
+
+  const content = sanitizeHtml(article.content, { profile: "rich", baseUrl });
+  return content ? { content, textLength } : null;
+}
+
+/**
+ * Fetch and extract the full article behind each item
+ * Items are fetched one after another. During a sync this runs in the
+ * feed's slot, within maxConcurrentFetches; pushed items are fetched in
+ * the background, outside that limit
+ * @param {Collection} itemsCollection - Items collection
+ * @param {RssClient} client - RSS client
+ * @param {Array<{_id: ObjectId, link: string}>} items - New items
+ * @returns {Promise<number>} Number of articles extracted
+ */
+export async function fetchFullContent(itemsCollection, client, items) {
+  let extracted = 0;
+
+  for (const item of items) {
+    if (!isValidUrl(item.link)) continue;
+
+    const update = { fullContentFetchedAt: new Date().toISOString() };
+    try {
+      const { html, url } = await client.fetchArticle(item.link);
+      const article = extractArticle(html, url);
+      if (!article) {
+        throw new Error("No article content found");
+      }
+      update.fullContent = article.content;
+      update.fullContentError = null;
+      extracted++;
+    } catch (error) {
+      update.fullContentError = error.message;
+    }
+
+    await itemsCollection.updateOne({ _id: item._id }, { $set: update });
+  }
+
+  return extracted;
+}
@@ -0,0 +1,82 @@
+const MAX_FAILURE_HISTORY = 10;
+const DEFAULT_AUTO_DISABLE_DAYS = 7;
+
+/**
+ * Feed fields to set after a successful fetch
+ * @param {number} status - HTTP status (200 or 304)
+ * @returns {Object}
+ */
+export function recordSuccess(status) {
+  return {
+    consecutiveFailures: 0,
+    failingSince: null,
+    lastSuccessAt: new Date().toISOString(),
+    lastStatus: status,
+    lastError: null,
+  };
+}
+
+/**
+ * Feed update after a failed fetch
+ * Keeps a short failure history, and disables feeds that are gone (HTTP 410)
+ * or have been failing too long
+ * @param {Object} feed - Feed document
+ * @param {Error} error - Fetch error (HTTP status in error.cause.status)
+ * @param {Object} options - Plugin options
+ * @returns {{update: Object, consecutiveFailures: number, disabled: boolean, gone: boolean}}
+ */
+export function recordFailure(feed, error, options = {}) {
+  const now = new Date();
+  const status = error.cause?.status || null;
+  const consecutiveFailures = (feed.consecutiveFailures || 0) + 1;
+  const failingSince = feed.failingSince || now.toISOString();
+
+  const autoDisableDays =
+    options.autoDisableAfterDays ?? DEFAULT_AUTO_DISABLE_DAYS;
+  const gone = status === 410;
+  const disabled =
+    gone ||
+    (autoDisableDays > 0 &&
+      now - new Date(failingSince) >= autoDisableDays * 86_400_000);
+
+  const update = {
+    $set: {
+      consecutiveFailures,
+      failingSince,
+      lastStatus: status,
+      lastError: error.message,
+      lastFetchedAt: now.toISOString(),
+    },
+    $push: {
+      failureHistory: {
+        $each: [{ at: now.toISOString(), status, error: error.message }],
+        $position: 0,
+        $slice: MAX_FAILURE_HISTORY,
+      },
+    },
+  };
+
+  if (disabled) {
+    update.$set.enabled = false;
+    update.$set.disabledAt = now.toISOString();
+    update.$set.disabledReason = gone
+      ? "Feed is gone (HTTP 410)"
+      : `Failing since ${failingSince} (${consecutiveFailures} attempts): ${error.message}`;
+  }
+
+  return { update, consecutiveFailures, disabled, gone };
+}
+
+/**
+ * Feed fields that reset health tracking, e.g. when a feed is re-enabled
+ * @returns {Object}
+ */
+export function resetHealth() {
+  return {
+    consecutiveFailures: 0,
+    failingSince: null,
+    disabledAt: null,
+    disabledReason: null,
+    nextFetchAt: null,
+  };
+}
@@ -0,0 +1,350 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { BlockList } from "node:net";
+import { GridFSBucket } from "mongodb";
+import sharp from "sharp";
+import { isValidUrl } from "./utils.js";
+
+const USER_AGENT = "Indiekit-RSS-Reader/1.0 (+https://getindiekit.com)";
+const BUCKET_NAME = "rssImages";
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_INPUT_PIXELS = 40_000_000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Widths thumbnails can be resized to; anything else is refused
+export const THUMBNAIL_WIDTHS = [64, 160, 320, 640, 1280];
+export const DEFAULT_WIDTH = 640;
+
+// Vector images can carry scripts, so only raster formats are proxied
+const IMAGE_TYPES = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/avif",
+]);
+
+// Loopback, private, link-local and other non-public networks
+const PRIVATE_NETWORKS = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+let storedSecret = null;
+
+// Thumbnails being resized, by cache key, so concurrent misses share one
+const pending = new Map();
+
+/**
+ * Get the secret proxied image URLs are signed with
+ * Without imageProxySecret, one is generated and kept in MongoDB so every
+ * instance (and restart) signs the same way
+ * @param {Object} db - Database instance
+ * @param {Object} options - Plugin options
+ * @returns {Promise<string>}
+ */
+export async function getImageProxySecret(db, options) {
+  if (options.imageProxySecret) return options.imageProxySecret;
+  if (storedSecret) return storedSecret;
+
+  const settings = await db.collection("rssSettings").findOneAndUpdate(
+    { _id: "imageProxy" },
+    { $setOnInsert: { secret: randomBytes(32).toString("hex") } },
+    { upsert: true, returnDocument: "after" },
+  );
+  storedSecret = settings.secret;
+  return storedSecret;
+}
+
+/**
+ * Sign an image URL
+ * @param {string} secret - Signing secret
+ * @param {string} url - Remote image URL
+ * @returns {string}
+ */
+export function signImageUrl(secret, url) {
+  return createHmac("sha256", secret).update(url).digest("base64url");
+}
+
+/**
+ * Check an image URL's signature
+ * @param {string} secret - Signing secret
+ * @param {string} url - Remote image URL
+ * @param {string} signature - Signature from the proxied URL
+ * @returns {boolean}
+ */
+export function verifyImageSignature(secret, url, signature) {
+  if (typeof signature !== "string") return false;
+  const expected = Buffer.from(signImageUrl(secret, url));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * Create the function formatItem and formatFeed use to proxy image URLs
+ * @param {Object} db - Database instance
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Function|null>} Called with (url, width), or null when
+ *   proxyImages is off
+ */
+export async function createImageProxy(db, options) {
+  if (!options.proxyImages) return null;
+
+  const secret = await getImageProxySecret(db, options);
+  const base = `${options.publicUrl || ""}${options.mountPath}/image`;
+
+  return (url, width) => {
+    if (!url) return url;
+    const params = new URLSearchParams({
+      url,
+      w: String(width),
+      s: signImageUrl(secret, url),
+    });
+    return `${base}?${params}`;
+  };
+}
+
+/**
+ * Cache key for a resized image, also sent as its ETag
+ * @param {string} url - Remote image URL
+ * @param {number} width - Thumbnail width
+ * @returns {string}
+ */
+export function getCacheKey(url, width) {
+  return createHash("sha256").update(`${width}:${url}`).digest("hex");
+}
+
+/**
+ * Read a response body, giving up past a size limit
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Buffer>}
+ */
+async function readLimited(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw Object.assign(new Error("Image too large"), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Refuse URLs whose host resolves to a loopback or private address
+ * @param {string} url - URL about to be fetched
+ * @returns {Promise<void>}
+ */
+async function assertPublicHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = await lookup(hostname, { all: true });
+  const isPrivate = addresses.some(({ address, family }) =>
+    PRIVATE_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4"),
+  );
+  if (isPrivate) {
+    throw Object.assign(new Error(`Image host not allowed: ${hostname}`), {
+      status: 403,
+    });
+  }
+}
+
+/**
+ * Fetch a remote image, following redirects one hop at a time
+ * Every hop's host is checked, so a redirect can't reach internal services
+ * @param {string} url - Remote image URL
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Response>}
+ */
+async function fetchImage(url, options) {
+  const signal = AbortSignal.timeout(options.fetchTimeout || 10_000);
+  let location = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!options.imageProxyAllowPrivateHosts) {
+      await assertPublicHost(location);
+    }
+
+    const response = await fetch(location, {
+      headers: {
+        "User-Agent": USER_AGENT,
+        Accept: [...IMAGE_TYPES].join(", "),
+      },
+      redirect: "manual",
+      signal,
+    });
+    if (!REDIRECT_STATUSES.has(response.status)) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    const next = response.headers.get("location");
+    location = next && new URL(next, location).href;
+    if (!location || !isValidUrl(location)) {
+      throw Object.assign(new Error("Invalid redirect"), { status: 502 });
+    }
+  }
+
+  throw Object.assign(new Error("Too many redirects"), { status: 502 });
+}
+
+/**
+ * Fetch a remote image and resize it to a thumbnail
+ * @param {string} url - Remote image URL
+ * @param {number} width - Thumbnail width
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Buffer>} WebP image
+ */
+async function fetchThumbnail(url, width, options) {
+  const response = await fetchImage(url, options);
+
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw Object.assign(new Error(`HTTP ${response.status}`), { status: 502 });
+  }
+
+  const contentType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!IMAGE_TYPES.has(contentType)) {
+    await response.body?.cancel();
+    throw Object.assign(
+      new Error(`Unsupported image type: ${contentType || "unknown"}`),
+      { status: 415 },
+    );
+  }
+
+  const maxBytes = options.imageProxyMaxBytes || DEFAULT_MAX_BYTES;
+  if (Number(response.headers.get("content-length")) > maxBytes) {
+    await response.body?.cancel();
+    throw Object.assign(new Error("Image too large"), { status: 413 });
+  }
+
+  const original = await readLimited(response, maxBytes);
+  return sharp(original, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+}
+
+/**
+ * Find a cached thumbnail
+ * @param {GridFSBucket} bucket - Image cache bucket
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} GridFS file document
+ */
+async function findCached(bucket, key) {
+  const [file] = await bucket
+    .find({ filename: key })
+    .sort({ uploadDate: -1 })
+    .limit(1)
+    .toArray();
+  return file || null;
+}
+
+/**
+ * Store a thumbnail in the cache
+ * @param {GridFSBucket} bucket - Image cache bucket
+ * @param {string} key - Cache key
+ * @param {Buffer} image - Thumbnail
+ * @param {Object} metadata - Source URL and width
+ * @returns {Promise<void>}
+ */
+function storeCached(bucket, key, image, metadata) {
+  return new Promise((resolve, reject) => {
+    const upload = bucket.openUploadStream(key, {
+      metadata: { ...metadata, contentType: "image/webp" },
+    });
+    upload.once("finish", resolve);
+    upload.once("error", reject);
+    upload.end(image);
+  });
+}
+
+/**
+ * Get a thumbnail, from the cache or freshly resized
+ * @param {Object} db - Database instance
+ * @param {string} url - Remote image URL
+ * @param {number} width - Thumbnail width
+ * @param {Object} options - Plugin options
+ * @returns {Promise<{key: string, file: Object|null, image: Buffer|null}>}
+ *   A cached file to stream, or a new image to send
+ */
+export async function getThumbnail(db, url, width, options) {
+  const bucket = new GridFSBucket(db, { bucketName: BUCKET_NAME });
+  const key = getCacheKey(url, width);
+
+  const file = await findCached(bucket, key);
+  if (file) {
+    return { key, file, image: null };
+  }
+
+  if (!pending.has(key)) {
+    const resizing = (async () => {
+      const image = await fetchThumbnail(url, width, options);
+      // Another instance may have cached it in the meantime
+      if (!(await findCached(bucket, key))) {
+        await storeCached(bucket, key, image, { url, width });
+      }
+      return { key, file: null, image };
+    })().finally(() => pending.delete(key));
+    pending.set(key, resizing);
+  }
+  return pending.get(key);
+}
+
+/**
+ * Stream a cached thumbnail
+ * @param {Object} db - Database instance
+ * @param {Object} file - GridFS file document
+ * @returns {Readable}
+ */
+export function openThumbnail(db, file) {
+  return new GridFSBucket(db, { bucketName: BUCKET_NAME }).openDownloadStream(
+    file._id,
+  );
+}
+
+/**
+ * Remove cached thumbnails older than the cache lifetime
+ * GridFS files can't use a TTL index, as their chunks would be left behind
+ * @param {Object} db - Database instance
+ * @param {number} cacheDays - Days to keep thumbnails
+ * @returns {Promise<number>} Number of thumbnails removed
+ */
+export async function pruneImageCache(db, cacheDays) {
+  const bucket = new GridFSBucket(db, { bucketName: BUCKET_NAME });
+  const cutoff = new Date(Date.now() - cacheDays * 86_400_000);
+
+  const expired = await bucket
+    .find({ uploadDate: { $lt: cutoff } }, { projection: { _id: 1 } })
+    .toArray();
+  for (const file of expired) {
+    await bucket.delete(file._id);
+  }
+  return expired.length;
+}
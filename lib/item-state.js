@@ -0,0 +1,56 @@
+/**
+ * Query matching items that have not been read
+ * Items cached before read state existed have no `read` field
+ */
+export const UNREAD_QUERY = { read: { $ne: true } };
+
+/**
+ * Query matching items not hidden by a filter rule
+ */
+export const VISIBLE_QUERY = { hidden: { $ne: true } };
+
+/**
+ * Count unread items per feed
+ * Duplicates of items from other feeds and items hidden by filter rules are
+ * not counted, as they are not listed by default
+ * @param {Collection} itemsCollection - Items collection
+ * @returns {Promise<Map<string, number>>} Unread counts keyed by feed ID
+ */
+export async function getUnreadCounts(itemsCollection) {
+  const counts = await itemsCollection
+    .aggregate([
+      { $match: { ...UNREAD_QUERY, ...VISIBLE_QUERY, duplicateOf: null } },
+      { $group: { _id: "$feedId", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return new Map(counts.map(({ _id, count }) => [_id?.toString(), count]));
+}
+
+/**
+ * Add unread counts to feed documents before formatting
+ * @param {Array<Object>} feeds - Feed documents
+ * @param {Map<string, number>} unreadCounts - From getUnreadCounts()
+ * @returns {Array<Object>}
+ */
+export function withUnreadCounts(feeds, unreadCounts) {
+  return feeds.map((feed) => ({
+    ...feed,
+    unreadCount: unreadCounts.get(feed._id?.toString()) || 0,
+  }));
+}
+
+/**
+ * Set read state on all items matching a query
+ * @param {Collection} itemsCollection - Items collection
+ * @param {Object} query - Items query
+ * @param {boolean} [read] - Read state to set
+ * @returns {Promise<number>} Number of items changed
+ */
+export async function setReadState(itemsCollection, query, read = true) {
+  const result = await itemsCollection.updateMany(
+    { ...query, read: read ? { $ne: true } : true },
+    { $set: { read, readAt: read ? new Date().toISOString() : null } },
+  );
+  return result.modifiedCount;
+}
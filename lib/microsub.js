@@ -0,0 +1,229 @@
+import { ObjectId } from "mongodb";
+import { getCategoryFeedIds } from "./categories.js";
+import {
+  getUnreadCounts,
+  UNREAD_QUERY,
+  VISIBLE_QUERY,
+} from "./item-state.js";
+import { decodeEntities, stripHtml } from "./utils.js";
+
+// Items tagged by a filter rule; always the first channel
+export const NOTIFICATIONS_CHANNEL = "notifications";
+
+// Feeds without a category
+export const UNCATEGORIZED_CHANNEL = "uncategorized";
+
+// Every channel, for mark_read
+export const GLOBAL_CHANNEL = "global";
+
+const NOTIFICATIONS_QUERY = { "tags.0": { $exists: true } };
+
+/**
+ * List channels: notifications, then one per category, then uncategorized
+ * @param {Object} db - Database instance
+ * @param {Object} names - Display names of the notifications and
+ *   uncategorized channels
+ * @returns {Promise<Array<{uid: string, name: string, unread: number}>>}
+ */
+export async function getChannels(db, names) {
+  const itemsCollection = db.collection("rssItems");
+  const [feeds, unreadCounts, notificationsUnread] = await Promise.all([
+    db
+      .collection("rssFeeds")
+      .find({}, { projection: { categories: 1 } })
+      .toArray(),
+    getUnreadCounts(itemsCollection),
+    itemsCollection.countDocuments({
+      ...NOTIFICATIONS_QUERY,
+      ...UNREAD_QUERY,
+      ...VISIBLE_QUERY,
+      duplicateOf: null,
+    }),
+  ]);
+
+  const categories = new Map();
+  let uncategorized = null;
+  for (const feed of feeds) {
+    const unread = unreadCounts.get(feed._id.toString()) || 0;
+    if (!feed.categories?.length) {
+      uncategorized = (uncategorized || 0) + unread;
+      continue;
+    }
+    for (const name of feed.categories) {
+      categories.set(name, (categories.get(name) || 0) + unread);
+    }
+  }
+
+  return [
+    {
+      uid: NOTIFICATIONS_CHANNEL,
+      name: names.notifications,
+      unread: notificationsUnread,
+    },
+    ...[...categories.keys()]
+      .sort((a, b) => a.localeCompare(b))
+      .map((name) => ({ uid: name, name, unread: categories.get(name) })),
+    ...(uncategorized === null
+      ? []
+      : [
+          {
+            uid: UNCATEGORIZED_CHANNEL,
+            name: names.uncategorized,
+            unread: uncategorized,
+          },
+        ]),
+  ];
+}
+
+/**
+ * Get the IDs of feeds followed in a channel
+ * @param {Collection} feedsCollection - Feeds collection
+ * @param {string} channel - Channel UID
+ * @returns {Promise<Array<ObjectId>>}
+ */
+export async function getChannelFeedIds(feedsCollection, channel) {
+  if (channel === UNCATEGORIZED_CHANNEL) {
+    const feeds = await feedsCollection
+      .find({ "categories.0": { $exists: false } }, { projection: { _id: 1 } })
+      .toArray();
+    return feeds.map((feed) => feed._id);
+  }
+  return getCategoryFeedIds(feedsCollection, channel);
+}
+
+/**
+ * Build the items query for a channel
+ * Like the items API, duplicates and hidden items are left out
+ * @param {Collection} feedsCollection - Feeds collection
+ * @param {string} channel - Channel UID
+ * @returns {Promise<Object|null>} Null when there is no such channel
+ */
+export async function getChannelQuery(feedsCollection, channel) {
+  const query = { duplicateOf: null, ...VISIBLE_QUERY };
+  if (channel === GLOBAL_CHANNEL) return query;
+  if (channel === NOTIFICATIONS_CHANNEL) {
+    return { ...query, ...NOTIFICATIONS_QUERY };
+  }
+
+  const feedIds = await getChannelFeedIds(feedsCollection, channel);
+  if (feedIds.length === 0 && channel !== UNCATEGORIZED_CHANNEL) return null;
+  return { ...query, feedId: { $in: feedIds } };
+}
+
+/**
+ * Encode an item's place in the timeline as a paging cursor
+ * @param {Object} item - Item document
+ * @returns {string}
+ */
+export function encodeCursor(item) {
+  const time = item.pubDate ? new Date(item.pubDate).getTime() : "";
+  return Buffer.from(`${time}:${item._id}`).toString("base64url");
+}
+
+/**
+ * Decode a paging cursor
+ * @param {string} cursor - From encodeCursor()
+ * @returns {{pubDate: Date|null, _id: ObjectId}|null} Null when malformed
+ */
+export function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(cursor, "base64url").toString().split(":");
+  if (!/^[\da-f]{24}$/i.test(id || "") || !/^\d*$/.test(time)) return null;
+  return {
+    pubDate: time ? new Date(Number(time)) : null,
+    _id: new ObjectId(id),
+  };
+}
+
+/**
+ * Query for the items older ("after") or newer ("before") than a cursor
+ * The timeline is sorted newest first, with undated items last
+ * @param {Object} cursor - From decodeCursor()
+ * @param {string} direction - after or before
+ * @returns {Object}
+ */
+export function getPageQuery({ pubDate, _id }, direction) {
+  if (direction === "after") {
+    return pubDate
+      ? {
+          $or: [
+            { pubDate: { $lt: pubDate } },
+            { pubDate, _id: { $lt: _id } },
+            { pubDate: null },
+          ],
+        }
+      : { pubDate: null, _id: { $lt: _id } };
+  }
+
+  return pubDate
+    ? { $or: [{ pubDate: { $gt: pubDate } }, { pubDate, _id: { $gt: _id } }] }
+    : { $or: [{ pubDate: { $ne: null } }, { pubDate: null, _id: { $gt: _id } }] };
+}
+
+/**
+ * Drop empty properties from a jf2 object
+ * @param {Object} object - jf2 object
+ * @returns {Object}
+ */
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) =>
+        value !== null &&
+        value !== undefined &&
+        value !== "" &&
+        !(Array.isArray(value) && value.length === 0),
+    ),
+  );
+}
+
+/**
+ * Convert a formatted item to a jf2 entry
+ * @param {Object} item - From formatItem(), with content
+ * @param {Object} [feed] - From formatFeed(), for the author card
+ * @returns {Object}
+ */
+export function toJf2Entry(item, feed) {
+  const mediaUrls = (kind) =>
+    item.enclosures
+      .filter((enclosure) => enclosure.type?.startsWith(`${kind}/`))
+      .map((enclosure) => enclosure.url);
+
+  return compact({
+    type: "entry",
+    _id: item.id,
+    _is_read: item.id ? item.read : undefined,
+    url: item.link,
+    name: item.title,
+    published: item.pubDate,
+    updated: item.updatedAt,
+    summary: item.description,
+    content: item.content
+      ? { html: item.content, text: decodeEntities(stripHtml(item.content)) }
+      : null,
+    author: compact({
+      type: "card",
+      name: item.author || feed?.title || item.feedTitle,
+      url: feed?.siteUrl,
+      photo: feed?.imageUrl,
+    }),
+    photo: item.imageUrl ? [item.imageUrl] : [],
+    audio: mediaUrls("audio"),
+    video: mediaUrls("video"),
+    category: item.categories,
+  });
+}
+
+/**
+ * Convert a feed to a jf2 feed
+ * @param {Object} feed - From formatFeed(), or a discovered candidate
+ * @returns {Object}
+ */
+export function toJf2Feed(feed) {
+  return compact({
+    type: "feed",
+    url: feed.url,
+    name: feed.title,
+    photo: feed.imageUrl,
+    description: feed.description,
+  });
+}
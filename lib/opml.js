@@ -0,0 +1,122 @@
+import { escapeXml, parseAttributes } from "./utils.js";
+
+/**
+ * Parse subscriptions from an OPML document
+ * Folder outlines (outlines without xmlUrl) become categories of the feeds they contain
+ * @param {string} xml - OPML document
+ * @returns {Array<{url: string, title: string|null, siteUrl: string|null, categories: Array<string>}>}
+ */
+export function parseOpml(xml) {
+  if (typeof xml !== "string" || !/<opml[\s>]/i.test(xml)) {
+    throw new Error("Not an OPML document");
+  }
+
+  const body = xml.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] || "";
+  const folders = [];
+  const feeds = [];
+
+  // Walk outline start/end tags, tracking the current folder path
+  for (const [tag] of body.matchAll(/<\/?outline\b[^>]*>/gi)) {
+    if (tag.startsWith("</")) {
+      folders.pop();
+      continue;
+    }
+
+    const attributes = parseAttributes(tag);
+    const selfClosing = tag.endsWith("/>");
+    const title = attributes.title || attributes.text || null;
+
+    if (attributes.xmlurl) {
+      const categories = new Set();
+      const folder = folders.findLast(Boolean);
+      if (folder) categories.add(folder);
+
+      // OPML 2.0 category attribute: comma-separated, slash-delimited paths
+      for (const category of (attributes.category || "").split(",")) {
+        const name = category.split("/").findLast((part) => part.trim());
+        if (name) categories.add(name.trim());
+      }
+
+      feeds.push({
+        url: attributes.xmlurl.trim(),
+        title,
+        siteUrl: attributes.htmlurl || null,
+        categories: [...categories],
+      });
+
+      if (!selfClosing) folders.push(null);
+    } else if (!selfClosing) {
+      folders.push(title);
+    }
+  }
+
+  return feeds;
+}
+
+/**
+ * Build an OPML 2.0 document from feed documents
+ * Feeds are grouped in folders by their first category
+ * @param {Array<Object>} feeds - Feed documents
+ * @param {Object} [options] - Export options
+ * @param {string} [options.title] - Document title
+ * @returns {string}
+ */
+export function buildOpml(feeds, options = {}) {
+  const title = options.title || "RSS subscriptions";
+  const uncategorized = [];
+  const folders = new Map();
+
+  for (const feed of feeds) {
+    const category = feed.categories?.[0];
+    if (!category) {
+      uncategorized.push(feed);
+      continue;
+    }
+    if (!folders.has(category)) folders.set(category, []);
+    folders.get(category).push(feed);
+  }
+
+  const outline = (feed, indent) => {
+    const attributes = [
+      `type="rss"`,
+      `text="${escapeXml(feed.title || feed.url)}"`,
+      `title="${escapeXml(feed.title || feed.url)}"`,
+      `xmlUrl="${escapeXml(feed.url)}"`,
+    ];
+    if (feed.siteUrl) {
+      attributes.push(`htmlUrl="${escapeXml(feed.siteUrl)}"`);
+    }
+    if (feed.categories?.length > 1) {
+      attributes.push(`category="${escapeXml(feed.categories.join(","))}"`);
+    }
+    return `${indent}<outline ${attributes.join(" ")}/>`;
+  };
+
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<opml version="2.0">`,
+    `  <head>`,
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    `  </head>`,
+    `  <body>`,
+  ];
+
+  for (const [category, categoryFeeds] of folders) {
+    lines.push(
+      `    <outline text="${escapeXml(category)}" title="${escapeXml(category)}">`,
+    );
+    for (const feed of categoryFeeds) {
+      lines.push(outline(feed, "      "));
+    }
+    lines.push(`    </outline>`);
+  }
+
+  for (const feed of uncategorized) {
+    lines.push(outline(feed, "    "));
+  }
+
+  lines.push(`  </body>`, `</opml>`, "");
+
+  return lines.join("\n");
+}
@@ -0,0 +1,86 @@
+/**
+ * Query matching queued items
+ */
+export const QUEUED_QUERY = { queuePosition: { $gte: 0 } };
+
+/**
+ * Query matching items started but not finished
+ */
+export const IN_PROGRESS_QUERY = {
+  playbackPosition: { $gt: 0 },
+  played: { $ne: true },
+};
+
+/**
+ * Get the IDs of queued items, in queue order
+ * @param {Collection} itemsCollection - Items collection
+ * @returns {Promise<Array<ObjectId>>}
+ */
+export async function getQueueIds(itemsCollection) {
+  const items = await itemsCollection
+    .find(QUEUED_QUERY, { projection: { _id: 1 } })
+    .sort({ queuePosition: 1 })
+    .toArray();
+  return items.map((item) => item._id);
+}
+
+/**
+ * Replace the queue
+ * Positions are rewritten from 0 so they stay contiguous, and items left out
+ * are taken off the queue
+ * @param {Collection} itemsCollection - Items collection
+ * @param {Array<ObjectId>} itemIds - Queued item IDs, in order
+ * @returns {Promise<void>}
+ */
+export async function setQueue(itemsCollection, itemIds) {
+  await itemsCollection.updateMany(
+    { ...QUEUED_QUERY, _id: { $nin: itemIds } },
+    { $unset: { queuePosition: "", queuedAt: "" } },
+  );
+  if (itemIds.length === 0) return;
+
+  const queuedAt = new Date().toISOString();
+  await itemsCollection.bulkWrite(
+    itemIds.map((_id, queuePosition) => ({
+      updateOne: {
+        filter: { _id },
+        update: {
+          $set: { queuePosition },
+          // Keep when an item was first queued across reorders
+          $min: { queuedAt },
+        },
+      },
+    })),
+    { ordered: false },
+  );
+}
+
+/**
+ * Add an item to the queue, or move it if already queued
+ * @param {Collection} itemsCollection - Items collection
+ * @param {ObjectId} itemId - Item ID
+ * @param {number} [position] - Zero-based position (defaults to the end)
+ * @returns {Promise<Array<ObjectId>>} Queued item IDs, in order
+ */
+export async function addToQueue(itemsCollection, itemId, position) {
+  const itemIds = (await getQueueIds(itemsCollection)).filter(
+    (id) => !id.equals(itemId),
+  );
+  itemIds.splice(position ?? itemIds.length, 0, itemId);
+  await setQueue(itemsCollection, itemIds);
+  return itemIds;
+}
+
+/**
+ * Take an item off the queue
+ * @param {Collection} itemsCollection - Items collection
+ * @param {ObjectId} itemId - Item ID
+ * @returns {Promise<boolean>} Whether the item was queued
+ */
+export async function removeFromQueue(itemsCollection, itemId) {
+  const queueIds = await getQueueIds(itemsCollection);
+  const itemIds = queueIds.filter((id) => !id.equals(itemId));
+  if (itemIds.length === queueIds.length) return false;
+  await setQueue(itemsCollection, itemIds);
+  return true;
+}
@@ -0,0 +1,124 @@
+import { createHash } from "node:crypto";
+
+// Publisher-controlled fields that make up a revision of an item
+const REVISED_FIELDS = [
+  "title",
+  "link",
+  "description",
+  "content",
+  "author",
+  "imageUrl",
+  "categories",
+  "enclosure",
+];
+
+// Publisher-controlled fields refreshed along with a revision, but left out of
+// the hash so adding them didn't turn every cached item into a revision
+const REFRESHED_FIELDS = ["enclosures", "podcast"];
+
+/**
+ * Hash the publisher-controlled fields of an item
+ * @param {Object} item - Normalized item
+ * @returns {string}
+ */
+export function getRevisionHash(item) {
+  const values = REVISED_FIELDS.map((field) => item[field] ?? null);
+  return createHash("sha1").update(JSON.stringify(values)).digest("hex");
+}
+
+/**
+ * Fields to load from a stored item to compare it with a fresh copy
+ */
+export const REVISION_PROJECTION = Object.fromEntries(
+  [
+    ...REVISED_FIELDS,
+    ...REFRESHED_FIELDS,
+    "revisionHash",
+    "updatedDate",
+    "fetchedAt",
+    "updatedAt",
+  ].map((field) => [field, 1]),
+);
+
+/**
+ * Update a stored item if the publisher changed it
+ * Changes are detected from the revision hash, or a newer atom:updated/date_modified
+ * @param {Collection} itemsCollection - Items collection
+ * @param {Object} existing - Stored item (at least REVISION_PROJECTION fields)
+ * @param {Object} document - Fresh item document from the feed
+ * @param {number} [keepRevisions] - Number of earlier revisions to keep
+ * @returns {Promise<boolean>} True if the item was updated
+ */
+export async function applyRevision(
+  itemsCollection,
+  existing,
+  document,
+  keepRevisions = 0,
+) {
+  // Items cached before revisions were tracked: record the hash, not an update
+  if (!existing.revisionHash) {
+    await itemsCollection.updateOne(
+      { _id: existing._id },
+      { $set: { revisionHash: document.revisionHash } },
+    );
+    return false;
+  }
+
+  const newerDate =
+    document.updatedDate &&
+    (!existing.updatedDate ||
+      new Date(document.updatedDate) > new Date(existing.updatedDate));
+
+  if (existing.revisionHash === document.revisionHash && !newerDate) {
+    // Items cached before enclosures were all kept: fill them in quietly
+    if (existing.enclosures === undefined) {
+      await itemsCollection.updateOne(
+        { _id: existing._id },
+        {
+          $set: Object.fromEntries(
+            REFRESHED_FIELDS.map((field) => [field, document[field] ?? null]),
+          ),
+        },
+      );
+    }
+    return false;
+  }
+
+  const update = {
+    $set: {
+      ...Object.fromEntries(
+        [...REVISED_FIELDS, ...REFRESHED_FIELDS].map((field) => [
+          field,
+          document[field] ?? null,
+        ]),
+      ),
+      canonicalLink: document.canonicalLink,
+      titleKey: document.titleKey,
+      contentHash: document.contentHash,
+      revisionHash: document.revisionHash,
+      updatedDate: document.updatedDate || existing.updatedDate || null,
+      updatedAt: new Date().toISOString(),
+    },
+  };
+
+  // Keep the previous version, newest first
+  if (keepRevisions > 0 && existing.revisionHash !== document.revisionHash) {
+    update.$push = {
+      revisions: {
+        $each: [
+          {
+            ...Object.fromEntries(
+              REVISED_FIELDS.map((field) => [field, existing[field] ?? null]),
+            ),
+            fetchedAt: existing.updatedAt || existing.fetchedAt || null,
+          },
+        ],
+        $position: 0,
+        $slice: keepRevisions,
+      },
+    };
+  }
+
+  await itemsCollection.updateOne({ _id: existing._id }, update);
+  return true;
+}
@@ -1,9 +1,76 @@
 import Parser from "rss-parser";
+import { mf2 } from "microformats-parser";
 import { IndiekitError } from "@indiekit/error";
+import { decodeEntities, normalizeUrl, parseAttributes } from "./utils.js";
 
 const DEFAULT_TIMEOUT = 10_000;
 const DEFAULT_MAX_REDIRECTS = 5;
 
+// Redirects that mean the feed has moved for good
+const PERMANENT_REDIRECTS = new Set([301, 308]);
+const REDIRECTS = new Set([301, 302, 303, 307, 308]);
+
+const USER_AGENT = "Indiekit-RSS-Reader/1.0 (+https://getindiekit.com)";
+
+// Media types of enclosures that don't declare one, by file extension
+const MEDIA_EXTENSIONS = {
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  aac: "audio/aac",
+  oga: "audio/ogg",
+  ogg: "audio/ogg",
+  opus: "audio/opus",
+  wav: "audio/wav",
+  flac: "audio/flac",
+  mp4: "video/mp4",
+  m4v: "video/mp4",
+  mov: "video/quicktime",
+  webm: "video/webm",
+};
+
+// Article pages larger than this are not downloaded
+const MAX_ARTICLE_SIZE = 5 * 1024 * 1024;
+
+// Feed MIME types advertised by <link rel="alternate"> tags
+const FEED_TYPES = [
+  "application/rss+xml",
+  "application/atom+xml",
+  "application/feed+json",
+];
+
+// Notes (h-entries without a name) are titled with the start of their text
+const NOTE_TITLE_LENGTH = 100;
+
+// Paths tried when a page advertises no feeds
+const COMMON_FEED_PATHS = [
+  "/feed",
+  "/rss.xml",
+  "/atom.xml",
+  "/feed.xml",
+  "/index.xml",
+  "/feed.json",
+];
+
+/**
+ * Read a response body as text, giving up once it grows past a limit
+ * Content-Length can be missing or wrong, so the bytes are counted
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<string>}
+ */
+async function readLimitedText(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error("Page too large");
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
 export class RssClient {
   constructor(options = {}) {
     this.timeout = options.timeout || DEFAULT_TIMEOUT;
@@ -12,67 +79,120 @@ export class RssClient {
       timeout: this.timeout,
       maxRedirects: this.maxRedirects,
       headers: {
-        "User-Agent": "Indiekit-RSS-Reader/1.0 (+https://getindiekit.com)",
+        "User-Agent": USER_AGENT,
         Accept:
           "application/feed+json, application/json, application/rss+xml, application/atom+xml, application/xml, text/xml, */*",
       },
       customFields: {
-        feed: ["image", "icon", "logo"],
+        feed: [
+          "image",
+          "icon",
+          "logo",
+          "ttl",
+          ["sy:updatePeriod", "updatePeriod"],
+          ["sy:updateFrequency", "updateFrequency"],
+        ],
         item: [
           ["media:content", "media"],
           ["media:thumbnail", "mediaThumbnail"],
           ["enclosure", "enclosure"],
+          ["enclosure", "enclosures", { keepArray: true }],
+          // Atom <link rel="enclosure">
+          ["link", "links", { keepArray: true }],
+          ["itunes:duration", "itunesDuration"],
+          ["itunes:episode", "itunesEpisode"],
+          ["itunes:season", "itunesSeason"],
+          ["itunes:episodeType", "itunesEpisodeType"],
+          ["itunes:explicit", "itunesExplicit"],
+          ["itunes:image", "itunesImage"],
+          ["podcast:chapters", "podcastChapters"],
+          ["podcast:transcript", "podcastTranscripts", { keepArray: true }],
           ["dc:creator", "creator"],
           ["content:encoded", "contentEncoded"],
+          "updated",
+          ["atom:updated", "atomUpdated"],
         ],
       },
     });
   }
 
   /**
-   * Fetch and parse an RSS/Atom/JSON feed
+   * Fetch and parse an RSS/Atom/JSON feed, or a web page marked up with h-feed
    * @param {string} url - Feed URL
-   * @returns {Promise<{feed: Object, items: Array}>}
+   * @param {Object} [options] - Fetch options
+   * @param {string} [options.etag] - ETag from the previous fetch
+   * @param {string} [options.lastModified] - Last-Modified from the previous fetch
+   * @returns {Promise<{feed: Object, items: Array, cache: Object, status: number, movedTo: string|null, notModified?: boolean}>}
    */
-  async fetchFeed(url) {
+  async fetchFeed(url, options = {}) {
     try {
+      const headers = {
+        "User-Agent": USER_AGENT,
+        Accept:
+          "application/feed+json, application/json, application/rss+xml, application/atom+xml, application/xml, text/xml, */*",
+      };
+
+      // Conditional GET - let the server tell us nothing changed
+      if (options.etag) {
+        headers["If-None-Match"] = options.etag;
+      }
+      if (options.lastModified) {
+        headers["If-Modified-Since"] = options.lastModified;
+      }
+
       // First, fetch the content to detect format
-      const response = await fetch(url, {
-        headers: {
-          "User-Agent": "Indiekit-RSS-Reader/1.0 (+https://getindiekit.com)",
-          Accept:
-            "application/feed+json, application/json, application/rss+xml, application/atom+xml, application/xml, text/xml, */*",
-        },
+      const { response, permanentUrl } = await this.fetchWithRedirects(url, {
+        headers,
         signal: AbortSignal.timeout(this.timeout),
       });
+      const movedTo = permanentUrl === url ? null : permanentUrl;
+
+      const cache = {
+        etag: response.headers.get("etag"),
+        lastModified: response.headers.get("last-modified"),
+        maxAge: this.parseMaxAge(response.headers.get("cache-control")),
+      };
+
+      // 304 may omit the validators, so keep the ones we sent
+      if (response.status === 304) {
+        return {
+          feed: null,
+          items: [],
+          cache: {
+            etag: cache.etag || options.etag || null,
+            lastModified: cache.lastModified || options.lastModified || null,
+            maxAge: cache.maxAge,
+          },
+          status: response.status,
+          movedTo,
+          notModified: true,
+        };
+      }
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.retryAfter = this.parseRetryAfter(
+          response.headers.get("retry-after"),
+        );
+        throw error;
       }
 
       const contentType = response.headers.get("content-type") || "";
       const text = await response.text();
 
-      // Detect JSON feed (JSON Feed format or Google Reader API JSON)
-      if (
-        contentType.includes("application/json") ||
-        contentType.includes("application/feed+json") ||
-        url.includes("f=greader") ||
-        url.includes("f=json")
-      ) {
-        try {
-          const json = JSON.parse(text);
-          return this.parseJsonFeed(json, url);
-        } catch {
-          // Fall through to RSS parser if JSON parse fails
-        }
+      // A web page without h-entries - callers can try discoverFeeds()
+      if (this.isHtml(text) && !this.hasMicroformats(text)) {
+        const error = new Error("URL points to a web page, not a feed");
+        error.isHtml = true;
+        throw error;
       }
 
-      // Use rss-parser for RSS/Atom
-      const parsed = await this.parser.parseString(text);
       return {
-        feed: this.extractFeedMeta(parsed, url),
-        items: this.transformItems(parsed.items || [], url),
+        ...(await this.parseFeed(text, url, contentType)),
+        cache,
+        status: response.status,
+        movedTo,
       };
     } catch (error) {
       throw new IndiekitError(`Failed to fetch feed: ${error.message}`, {
@@ -82,6 +202,469 @@ export class RssClient {
     }
   }
 
+  /**
+   * Parse a feed document
+   * Also used for content pushed by a WebSub hub
+   * @param {string} text - Feed document
+   * @param {string} url - Feed URL
+   * @param {string} [contentType] - Content-Type the document was served with
+   * @returns {Promise<{feed: Object, items: Array}>}
+   */
+  async parseFeed(text, url, contentType = "") {
+    // Web page with h-feed/h-entry markup; feeds are often served as
+    // text/html, so go by the body rather than the Content-Type
+    if (this.isHtml(text)) {
+      return this.parseMicroformats(text, url);
+    }
+
+    // Detect JSON feed (JSON Feed format or Google Reader API format)
+    if (
+      contentType.includes("application/json") ||
+      contentType.includes("application/feed+json") ||
+      url.includes("f=greader") ||
+      url.includes("f=json")
+    ) {
+      try {
+        const json = JSON.parse(text);
+        return this.parseJsonFeed(json, url);
+      } catch {
+        // Fall through to RSS parser if JSON parse fails
+      }
+    }
+
+    // Use rss-parser for RSS/Atom
+    const parsed = await this.parser.parseString(text);
+    return {
+      feed: {
+        ...this.extractFeedMeta(parsed, url),
+        ...this.extractWebSubLinks(text, url),
+      },
+      items: this.transformItems(parsed.items || [], url),
+    };
+  }
+
+  /**
+   * Extract WebSub hub and self links from an RSS/Atom document
+   * rss-parser drops repeated <link> elements, so scan the channel head instead
+   * @param {string} text - RSS/Atom document
+   * @param {string} baseUrl - Feed URL, for resolving relative links
+   * @returns {{hubs: Array<string>, selfUrl: string|null}}
+   */
+  extractWebSubLinks(text, baseUrl) {
+    const head = text.split(/<(?:item|entry)[\s>]/i, 1)[0];
+    const hubs = new Set();
+    let selfUrl = null;
+
+    for (const [tag] of head.matchAll(/<(?:atom:)?link\b[^>]*>/gi)) {
+      const attributes = parseAttributes(tag);
+      const rels = (attributes.rel || "").toLowerCase().split(/\s+/);
+      if (!attributes.href) continue;
+
+      try {
+        const href = new URL(attributes.href, baseUrl).href;
+        if (rels.includes("hub")) {
+          hubs.add(href);
+        } else if (rels.includes("self") && !selfUrl) {
+          selfUrl = href;
+        }
+      } catch {
+        // Ignore unparseable hrefs
+      }
+    }
+
+    return { hubs: [...hubs], selfUrl };
+  }
+
+  /**
+   * Fetch a URL, following redirects one hop at a time
+   * fetch() hides redirects, so it can't tell a move from a temporary detour
+   * @param {string} url - URL to fetch
+   * @param {Object} init - fetch() options
+   * @returns {Promise<{response: Response, permanentUrl: string}>} permanentUrl is
+   *   where the unbroken chain of 301/308 redirects from the requested URL ends
+   */
+  async fetchWithRedirects(url, init) {
+    let currentUrl = url;
+    let permanentUrl = url;
+    let permanent = true;
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(currentUrl, { ...init, redirect: "manual" });
+      const location = response.headers.get("location");
+
+      if (!REDIRECTS.has(response.status) || !location) {
+        return { response, permanentUrl };
+      }
+
+      if (redirects >= this.maxRedirects) {
+        throw new Error(`Too many redirects (more than ${this.maxRedirects})`);
+      }
+
+      await response.body?.cancel();
+      currentUrl = new URL(location, currentUrl).href;
+
+      // A temporary redirect anywhere in the chain means the feed hasn't moved
+      permanent = permanent && PERMANENT_REDIRECTS.has(response.status);
+      if (permanent) {
+        permanentUrl = currentUrl;
+      }
+    }
+  }
+
+  /**
+   * Discover feeds advertised by (or commonly found on) a website
+   * @param {string} url - Website URL
+   * @returns {Promise<Array<{url: string, title: string|null, type: string|null}>>}
+   */
+  async discoverFeeds(url) {
+    let baseUrl = url;
+    let candidates = [];
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          "User-Agent": USER_AGENT,
+          Accept: "text/html, application/xhtml+xml, */*",
+        },
+        signal: AbortSignal.timeout(this.timeout),
+      });
+
+      if (response.ok) {
+        baseUrl = response.url || url;
+        const text = await response.text();
+        if (this.isHtml(text)) {
+          candidates = this.extractFeedLinks(text, baseUrl);
+
+          // The page itself can be followed when it is marked up with h-feed
+          if (this.hasMicroformats(text)) {
+            candidates.push({
+              url: baseUrl,
+              title: this.extractHtmlTitle(text),
+              type: "text/html",
+            });
+          }
+        }
+      }
+    } catch {
+      // Page unreachable - still try the common paths below
+    }
+
+    if (candidates.length > 0) {
+      return candidates;
+    }
+
+    // Probe common feed locations on the site
+    const origin = this.extractBaseUrl(baseUrl);
+    const probes = await Promise.allSettled(
+      COMMON_FEED_PATHS.map(async (feedPath) => {
+        const feedUrl = `${origin}${feedPath}`;
+        const { feed, movedTo } = await this.fetchFeed(feedUrl);
+        return {
+          url: movedTo || feedUrl,
+          title: feed.title,
+          type: null,
+          selfUrl: feed.selfUrl,
+        };
+      }),
+    );
+
+    // Several paths often lead to the same feed (/feed and /feed.xml), so
+    // offer it once: same URL after redirects, same self link or same title
+    const seen = new Set();
+    const found = [];
+    for (const probe of probes) {
+      if (probe.status !== "fulfilled") continue;
+
+      const { selfUrl, ...candidate } = probe.value;
+      const keys = [
+        normalizeUrl(candidate.url),
+        selfUrl && normalizeUrl(selfUrl),
+        candidate.title && `title:${candidate.title}`,
+      ].filter(Boolean);
+      if (keys.some((key) => seen.has(key))) continue;
+
+      for (const key of keys) seen.add(key);
+      found.push(candidate);
+    }
+    return found;
+  }
+
+  /**
+   * Fetch the web page an item links to, for full-content extraction
+   * @param {string} url - Item link
+   * @returns {Promise<{html: string, url: string}>} Page and its final URL
+   */
+  async fetchArticle(url) {
+    const response = await fetch(url, {
+      headers: {
+        "User-Agent": USER_AGENT,
+        Accept: "text/html, application/xhtml+xml",
+      },
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!/html/i.test(contentType)) {
+      await response.body?.cancel();
+      throw new Error(`Not a web page (${contentType || "no content type"})`);
+    }
+
+    const length = Number(response.headers.get("content-length"));
+    if (length > MAX_ARTICLE_SIZE) {
+      await response.body?.cancel();
+      throw new Error("Page too large");
+    }
+
+    return {
+      html: await readLimitedText(response, MAX_ARTICLE_SIZE),
+      url: response.url || url,
+    };
+  }
+
+  /**
+   * Extract feed links from HTML <link rel="alternate"> tags
+   * @param {string} html - HTML page
+   * @param {string} baseUrl - URL of the page, for resolving relative links
+   * @returns {Array<{url: string, title: string|null, type: string}>}
+   */
+  extractFeedLinks(html, baseUrl) {
+    const candidates = [];
+    const seen = new Set();
+
+    for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+      const attributes = parseAttributes(tag);
+      const rels = (attributes.rel || "").toLowerCase().split(/\s+/);
+      const type = (attributes.type || "").toLowerCase().split(";")[0].trim();
+      if (!rels.includes("alternate") || !FEED_TYPES.includes(type)) continue;
+      if (!attributes.href) continue;
+
+      try {
+        const feedUrl = new URL(attributes.href, baseUrl).href;
+        if (seen.has(feedUrl)) continue;
+        seen.add(feedUrl);
+        candidates.push({
+          url: feedUrl,
+          title: attributes.title || null,
+          type,
+        });
+      } catch {
+        // Ignore unparseable hrefs
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Check if a response body is an HTML page
+   * @param {string} text - Response body
+   * @returns {boolean}
+   */
+  isHtml(text) {
+    return /^\s*(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\s+html|html)[\s>]/i.test(text);
+  }
+
+  /**
+   * Check if an HTML page has h-feed or h-entry markup
+   * @param {string} html - HTML page
+   * @returns {boolean}
+   */
+  hasMicroformats(html) {
+    return /\bclass\s*=\s*(?:"[^"]*|'[^']*|)\bh-(?:feed|entry)\b/i.test(html);
+  }
+
+  /**
+   * Get the <title> of an HTML page
+   * @param {string} html - HTML page
+   * @returns {string|null}
+   */
+  extractHtmlTitle(html) {
+    const match = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+    const title = decodeEntities(match?.[1]).replace(/\s+/g, " ").trim();
+    return title || null;
+  }
+
+  /**
+   * Parse a web page marked up with microformats2 h-feed/h-entry
+   * The first h-feed found is used; without one, the page's top-level
+   * h-entries make up the feed
+   * @param {string} html - HTML page
+   * @param {string} pageUrl - Page URL
+   * @returns {{feed: Object, items: Array}}
+   */
+  parseMicroformats(html, pageUrl) {
+    const parsed = mf2(html, { baseUrl: pageUrl });
+    const hFeed = this.findMicroformat(parsed.items, "h-feed");
+    const entries = (hFeed?.children || parsed.items).filter((item) =>
+      item.type?.includes("h-entry"),
+    );
+
+    if (entries.length === 0) {
+      const error = new Error("No h-feed or h-entry found on the page");
+      error.isHtml = true;
+      throw error;
+    }
+
+    const properties = hFeed?.properties || {};
+    const author = this.getMicroformatAuthor(
+      properties.author?.[0] || this.findMicroformat(parsed.items, "h-card"),
+    );
+    const name = this.getMicroformatValue(properties.name?.[0]);
+
+    const feed = {
+      title:
+        (name?.length <= 200 && name) ||
+        this.extractHtmlTitle(html) ||
+        author.name ||
+        "Untitled Feed",
+      description: this.getMicroformatValue(properties.summary?.[0]) || "",
+      siteUrl: this.getMicroformatValue(properties.url?.[0]) || pageUrl,
+      feedUrl: pageUrl,
+      imageUrl:
+        this.getMicroformatValue(
+          properties.photo?.[0] || properties.featured?.[0] || properties.logo?.[0],
+        ) || author.photo,
+      language: html.match(/<html\b[^>]*\blang=["']?([\w-]+)/i)?.[1] || null,
+      lastBuildDate: null,
+      ttl: null,
+      updatePeriod: null,
+      updateFrequency: null,
+      hubs: parsed.rels?.hub || [],
+      selfUrl: parsed.rels?.self?.[0] || null,
+      format: "h-feed",
+    };
+
+    const items = entries.map((entry) =>
+      this.transformMicroformatEntry(entry, pageUrl, author.name),
+    );
+
+    return { feed, items };
+  }
+
+  /**
+   * Transform an h-entry into the normalized item format
+   * @param {Object} entry - Parsed h-entry
+   * @param {string} pageUrl - Page URL
+   * @param {string|null} [feedAuthor] - Author of the page, for entries without one
+   * @returns {Object}
+   */
+  transformMicroformatEntry(entry, pageUrl, feedAuthor = null) {
+    const properties = entry.properties || {};
+    const first = (name) => this.getMicroformatValue(properties[name]?.[0]);
+
+    const contentProperty = properties.content?.[0];
+    const content =
+      typeof contentProperty === "object" && contentProperty?.html !== undefined
+        ? contentProperty.html
+        : this.escapeHtml(this.getMicroformatValue(contentProperty) || "");
+    const text = (this.getMicroformatValue(contentProperty) || "")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    // An implied name repeats the entry's whole text, so the entry is a note
+    let title = first("name")?.replace(/\s+/g, " ").trim() || "";
+    if (!title || (text && title.includes(text))) {
+      title = text || title;
+    }
+    if (title.length > NOTE_TITLE_LENGTH) {
+      title = `${title.slice(0, NOTE_TITLE_LENGTH).trimEnd()}...`;
+    }
+
+    const link = first("url");
+    const pubDate = this.parseDate(first("published"));
+    const summary = first("summary");
+    let contentImage = null;
+    const imageMatch = content.match(/<img[^>]+src=["']([^"']+)["']/i);
+    if (imageMatch) {
+      try {
+        contentImage = new URL(imageMatch[1], link || pageUrl).href;
+      } catch {
+        // Ignore unparseable image URLs
+      }
+    }
+
+    return {
+      guid: first("uid") || link || `${pageUrl}#${pubDate?.getTime()}`,
+      title: title || "Untitled",
+      link,
+      description: this.extractDescription(content, summary),
+      content: content || this.escapeHtml(summary || ""),
+      author: this.getMicroformatAuthor(properties.author?.[0]).name || feedAuthor,
+      pubDate,
+      updatedDate: this.parseDate(first("updated")),
+      imageUrl: first("photo") || first("featured") || contentImage,
+      categories: (properties.category || []).filter(
+        (category) => typeof category === "string",
+      ),
+      enclosure: null,
+      enclosures: this.normalizeEnclosures(
+        [...(properties.audio || []), ...(properties.video || [])].map(
+          (media) => ({ url: this.getMicroformatValue(media) }),
+        ),
+      ),
+      podcast: null,
+    };
+  }
+
+  /**
+   * Find the first microformat of a type, searching nested children too
+   * @param {Array<Object>} items - Parsed microformats
+   * @param {string} type - Microformat type, e.g. h-feed
+   * @returns {Object|null}
+   */
+  findMicroformat(items = [], type) {
+    for (const item of items) {
+      if (item.type?.includes(type)) return item;
+      const child = this.findMicroformat(item.children, type);
+      if (child) return child;
+    }
+    return null;
+  }
+
+  /**
+   * Get the plain value of a microformat property
+   * Embedded markup, images and nested microformats are objects with a value
+   * @param {string|Object|undefined} property - Property value
+   * @returns {string|null}
+   */
+  getMicroformatValue(property) {
+    if (typeof property === "string") return property.trim() || null;
+    if (typeof property?.value === "string") return property.value.trim() || null;
+    return null;
+  }
+
+  /**
+   * Get the name and photo of an author, given as an h-card or plain text
+   * @param {string|Object|undefined} author - Author property or h-card
+   * @returns {{name: string|null, photo: string|null}}
+   */
+  getMicroformatAuthor(author) {
+    const properties = author?.properties || {};
+    return {
+      name:
+        this.getMicroformatValue(properties.name?.[0]) ||
+        this.getMicroformatValue(author),
+      photo: this.getMicroformatValue(properties.photo?.[0]),
+    };
+  }
+
+  /**
+   * Escape plain text for use as HTML content
+   * @param {string} text - Plain text
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
   /**
    * Parse JSON feed (JSON Feed spec or Google Reader API format)
    * @param {Object} json - Parsed JSON
@@ -177,6 +760,14 @@ export class RssClient {
         imageUrl: this.extractJsonItemImage(item, content),
         categories,
         enclosure: item.enclosure || null,
+        enclosures: this.normalizeEnclosures(
+          [item.enclosure].flat().map((enclosure) => ({
+            url: enclosure?.href || enclosure?.url,
+            type: enclosure?.type,
+            length: enclosure?.length,
+          })),
+        ),
+        podcast: null,
         // Preserve FreshRSS-specific metadata - use origin for real source feed
         origin: item.origin ? {
           streamId: item.origin.streamId,
@@ -208,6 +799,10 @@ export class RssClient {
       imageUrl: json.icon || json.favicon || null,
       language: json.language || null,
       lastBuildDate: null,
+      hubs: (json.hubs || [])
+        .filter((hub) => hub?.url && (!hub.type || /websub/i.test(hub.type)))
+        .map((hub) => hub.url),
+      selfUrl: json.feed_url || null,
     };
 
     const items = (json.items || []).map((item) => ({
@@ -218,6 +813,7 @@ export class RssClient {
       content: item.content_html || item.content_text || item.summary || "",
       author: item.authors?.[0]?.name || item.author?.name || null,
       pubDate: this.parseDate(item.date_published || item.date_modified),
+      updatedDate: this.parseDate(item.date_modified),
       imageUrl: item.image || item.banner_image || null,
       categories: item.tags || [],
       enclosure: item.attachments?.[0]
@@ -227,6 +823,20 @@ export class RssClient {
             length: item.attachments[0].size_in_bytes,
           }
         : null,
+      enclosures: this.normalizeEnclosures(
+        (item.attachments || []).map((attachment) => ({
+          url: attachment.url,
+          type: attachment.mime_type,
+          length: attachment.size_in_bytes,
+        })),
+      ),
+      podcast: this.buildPodcast({
+        duration:
+          Math.round(
+            item.attachments?.find((attachment) => attachment.duration_in_seconds)
+              ?.duration_in_seconds,
+          ) || null,
+      }),
     }));
 
     return { feed, items };
@@ -317,6 +927,9 @@ export class RssClient {
       lastBuildDate: parsed.lastBuildDate
         ? new Date(parsed.lastBuildDate)
         : null,
+      ttl: parseInt(parsed.ttl, 10) || null,
+      updatePeriod: parsed.updatePeriod?.trim() || null,
+      updateFrequency: parseInt(parsed.updateFrequency, 10) || null,
     };
   }
 
@@ -372,9 +985,12 @@ export class RssClient {
       content: item.contentEncoded || item.content || item.summary || "",
       author: item.creator || item.author || item["dc:creator"] || null,
       pubDate: pubDate,
+      updatedDate: this.parseDate(item.updated || item.atomUpdated),
       imageUrl: this.extractItemImage(item),
       categories: this.extractCategories(item),
       enclosure: this.extractEnclosure(item),
+      enclosures: this.extractEnclosures(item),
+      podcast: this.extractPodcast(item),
     };
   }
 
@@ -439,6 +1055,146 @@ export class RssClient {
     };
   }
 
+  /**
+   * Extract every enclosure: RSS <enclosure> elements and Atom
+   * <link rel="enclosure"> links
+   * @param {Object} item - Feed item
+   * @returns {Array<{url: string, type: string|null, length: number|null}>}
+   */
+  extractEnclosures(item) {
+    const candidates = (item.enclosures || []).map((enclosure) => ({
+      url: enclosure?.$?.url,
+      type: enclosure?.$?.type,
+      length: enclosure?.$?.length,
+    }));
+    if (item.enclosure?.url) {
+      candidates.push(item.enclosure);
+    }
+    for (const link of item.links || []) {
+      if (link?.$?.rel === "enclosure") {
+        candidates.push({
+          url: link.$.href,
+          type: link.$.type,
+          length: link.$.length,
+        });
+      }
+    }
+    return this.normalizeEnclosures(candidates);
+  }
+
+  /**
+   * Clean up enclosures: drop ones without a URL or seen twice, parse lengths
+   * and guess missing media types from the file extension
+   * @param {Array<Object>} candidates - Enclosures with url, type and length
+   * @returns {Array<{url: string, type: string|null, length: number|null}>}
+   */
+  normalizeEnclosures(candidates) {
+    const seen = new Set();
+    const enclosures = [];
+
+    for (const { url, type, length } of candidates) {
+      if (!url || typeof url !== "string" || seen.has(url)) continue;
+      seen.add(url);
+
+      let mediaType = typeof type === "string" ? type.trim().toLowerCase() : "";
+      if (!mediaType) {
+        const extension = url.split(/[?#]/)[0].split(".").pop().toLowerCase();
+        mediaType = MEDIA_EXTENSIONS[extension] || "";
+      }
+
+      enclosures.push({
+        url,
+        type: mediaType || null,
+        length: parseInt(length, 10) || null,
+      });
+    }
+
+    return enclosures;
+  }
+
+  /**
+   * Extract iTunes and Podcasting 2.0 episode metadata
+   * @param {Object} item - Feed item
+   * @returns {Object|null} Null when the item has none
+   */
+  extractPodcast(item) {
+    const text = (value) => {
+      const string = typeof value === "object" ? value?._ : value;
+      return typeof string === "string" ? string.trim() : null;
+    };
+
+    return this.buildPodcast({
+      duration: this.parseDuration(text(item.itunesDuration)),
+      episode: parseInt(text(item.itunesEpisode), 10) || null,
+      season: parseInt(text(item.itunesSeason), 10) || null,
+      episodeType: text(item.itunesEpisodeType)?.toLowerCase() || null,
+      explicit: this.parseExplicit(text(item.itunesExplicit)),
+      imageUrl: item.itunesImage?.$?.href || null,
+      chapters: item.podcastChapters?.$?.url
+        ? {
+            url: item.podcastChapters.$.url,
+            type: item.podcastChapters.$.type || null,
+          }
+        : null,
+      transcripts: (item.podcastTranscripts || [])
+        .filter((transcript) => transcript?.$?.url)
+        .map((transcript) => ({
+          url: transcript.$.url,
+          type: transcript.$.type || null,
+          language: transcript.$.language || null,
+          rel: transcript.$.rel || null,
+        })),
+    });
+  }
+
+  /**
+   * Fill in podcast metadata defaults, or null if there is none at all
+   * @param {Object} fields - Known podcast fields
+   * @returns {Object|null}
+   */
+  buildPodcast(fields) {
+    const podcast = {
+      duration: null,
+      episode: null,
+      season: null,
+      episodeType: null,
+      explicit: null,
+      imageUrl: null,
+      chapters: null,
+      transcripts: [],
+      ...fields,
+    };
+    const hasMetadata = Object.values(podcast).some((value) =>
+      Array.isArray(value) ? value.length > 0 : value !== null,
+    );
+    return hasMetadata ? podcast : null;
+  }
+
+  /**
+   * Parse an itunes:duration (seconds, MM:SS or HH:MM:SS)
+   * @param {string|null} value - Duration
+   * @returns {number|null} Seconds
+   */
+  parseDuration(value) {
+    if (!value || !/^\d+(?::\d+){0,2}(?:\.\d+)?$/.test(value)) return null;
+    const seconds = value
+      .split(":")
+      .reduce((total, part) => total * 60 + parseFloat(part), 0);
+    return Math.round(seconds) || null;
+  }
+
+  /**
+   * Parse an itunes:explicit flag
+   * @param {string|null} value - yes/no, true/false, explicit/clean
+   * @returns {boolean|null} Null when absent or unrecognized
+   */
+  parseExplicit(value) {
+    const flag = value?.toLowerCase();
+    if (["yes", "true", "explicit"].includes(flag)) return true;
+    if (["no", "false", "clean"].includes(flag)) return false;
+    return null;
+  }
+
   /**
    * Parse date from various formats
    * @param {string|Date} dateInput - Date input
@@ -451,6 +1207,29 @@ export class RssClient {
     return isNaN(parsed.getTime()) ? null : parsed;
   }
 
+  /**
+   * Parse max-age from a Cache-Control header
+   * @param {string|null} header - Cache-Control header value
+   * @returns {number|null} Seconds, or null if absent
+   */
+  parseMaxAge(header) {
+    const match = header?.match(/max-age=(\d+)/i);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Parse a Retry-After header (delay in seconds or HTTP date)
+   * @param {string|null} header - Retry-After header value
+   * @returns {Date|null}
+   */
+  parseRetryAfter(header) {
+    if (!header) return null;
+    if (/^\d+$/.test(header.trim())) {
+      return new Date(Date.now() + parseInt(header, 10) * 1000);
+    }
+    return this.parseDate(header);
+  }
+
   /**
    * Extract base URL from feed URL
    * @param {string} feedUrl - Feed URL
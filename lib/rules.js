@@ -0,0 +1,212 @@
+import { ObjectId } from "mongodb";
+import { stripHtml } from "./utils.js";
+
+export const RULE_FIELDS = ["any", "title", "content", "author", "category", "link"];
+export const RULE_MATCH_TYPES = ["contains", "regex"];
+export const RULE_ACTIONS = ["drop", "hide", "mark-read", "tag"];
+
+const MAX_PATTERN_LENGTH = 500;
+const MAX_TAG_LENGTH = 50;
+const DEFAULT_TAG = "highlight";
+
+/**
+ * Validate and normalize a rule from a request body
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored rule, when updating (only given fields change)
+ * @returns {{rule: Object}|{error: string}}
+ */
+export function validateRule(body, existing = {}) {
+  const rule = {
+    name: existing.name ?? null,
+    feedId: existing.feedId ?? null,
+    field: existing.field ?? "any",
+    matchType: existing.matchType ?? "contains",
+    pattern: existing.pattern,
+    caseSensitive: existing.caseSensitive ?? false,
+    action: existing.action,
+    tag: existing.tag ?? null,
+    enabled: existing.enabled ?? true,
+  };
+
+  if (body.name !== undefined) {
+    if (body.name !== null && typeof body.name !== "string") {
+      return { error: "name must be a string" };
+    }
+    rule.name = body.name?.trim().slice(0, 100) || null;
+  }
+
+  if (body.feedId !== undefined) {
+    if (body.feedId !== null && body.feedId !== "" && !ObjectId.isValid(body.feedId)) {
+      return { error: "Invalid feed ID" };
+    }
+    rule.feedId = body.feedId ? new ObjectId(body.feedId) : null;
+  }
+
+  for (const [key, allowed] of [
+    ["field", RULE_FIELDS],
+    ["matchType", RULE_MATCH_TYPES],
+    ["action", RULE_ACTIONS],
+  ]) {
+    if (body[key] !== undefined) {
+      if (!allowed.includes(body[key])) {
+        return { error: `${key} must be one of: ${allowed.join(", ")}` };
+      }
+      rule[key] = body[key];
+    }
+  }
+  if (!rule.action) {
+    return { error: `action must be one of: ${RULE_ACTIONS.join(", ")}` };
+  }
+
+  if (body.pattern !== undefined) {
+    if (typeof body.pattern !== "string") {
+      return { error: "pattern must be a string" };
+    }
+    rule.pattern = body.pattern;
+  }
+  if (!rule.pattern?.trim() || rule.pattern.length > MAX_PATTERN_LENGTH) {
+    return {
+      error: `pattern must be between 1 and ${MAX_PATTERN_LENGTH} characters`,
+    };
+  }
+
+  for (const key of ["caseSensitive", "enabled"]) {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== "boolean") {
+        return { error: `${key} must be boolean` };
+      }
+      rule[key] = body[key];
+    }
+  }
+
+  if (body.tag !== undefined) {
+    if (body.tag !== null && typeof body.tag !== "string") {
+      return { error: "tag must be a string" };
+    }
+    rule.tag = body.tag?.trim().slice(0, MAX_TAG_LENGTH) || null;
+  }
+  rule.tag = rule.action === "tag" ? rule.tag || DEFAULT_TAG : null;
+
+  if (rule.matchType === "regex") {
+    try {
+      new RegExp(rule.pattern, rule.caseSensitive ? "u" : "iu");
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  return { rule };
+}
+
+/**
+ * Get the text of an item field that rules match against
+ * @param {Object} item - Item document
+ * @param {string} field - Rule field
+ * @returns {Array<string>} One entry per value (categories have several)
+ */
+function getFieldValues(item, field) {
+  switch (field) {
+    case "title":
+      return [item.title || ""];
+    case "content":
+      return [stripHtml(item.content || item.description || "")];
+    case "author":
+      return [item.author || ""];
+    case "category":
+      return item.categories || [];
+    case "link":
+      return [item.link || ""];
+    default:
+      return [
+        item.title || "",
+        stripHtml(item.content || item.description || ""),
+        item.author || "",
+        item.link || "",
+        ...(item.categories || []),
+      ];
+  }
+}
+
+/**
+ * Compile a rule into a matcher
+ * @param {Object} rule - Rule document
+ * @returns {Object} Rule with a `matches(item)` function
+ */
+export function compileRule(rule) {
+  let test;
+  if (rule.matchType === "regex") {
+    const regex = new RegExp(rule.pattern, rule.caseSensitive ? "u" : "iu");
+    test = (value) => regex.test(value);
+  } else {
+    const pattern = rule.caseSensitive ? rule.pattern : rule.pattern.toLowerCase();
+    test = (value) =>
+      (rule.caseSensitive ? value : value.toLowerCase()).includes(pattern);
+  }
+
+  return {
+    ...rule,
+    matches: (item) => getFieldValues(item, rule.field).some(test),
+  };
+}
+
+/**
+ * Load and compile enabled rules
+ * Rules with an invalid pattern are skipped rather than failing the sync
+ * @param {Collection} rulesCollection - Rules collection
+ * @returns {Promise<Array<Object>>} Compiled rules
+ */
+export async function loadRules(rulesCollection) {
+  const rules = await rulesCollection.find({ enabled: true }).toArray();
+
+  return rules.flatMap((rule) => {
+    try {
+      return [compileRule(rule)];
+    } catch (error) {
+      console.error(`[RSS] Skipping filter rule ${rule._id}: ${error.message}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * Get compiled rules that apply to a feed (global rules and its own)
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {ObjectId} feedId - Feed ID
+ * @returns {Array<Object>}
+ */
+export function getFeedRules(rules, feedId) {
+  return rules.filter((rule) => !rule.feedId || rule.feedId.equals(feedId));
+}
+
+/**
+ * Apply rules to a new item
+ * @param {Object} item - Item document
+ * @param {Array<Object>} rules - Compiled rules for the item's feed
+ * @returns {{drop: boolean, fields: Object}} Whether to drop the item, and fields to set on it
+ */
+export function applyRules(item, rules) {
+  const matched = rules.filter((rule) => rule.matches(item));
+  if (matched.length === 0) {
+    return { drop: false, fields: {} };
+  }
+
+  const actions = new Set(matched.map((rule) => rule.action));
+  const fields = { matchedRules: matched.map((rule) => rule._id) };
+
+  if (actions.has("hide")) {
+    fields.hidden = true;
+  }
+  if (actions.has("mark-read")) {
+    fields.read = true;
+    fields.readAt = new Date().toISOString();
+  }
+  if (actions.has("tag")) {
+    fields.tags = [
+      ...new Set(
+        matched.filter((rule) => rule.action === "tag").map((rule) => rule.tag),
+      ),
+    ];
+  }
+
+  return { drop: actions.has("drop"), fields };
+}
@@ -0,0 +1,115 @@
+const DEFAULT_MIN_INTERVAL = 900_000; // 15 minutes
+const DEFAULT_MAX_INTERVAL = 86_400_000; // 24 hours
+const MAX_BACKOFF_EXPONENT = 6;
+
+// sy:updatePeriod values (RSS 1.0 Syndication module)
+const UPDATE_PERIODS = {
+  hourly: 3_600_000,
+  daily: 86_400_000,
+  weekly: 604_800_000,
+  monthly: 2_592_000_000,
+  yearly: 31_536_000_000,
+};
+
+/**
+ * Get the shortest refresh interval a feed declares for itself
+ * Uses RSS <ttl>, sy:updatePeriod/sy:updateFrequency and HTTP max-age
+ * @param {Object} hints - Declared hints
+ * @param {number} [hints.ttl] - RSS ttl in minutes
+ * @param {string} [hints.updatePeriod] - sy:updatePeriod
+ * @param {number} [hints.updateFrequency] - sy:updateFrequency
+ * @param {number} [hints.maxAge] - Cache-Control max-age in seconds
+ * @returns {number|null} Interval in milliseconds
+ */
+export function getDeclaredInterval(hints = {}) {
+  const intervals = [];
+
+  if (hints.ttl > 0) {
+    intervals.push(hints.ttl * 60_000);
+  }
+
+  const period = UPDATE_PERIODS[hints.updatePeriod?.toLowerCase()];
+  if (period) {
+    intervals.push(period / (hints.updateFrequency || 1));
+  }
+
+  if (hints.maxAge > 0) {
+    intervals.push(hints.maxAge * 1000);
+  }
+
+  return intervals.length > 0 ? Math.min(...intervals) : null;
+}
+
+/**
+ * Get the typical gap between posts (median of publication date gaps)
+ * @param {Array<Date|null>} dates - Item publication dates
+ * @returns {number|null} Interval in milliseconds
+ */
+export function getPostingInterval(dates) {
+  const times = dates
+    .filter((date) => date instanceof Date && !isNaN(date.getTime()))
+    .map((date) => date.getTime())
+    .sort((a, b) => b - a);
+
+  if (times.length < 2) return null;
+
+  const gaps = [];
+  for (let index = 1; index < times.length; index++) {
+    gaps.push(times[index - 1] - times[index]);
+  }
+  gaps.sort((a, b) => a - b);
+
+  return gaps[Math.floor(gaps.length / 2)] || null;
+}
+
+/**
+ * Work out when a feed should next be fetched
+ * @param {Object} feed - Feed document (pollInterval override, postingInterval, declaredInterval, websub)
+ * @param {Object} state - Outcome of the latest fetch
+ * @param {number} [state.failures] - Consecutive failed fetches
+ * @param {Date} [state.retryAfter] - Earliest time the server allows another request
+ * @param {Object} options - Plugin options
+ * @returns {{fetchInterval: number, nextFetchAt: Date}}
+ */
+export function scheduleNextFetch(feed, state = {}, options = {}) {
+  const minInterval = options.syncInterval || DEFAULT_MIN_INTERVAL;
+  const maxInterval = Math.max(
+    minInterval,
+    options.maxPollInterval || DEFAULT_MAX_INTERVAL,
+  );
+
+  let fetchInterval;
+  if (feed.pollInterval) {
+    // Manual override set via PATCH /api/feeds/:id
+    fetchInterval = feed.pollInterval;
+  } else if (feed.websub?.state === "active") {
+    // Updates are pushed by a WebSub hub, so polling is only a safety net
+    fetchInterval = maxInterval;
+  } else {
+    // Poll about twice per typical posting gap, but no faster than declared
+    fetchInterval = feed.postingInterval
+      ? feed.postingInterval / 2
+      : minInterval;
+    if (feed.declaredInterval) {
+      fetchInterval = Math.max(fetchInterval, feed.declaredInterval);
+    }
+    fetchInterval = Math.min(maxInterval, Math.max(minInterval, fetchInterval));
+  }
+
+  // Back off exponentially while the feed keeps failing
+  if (state.failures > 0) {
+    const exponent = Math.min(state.failures, MAX_BACKOFF_EXPONENT);
+    fetchInterval = Math.min(
+      Math.max(maxInterval, fetchInterval),
+      fetchInterval * 2 ** exponent,
+    );
+  }
+
+  fetchInterval = Math.round(fetchInterval);
+  let nextFetchAt = new Date(Date.now() + fetchInterval);
+  if (state.retryAfter instanceof Date && state.retryAfter > nextFetchAt) {
+    nextFetchAt = state.retryAfter;
+  }
+
+  return { fetchInterval, nextFetchAt };
+}
@@ -0,0 +1,58 @@
+import { deleteItems } from "./duplicates.js";
+import { unsubscribe } from "./websub.js";
+
+/**
+ * Store a new feed subscription
+ * Its items are fetched by the next sync
+ * @param {Collection} feedsCollection - Feeds collection
+ * @param {string} url - Normalized feed URL
+ * @param {Object} feedMeta - Feed metadata from RssClient.fetchFeed()
+ * @param {Array<string>} categories - Normalized categories
+ * @returns {Promise<Object>} Feed document
+ */
+export async function createFeed(feedsCollection, url, feedMeta, categories) {
+  const feed = {
+    url,
+    title: feedMeta.title,
+    siteUrl: feedMeta.siteUrl,
+    description: feedMeta.description,
+    imageUrl: feedMeta.imageUrl,
+    categories,
+    enabled: true,
+    addedAt: new Date(),
+    lastFetchedAt: null,
+    lastError: null,
+    itemCount: 0,
+  };
+
+  const result = await feedsCollection.insertOne(feed);
+  feed._id = result.insertedId;
+  return feed;
+}
+
+/**
+ * Remove a feed subscription, its items, and the filter rules and webhooks
+ * limited to it
+ * @param {Object} db - Database instance
+ * @param {Object} feed - Feed document
+ * @param {Object} options - Plugin options
+ * @param {Object} [removal] - Removal options
+ * @param {boolean} [removal.keepStarred] - Keep the feed's starred items
+ * @returns {Promise<void>}
+ */
+export async function deleteFeed(db, feed, options, { keepStarred = false } = {}) {
+  const feedsCollection = db.collection("rssFeeds");
+
+  // Stop pushed updates before the callback starts answering 404
+  if (feed.websub) {
+    await unsubscribe(feedsCollection, feed, options);
+  }
+
+  await deleteItems(db.collection("rssItems"), {
+    feedId: feed._id,
+    ...(keepStarred && { starred: { $ne: true } }),
+  });
+  await db.collection("rssRules").deleteMany({ feedId: feed._id });
+  await db.collection("rssWebhooks").deleteMany({ feedId: feed._id });
+  await feedsCollection.deleteOne({ _id: feed._id });
+}
@@ -0,0 +1,107 @@
+import { randomUUID } from "node:crypto";
+import { hostname } from "node:os";
+
+const LOCK_ID = "sync";
+const DEFAULT_LOCK_TTL = 60_000; // 1 minute
+
+/**
+ * Identifies this process as a lock owner
+ */
+export const INSTANCE_ID = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+/**
+ * Take the sync lock if no other instance holds it
+ * An expired lease (e.g. left by a crashed instance) is taken over
+ * @param {Collection} locksCollection - Locks collection
+ * @param {number} [ttl] - Lease length in milliseconds
+ * @returns {Promise<boolean>} True if this instance now holds the lock
+ */
+export async function acquireSyncLock(locksCollection, ttl = DEFAULT_LOCK_TTL) {
+  const now = new Date();
+
+  try {
+    // Matches only a missing or expired lock, so the update is the takeover
+    const previous = await locksCollection.findOneAndUpdate(
+      { _id: LOCK_ID, expiresAt: { $lte: now } },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          acquiredAt: now,
+          heartbeatAt: now,
+          expiresAt: new Date(now.getTime() + ttl),
+        },
+      },
+      { upsert: true, returnDocument: "before" },
+    );
+
+    if (previous?.owner && previous.owner !== INSTANCE_ID) {
+      console.warn(`[RSS] Took over expired sync lock from ${previous.owner}`);
+    }
+    return true;
+  } catch (error) {
+    // Lock is held: the upsert tried to insert a second lock document
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Keep extending the lease while a sync runs
+ * If another instance takes the lock over (e.g. after heartbeats failed for
+ * longer than the lease), the returned signal is aborted so the sync stops
+ * @param {Collection} locksCollection - Locks collection
+ * @param {number} [ttl] - Lease length in milliseconds
+ * @returns {{signal: AbortSignal, stop: Function}} Lease lost signal, and a
+ *   function that stops the heartbeat
+ */
+export function startHeartbeat(locksCollection, ttl = DEFAULT_LOCK_TTL) {
+  const controller = new AbortController();
+  const timer = setInterval(async () => {
+    const now = new Date();
+    try {
+      const result = await locksCollection.updateOne(
+        { _id: LOCK_ID, owner: INSTANCE_ID },
+        {
+          $set: { heartbeatAt: now, expiresAt: new Date(now.getTime() + ttl) },
+        },
+      );
+      if (result.matchedCount === 0) {
+        console.warn("[RSS] Lost the sync lock to another instance");
+        clearInterval(timer);
+        controller.abort(new Error("Lost the sync lock to another instance"));
+      }
+    } catch (error) {
+      console.error("[RSS] Sync lock heartbeat error:", error.message);
+    }
+  }, ttl / 3);
+  timer.unref?.();
+
+  return { signal: controller.signal, stop: () => clearInterval(timer) };
+}
+
+/**
+ * Release the sync lock, if this instance still holds it
+ * @param {Collection} locksCollection - Locks collection
+ */
+export async function releaseSyncLock(locksCollection) {
+  try {
+    await locksCollection.deleteOne({ _id: LOCK_ID, owner: INSTANCE_ID });
+  } catch (error) {
+    // The lease expires on its own
+    console.error("[RSS] Error releasing sync lock:", error.message);
+  }
+}
+
+/**
+ * Get the sync lock, if one is held
+ * @param {Collection} locksCollection - Locks collection
+ * @returns {Promise<Object|null>} Lock document, or null if no instance is syncing
+ */
+export async function getSyncLock(locksCollection) {
+  return locksCollection.findOne({
+    _id: LOCK_ID,
+    expiresAt: { $gt: new Date() },
+  });
+}
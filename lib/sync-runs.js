@@ -0,0 +1,99 @@
+const SYNC_RUN_TTL = 30 * 86_400; // 30 days, in seconds
+
+/**
+ * Create indexes for the sync run history
+ * Runs expire on their own after 30 days
+ * @param {Collection} runsCollection - Sync runs collection
+ */
+export async function createSyncRunIndexes(runsCollection) {
+  await runsCollection.createIndex(
+    { startedAt: 1 },
+    { expireAfterSeconds: SYNC_RUN_TTL },
+  );
+  await runsCollection.createIndex({ "feeds.feedId": 1, startedAt: -1 });
+}
+
+/**
+ * Record the start of a sync run
+ * @param {Collection} runsCollection - Sync runs collection
+ * @param {string} trigger - scheduled, manual, clear-resync or follow
+ * @returns {Promise<Object>} Run document
+ */
+export async function startSyncRun(runsCollection, trigger) {
+  const run = {
+    trigger,
+    status: "running",
+    startedAt: new Date(),
+    finishedAt: null,
+  };
+  const result = await runsCollection.insertOne(run);
+  return { ...run, _id: result.insertedId };
+}
+
+/**
+ * Record the outcome of a sync run
+ * @param {Collection} runsCollection - Sync runs collection
+ * @param {Object} run - Run document from startSyncRun()
+ * @param {Object} report - Counts, per-feed outcomes and error (if the run failed)
+ */
+export async function finishSyncRun(runsCollection, run, report) {
+  const finishedAt = new Date();
+  try {
+    await runsCollection.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          ...report,
+          status: report.error ? "failed" : "completed",
+          finishedAt,
+          durationMs: finishedAt - run.startedAt,
+        },
+      },
+    );
+  } catch (error) {
+    // Losing a history entry must not fail a sync
+    console.error("[RSS] Error saving sync run:", error.message);
+  }
+}
+
+/**
+ * Describe how a feed fared in a sync run
+ * @param {Object} feed - Feed document, as it was before the sync
+ * @param {Object} result - Result of syncing the feed
+ * @param {number} durationMs - Time taken to sync the feed
+ * @returns {Object}
+ */
+export function describeFeedResult(feed, result, durationMs) {
+  let outcome = "fetched";
+  if (result.disabled) {
+    outcome = "disabled";
+  } else if (result.error) {
+    outcome = "failed";
+  } else if (result.notModified) {
+    outcome = "not-modified";
+  }
+
+  return {
+    feedId: result.feedId || feed._id,
+    title: feed.title,
+    url: feed.url,
+    outcome,
+    itemsAdded: result.itemsAdded || 0,
+    itemsUpdated: result.itemsUpdated || 0,
+    movedTo: result.movedTo || null,
+    error: result.error || null,
+    durationMs,
+  };
+}
+
+/**
+ * Get the most recent finished sync run
+ * @param {Collection} runsCollection - Sync runs collection
+ * @returns {Promise<Object|null>}
+ */
+export async function getLastSyncRun(runsCollection) {
+  return runsCollection.findOne(
+    { status: { $ne: "running" } },
+    { sort: { startedAt: -1 }, projection: { feeds: 0 } },
+  );
+}
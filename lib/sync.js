@@ -1,12 +1,56 @@
+import { createActivityIndexes, logActivity } from "./activity.js";
+import { deleteItems, getDuplicateKeys, groupDuplicate } from "./duplicates.js";
+import { publishEvent } from "./events.js";
+import { moveFeed } from "./feed-moves.js";
+import { fetchFullContent } from "./full-content.js";
+import { pruneImageCache } from "./image-proxy.js";
+import { recordFailure, recordSuccess } from "./health.js";
+import {
+  applyRevision,
+  getRevisionHash,
+  REVISION_PROJECTION,
+} from "./revisions.js";
 import { RssClient } from "./rss-client.js";
+import { applyRules, getFeedRules, loadRules } from "./rules.js";
+import {
+  acquireSyncLock,
+  getSyncLock,
+  INSTANCE_ID,
+  releaseSyncLock,
+  startHeartbeat,
+} from "./sync-lock.js";
+import {
+  getDeclaredInterval,
+  getPostingInterval,
+  scheduleNextFetch,
+} from "./schedule.js";
+import {
+  createSyncRunIndexes,
+  describeFeedResult,
+  finishSyncRun,
+  startSyncRun,
+} from "./sync-runs.js";
+import { formatItem, normalizeUrl } from "./utils.js";
+import {
+  createWebhookIndexes,
+  loadWebhooks,
+  processWebhookDeliveries,
+  queueItemDeliveries,
+} from "./webhooks.js";
+import { maintainWebSub } from "./websub.js";
+
+const WEBHOOK_INTERVAL = 30_000;
 
 let syncInterval = null;
+let webhookInterval = null;
 let syncState = {
   lastSync: null,
   syncing: false,
   lastError: null,
   feedsProcessed: 0,
+  feedsNotModified: 0,
   itemsAdded: 0,
+  itemsUpdated: 0,
 };
 
 /**
@@ -26,7 +70,7 @@ export function startSync(Indiekit, options) {
   const intervalMs = options.syncInterval || 900_000; // 15 minutes default
 
   console.log(
-    `[RSS] Starting background sync with ${intervalMs / 60_000}min interval`
+    `[RSS] Starting background sync with ${intervalMs / 60_000}min interval (instance ${INSTANCE_ID})`
   );
 
   // Initial sync after delay
@@ -42,6 +86,12 @@ export function startSync(Indiekit, options) {
       console.error("[RSS] Sync error:", err.message);
     });
   }, intervalMs);
+
+  // Webhook retries are due more often than syncs
+  webhookInterval = setInterval(() => {
+    if (!Indiekit.database) return;
+    deliverWebhooks(Indiekit.database, options);
+  }, WEBHOOK_INTERVAL);
 }
 
 /**
@@ -53,15 +103,34 @@ export function stopSync() {
     syncInterval = null;
     console.log("[RSS] Background sync stopped");
   }
+  if (webhookInterval) {
+    clearInterval(webhookInterval);
+    webhookInterval = null;
+  }
+}
+
+/**
+ * Send due webhook deliveries in the background
+ * @param {Object} db - Database instance
+ * @param {Object} options - Plugin options
+ */
+function deliverWebhooks(db, options) {
+  processWebhookDeliveries(db, options).catch((err) => {
+    console.error("[RSS] Webhook delivery error:", err.message);
+  });
 }
 
 /**
  * Run a single sync cycle
  * @param {Object} dbOrIndiekit - Database instance or Indiekit instance (for backwards compat)
  * @param {Object} options - Plugin options
+ * @param {Object} [runOptions] - Sync run options
+ * @param {boolean} [runOptions.force] - Fetch every enabled feed, even if not due yet
+ * @param {string} [runOptions.trigger] - What started the run: scheduled, manual or clear-resync
+ * @param {boolean} [runOptions.clearItems] - Drop cached items (except starred and queued ones) first
  * @returns {Promise<Object>}
  */
-export async function runSync(dbOrIndiekit, options) {
+export async function runSync(dbOrIndiekit, options, runOptions = {}) {
   // Support both direct db object and Indiekit object (for background sync)
   const db = dbOrIndiekit.database || dbOrIndiekit;
   if (!db || typeof db.collection !== "function") {
@@ -70,17 +139,38 @@ export async function runSync(dbOrIndiekit, options) {
   }
 
   if (syncState.syncing) {
-    return { error: "Sync already in progress" };
+    return { error: "Sync already in progress", lockedBy: INSTANCE_ID };
   }
 
+  // Only one instance may sync at a time
+  const locksCollection = db.collection("rssLocks");
+  const lockTtl = options.syncLockTtl || 60_000;
+  try {
+    if (!(await acquireSyncLock(locksCollection, lockTtl))) {
+      const lock = await getSyncLock(locksCollection);
+      return {
+        error: "Sync already in progress",
+        lockedBy: lock?.owner || null,
+      };
+    }
+  } catch (error) {
+    syncState.lastError = error.message;
+    return { error: error.message };
+  }
+  const heartbeat = startHeartbeat(locksCollection, lockTtl);
+
   syncState.syncing = true;
   syncState.lastError = null;
   syncState.feedsProcessed = 0;
+  syncState.feedsNotModified = 0;
   syncState.itemsAdded = 0;
+  syncState.itemsUpdated = 0;
 
   const client = new RssClient({
     timeout: options.fetchTimeout || 10_000,
   });
+  const runsCollection = db.collection("rssSyncRuns");
+  let run;
 
   try {
     const feedsCollection = db.collection("rssFeeds");
@@ -88,84 +178,306 @@ export async function runSync(dbOrIndiekit, options) {
 
     // Create indexes if they don't exist
     await createIndexes(feedsCollection, itemsCollection);
+    await createActivityIndexes(db.collection("rssActivity"));
+    await createSyncRunIndexes(runsCollection);
+    await createWebhookIndexes(db.collection("rssWebhookDeliveries"));
+
+    // Get enabled feeds that are due (all of them when forced)
+    const query = { enabled: true };
+    if (!runOptions.force) {
+      query.$or = [
+        { nextFetchAt: null },
+        { nextFetchAt: { $lte: new Date() } },
+      ];
+    }
+    const feeds = await feedsCollection.find(query).toArray();
 
-    // Get all enabled feeds
-    const feeds = await feedsCollection.find({ enabled: true }).toArray();
-
-    if (feeds.length === 0) {
+    // Most scheduled ticks find nothing due; those are left out of the history
+    const trigger = runOptions.trigger || "scheduled";
+    if (feeds.length === 0 && trigger === "scheduled") {
+      await runMaintenance(db, options);
       syncState.lastSync = new Date().toISOString();
       syncState.syncing = false;
-      return { feedsProcessed: 0, itemsAdded: 0 };
+      return {
+        feedsProcessed: 0,
+        feedsNotModified: 0,
+        feedsFailed: 0,
+        itemsAdded: 0,
+        itemsUpdated: 0,
+        itemsPruned: 0,
+        itemsCleared: 0,
+        runId: null,
+      };
     }
 
+    run = await startSyncRun(runsCollection, trigger);
+
+    // Cleared while holding the lock, so no other sync can interleave
+    const itemsCleared = runOptions.clearItems
+      ? await clearItems(feedsCollection, itemsCollection)
+      : 0;
+
+    // Filter rules and webhooks are loaded once per run
+    const handlers = await loadItemHandlers(db);
+
+    publishEvent("sync.started", {
+      runId: run._id.toString(),
+      trigger: run.trigger,
+      feedsTotal: feeds.length,
+    });
+
     // Process feeds with concurrency limit
     const maxConcurrent = options.maxConcurrentFetches || 3;
+    let feedsDone = 0;
     const results = await processFeedsWithLimit(
       feeds,
       maxConcurrent,
       async (feed) => {
-        return syncFeed(feed, feedsCollection, itemsCollection, client, options);
-      }
+        const started = Date.now();
+        const result = await syncFeed(feed, db, client, options, handlers);
+        const feedResult = describeFeedResult(feed, result, Date.now() - started);
+        publishEvent(
+          "sync.progress",
+          {
+            runId: run._id.toString(),
+            feedsProcessed: ++feedsDone,
+            feedsTotal: feeds.length,
+            feedId: feed._id.toString(),
+            outcome: feedResult.outcome,
+          },
+          feed,
+        );
+        return feedResult;
+      },
+      heartbeat.signal,
     );
 
+    // Another instance took the lock over: leave the rest of the run to it
+    heartbeat.signal.throwIfAborted();
+
     // Aggregate results
+    let feedsFailed = 0;
     for (const result of results) {
-      if (result.itemsAdded) {
-        syncState.itemsAdded += result.itemsAdded;
+      syncState.itemsAdded += result.itemsAdded;
+      syncState.itemsUpdated += result.itemsUpdated;
+      if (result.outcome === "not-modified") {
+        syncState.feedsNotModified++;
+      }
+      if (result.error) {
+        feedsFailed++;
       }
       syncState.feedsProcessed++;
     }
 
     // Prune old items
     const retentionDays = options.retentionDays || 30;
-    const itemsPruned = await pruneOldItems(
-      itemsCollection,
-      feedsCollection,
-      retentionDays,
-    );
+    const itemsPruned = feeds.length > 0
+      ? await pruneOldItems(itemsCollection, feedsCollection, retentionDays)
+      : 0;
+
+    await runMaintenance(db, options);
 
     syncState.lastSync = new Date().toISOString();
     syncState.syncing = false;
 
-    console.log(
-      `[RSS] Sync complete: ${syncState.feedsProcessed} feeds, ${syncState.itemsAdded} new items, ${itemsPruned} pruned`
-    );
-
-    return {
+    const report = {
       feedsProcessed: syncState.feedsProcessed,
+      feedsNotModified: syncState.feedsNotModified,
+      feedsFailed,
       itemsAdded: syncState.itemsAdded,
+      itemsUpdated: syncState.itemsUpdated,
       itemsPruned,
     };
+    await finishSyncRun(runsCollection, run, { ...report, feeds: results });
+    publishEvent("sync.finished", {
+      runId: run._id.toString(),
+      status: "completed",
+      ...report,
+    });
+
+    if (feeds.length > 0) {
+      console.log(
+        `[RSS] Sync complete: ${syncState.feedsProcessed} feeds (${syncState.feedsNotModified} unchanged, ${feedsFailed} failed), ${syncState.itemsAdded} new items, ${syncState.itemsUpdated} updated, ${itemsPruned} pruned`
+      );
+    }
+
+    // New items go out to webhooks without holding up the caller
+    deliverWebhooks(db, options);
+
+    return { ...report, itemsCleared, runId: run._id };
   } catch (error) {
     syncState.lastError = error.message;
     syncState.syncing = false;
     console.error("[RSS] Sync failed:", error.message);
+    if (run) {
+      await finishSyncRun(runsCollection, run, { error: error.message });
+      publishEvent("sync.finished", {
+        runId: run._id.toString(),
+        status: "failed",
+        error: error.message,
+      });
+    }
     return { error: error.message };
+  } finally {
+    heartbeat.stop();
+    await releaseSyncLock(locksCollection);
   }
 }
 
 /**
- * Sync a single feed
- * @param {Object} feed - Feed document
+ * Housekeeping done on every sync, even when no feed is due
+ * @param {Object} db - Database instance
+ * @param {Object} options - Plugin options
+ */
+async function runMaintenance(db, options) {
+  // Drop proxied thumbnails past their cache lifetime
+  if (options.proxyImages) {
+    try {
+      await pruneImageCache(db, options.imageCacheDays || 30);
+    } catch (error) {
+      console.error("[RSS] Image cache prune error:", error.message);
+    }
+  }
+
+  // Subscribe to hubs that advertise pushed updates, renew expiring leases
+  try {
+    await maintainWebSub(db, options);
+  } catch (error) {
+    console.error("[RSS] WebSub maintenance error:", error.message);
+  }
+}
+
+/**
+ * Drop cached items, except starred and queued ones, so every feed is fetched
+ * afresh
  * @param {Collection} feedsCollection - Feeds collection
  * @param {Collection} itemsCollection - Items collection
+ * @returns {Promise<number>} Number of items cleared
+ */
+async function clearItems(feedsCollection, itemsCollection) {
+  const itemsCleared = await deleteItems(itemsCollection, {
+    starred: { $ne: true },
+    queuePosition: { $exists: false },
+  });
+  console.log(`[RSS] Cleared ${itemsCleared} items`);
+
+  // Reset feed item counts and HTTP cache validators so every feed is re-fetched
+  await feedsCollection.updateMany(
+    {},
+    { $set: { itemCount: 0, etag: null, lastModified: null } },
+  );
+
+  return itemsCleared;
+}
+
+/**
+ * Sync a single feed
+ * @param {Object} feed - Feed document
+ * @param {Object} db - Database instance
  * @param {RssClient} client - RSS client
  * @param {Object} options - Plugin options
+ * @param {Object} [handlers] - Filter rules and webhooks, from loadItemHandlers()
  * @returns {Promise<Object>}
  */
-async function syncFeed(
-  feed,
-  feedsCollection,
-  itemsCollection,
-  client,
-  options
-) {
-  const maxItemsPerFeed = options.maxItemsPerFeed || 50;
-  let itemsAdded = 0;
+async function syncFeed(feed, db, client, options, handlers = {}) {
+  const feedsCollection = db.collection("rssFeeds");
+  const activityCollection = db.collection("rssActivity");
   let lastError = null;
 
   try {
-    const { feed: feedMeta, items } = await client.fetchFeed(feed.url);
+    const {
+      feed: feedMeta,
+      items,
+      cache,
+      status,
+      movedTo: redirectedTo,
+      notModified,
+    } = await client.fetchFeed(feed.url, {
+      etag: feed.etag,
+      lastModified: feed.lastModified,
+    });
+
+    // Permanently redirected: follow the feed to its new URL, unless that is
+    // the same URL once normalized (e.g. only a trailing slash was added)
+    const newUrl = redirectedTo ? normalizeUrl(redirectedTo) : null;
+    const movedTo = newUrl !== feed.url ? newUrl : null;
+    if (movedTo) {
+      const moved = await moveFeed(db, feed, movedTo, options);
+      console.log(
+        `[RSS] ${feed.url} moved to ${movedTo}${moved.merged ? " (merged with existing feed)" : ""}`,
+      );
+      await logActivity(activityCollection, {
+        type: moved.merged ? "merged" : "moved",
+        feed: moved.feed,
+        details: { from: feed.url, to: movedTo },
+      });
+      feed = moved.feed;
+    }
+
+    // Server says nothing changed since the last fetch
+    if (notModified) {
+      // The feed's own hints still hold; only max-age can come with a 304
+      const declaredInterval =
+        feed.declaredHints || cache.maxAge
+          ? getDeclaredInterval({ ...feed.declaredHints, maxAge: cache.maxAge })
+          : feed.declaredInterval;
+      const schedule = scheduleNextFetch(
+        { ...feed, declaredInterval },
+        {},
+        options,
+      );
+
+      await feedsCollection.updateOne(
+        { _id: feed._id },
+        {
+          $set: {
+            etag: cache.etag,
+            lastModified: cache.lastModified,
+            declaredInterval: declaredInterval || null,
+            ...schedule,
+            ...recordSuccess(status),
+            lastFetchedAt: new Date().toISOString(),
+          },
+        }
+      );
+
+      publishEvent(
+        "feed.updated",
+        {
+          feedId: feed._id.toString(),
+          feedTitle: feed.title,
+          itemsAdded: 0,
+          itemsUpdated: 0,
+          notModified: true,
+        },
+        feed,
+      );
+
+      return {
+        feedId: feed._id,
+        itemsAdded: 0,
+        itemsUpdated: 0,
+        movedTo,
+        notModified: true,
+      };
+    }
+
+    // Work out the polling schedule from posting frequency and declared hints
+    const postingInterval = getPostingInterval(items.map((item) => item.pubDate));
+    const declaredHints = {
+      ttl: feedMeta.ttl,
+      updatePeriod: feedMeta.updatePeriod,
+      updateFrequency: feedMeta.updateFrequency,
+    };
+    const declaredInterval = getDeclaredInterval({
+      ...declaredHints,
+      maxAge: cache.maxAge,
+    });
+    const schedule = scheduleNextFetch(
+      { ...feed, postingInterval, declaredInterval },
+      {},
+      options,
+    );
 
     // Update feed metadata
     await feedsCollection.updateOne(
@@ -176,68 +488,310 @@ async function syncFeed(
           siteUrl: feedMeta.siteUrl,
           description: feedMeta.description,
           imageUrl: feedMeta.imageUrl,
+          hubs: feedMeta.hubs || [],
+          selfUrl: feedMeta.selfUrl || null,
+          postingInterval,
+          declaredHints,
+          declaredInterval,
+          ...schedule,
+          ...recordSuccess(status),
           lastFetchedAt: new Date().toISOString(),
-          lastError: null,
         },
       }
     );
 
-    // Insert new items
-    const recentItems = items.slice(0, maxItemsPerFeed);
-    for (const item of recentItems) {
-      try {
-        const result = await itemsCollection.updateOne(
-          {
-            feedId: feed._id,
-            guid: item.guid,
-          },
-          {
-            $setOnInsert: {
-              feedId: feed._id,
-              feedTitle: feedMeta.title,
-              ...item,
-              fetchedAt: new Date().toISOString(),
-            },
-          },
-          { upsert: true }
-        );
+    // Insert new items, update changed ones. The cache validators are only
+    // saved once every item is stored, or a 304 would hide the lost ones
+    const { newItems, ...stored } = await storeItems(
+      db,
+      feed,
+      feedMeta.title,
+      items,
+      options,
+      handlers,
+      { etag: cache.etag, lastModified: cache.lastModified },
+    );
+    publishEvent(
+      "feed.updated",
+      {
+        feedId: feed._id.toString(),
+        feedTitle: feedMeta.title,
+        ...stored,
+        notModified: false,
+      },
+      feed,
+    );
+
+    // Opted-in feeds get the article behind each new item
+    if (feed.fetchFullContent) {
+      await fetchFullContent(db.collection("rssItems"), client, newItems);
+    }
 
-        if (result.upsertedCount > 0) {
-          itemsAdded++;
+    return { feedId: feed._id, ...stored, movedTo };
+  } catch (error) {
+    lastError = error.message;
+
+    // Record the failure, back off, and give up on feeds failing for too long
+    const { update, consecutiveFailures, disabled, gone } = recordFailure(
+      feed,
+      error,
+      options,
+    );
+    const schedule = scheduleNextFetch(
+      feed,
+      {
+        failures: consecutiveFailures,
+        retryAfter: error.cause?.retryAfter,
+      },
+      options,
+    );
+    Object.assign(update.$set, schedule);
+
+    // Only log the start of a failure streak, not every retry
+    if (disabled) {
+      console.error(`[RSS] Disabled ${feed.url}: ${update.$set.disabledReason}`);
+      await logActivity(activityCollection, {
+        type: gone ? "gone" : "disabled",
+        feed,
+        details: { reason: update.$set.disabledReason },
+      });
+    } else if (consecutiveFailures === 1) {
+      console.error(`[RSS] Error syncing ${feed.url}: ${lastError}`);
+    }
+
+    await feedsCollection.updateOne({ _id: feed._id }, update);
+    publishEvent(
+      "feed.error",
+      {
+        feedId: feed._id.toString(),
+        feedTitle: feed.title,
+        error: lastError,
+        status: error.cause?.status || null,
+        consecutiveFailures,
+        disabled,
+      },
+      feed,
+    );
+
+    return {
+      feedId: feed._id,
+      itemsAdded: 0,
+      itemsUpdated: 0,
+      error: lastError,
+      disabled,
+    };
+  }
+}
+
+/**
+ * Load what new items are passed through: filter rules and webhooks
+ * @param {Object} db - Database instance
+ * @returns {Promise<{rules: Array<Object>, webhooks: Array<Object>}>}
+ */
+async function loadItemHandlers(db) {
+  return {
+    rules: await loadRules(db.collection("rssRules")),
+    webhooks: await loadWebhooks(db.collection("rssWebhooks")),
+  };
+}
+
+/**
+ * Store a feed's items: insert new ones (through the filter rules), update
+ * changed ones and group duplicates
+ * Shared by polled fetches and content pushed by a WebSub hub
+ * @param {Object} db - Database instance
+ * @param {Object} feed - Feed document
+ * @param {string} feedTitle - Feed title, copied onto new items
+ * @param {Array<Object>} items - Parsed items
+ * @param {Object} options - Plugin options
+ * @param {Object} [handlers] - Filter rules and webhooks, from loadItemHandlers()
+ * @param {Object} [feedFields] - Fields to set on the feed with its item
+ *   count, only if every item was stored
+ * @returns {Promise<{itemsAdded: number, itemsUpdated: number, newItems: Array<Object>}>}
+ *   newItems lists the new items that are shown (not hidden or grouped)
+ */
+async function storeItems(
+  db,
+  feed,
+  feedTitle,
+  items,
+  options,
+  handlers = {},
+  feedFields = {},
+) {
+  const feedsCollection = db.collection("rssFeeds");
+  const itemsCollection = db.collection("rssItems");
+  const maxItemsPerFeed = options.maxItemsPerFeed || 50;
+  let itemsAdded = 0;
+  let itemsUpdated = 0;
+  let itemsFailed = 0;
+  const newItems = [];
+
+  const recentItems = items.slice(0, maxItemsPerFeed);
+  const feedRules = getFeedRules(handlers.rules || [], feed._id);
+  for (const item of recentItems) {
+    try {
+      const document = {
+        feedId: feed._id,
+        feedTitle,
+        ...item,
+        ...getDuplicateKeys(item),
+        revisionHash: getRevisionHash(item),
+        duplicateOf: null,
+        read: false,
+        starred: false,
+        fetchedAt: new Date().toISOString(),
+      };
+
+      const existing = await itemsCollection.findOne(
+        { feedId: feed._id, guid: item.guid },
+        { projection: REVISION_PROJECTION },
+      );
+      if (existing) {
+        const updated = await applyRevision(
+          itemsCollection,
+          existing,
+          document,
+          options.keepRevisions,
+        );
+        if (updated) {
+          itemsUpdated++;
         }
-      } catch (err) {
-        // Ignore duplicate key errors
-        if (err.code !== 11000) {
-          console.error(`[RSS] Error inserting item: ${err.message}`);
+        continue;
+      }
+
+      // Filter rules only apply to new items
+      const filtered = applyRules(document, feedRules);
+      if (filtered.drop) {
+        continue;
+      }
+      Object.assign(document, filtered.fields);
+
+      const result = await itemsCollection.updateOne(
+        {
+          feedId: feed._id,
+          guid: item.guid,
+        },
+        {
+          $setOnInsert: document,
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        itemsAdded++;
+
+        // Same article already cached from another feed?
+        const primaryId = await groupDuplicate(itemsCollection, {
+          ...document,
+          _id: result.upsertedId,
+        });
+
+        // Announce items as they would be listed: once, unless hidden
+        if (!primaryId && !document.hidden) {
+          const payload = formatItem({ ...document, _id: result.upsertedId });
+          publishEvent("item.added", payload, feed);
+          await queueItemDeliveries(
+            db.collection("rssWebhookDeliveries"),
+            handlers.webhooks || [],
+            payload,
+            document,
+            feed,
+          );
+          newItems.push({ _id: result.upsertedId, link: document.link });
         }
       }
+    } catch (err) {
+      // Ignore duplicate key errors
+      if (err.code !== 11000) {
+        itemsFailed++;
+        console.error(`[RSS] Error inserting item: ${err.message}`);
+      }
     }
+  }
+
+  // Update item count
+  const itemCount = await itemsCollection.countDocuments({ feedId: feed._id });
+  await feedsCollection.updateOne(
+    { _id: feed._id },
+    { $set: { itemCount, ...(itemsFailed === 0 && feedFields) } }
+  );
 
-    // Update item count
-    const itemCount = await itemsCollection.countDocuments({ feedId: feed._id });
+  return { itemsAdded, itemsUpdated, newItems };
+}
+
+/**
+ * Store content pushed by a WebSub hub
+ * Stored under the sync lock, so a push can't interleave with a sync (or
+ * another push) on any instance. While the lock is held, the push is left to
+ * polling: the feed is made due for the next sync instead
+ * Full articles are fetched in the background, so the hub isn't kept waiting
+ * @param {Object} db - Database instance
+ * @param {Object} feed - Feed document
+ * @param {{feed: Object, items: Array}} parsed - From RssClient.parseFeed()
+ * @param {Object} options - Plugin options
+ * @returns {Promise<{feedId: ObjectId, itemsAdded: number, itemsUpdated: number, deferred: boolean}>}
+ */
+export async function ingestPushedFeed(db, feed, parsed, options) {
+  const feedsCollection = db.collection("rssFeeds");
+  const locksCollection = db.collection("rssLocks");
+  const lockTtl = options.syncLockTtl || 60_000;
+
+  if (!(await acquireSyncLock(locksCollection, lockTtl))) {
     await feedsCollection.updateOne(
       { _id: feed._id },
-      { $set: { itemCount } }
+      { $set: { nextFetchAt: null, "websub.lastPushAt": new Date() } },
     );
+    return { feedId: feed._id, itemsAdded: 0, itemsUpdated: 0, deferred: true };
+  }
 
-    return { feedId: feed._id, itemsAdded };
-  } catch (error) {
-    lastError = error.message;
-    console.error(`[RSS] Error syncing ${feed.url}: ${lastError}`);
+  const heartbeat = startHeartbeat(locksCollection, lockTtl);
+  let stored;
+  let newItems;
+  try {
+    const handlers = await loadItemHandlers(db);
+    ({ newItems, ...stored } = await storeItems(
+      db,
+      feed,
+      feed.title || parsed.feed.title,
+      parsed.items,
+      options,
+      handlers,
+    ));
 
-    // Update feed with error
     await feedsCollection.updateOne(
       { _id: feed._id },
-      {
-        $set: {
-          lastFetchedAt: new Date().toISOString(),
-          lastError: lastError,
-        },
-      }
+      { $set: { "websub.lastPushAt": new Date() } },
     );
+  } finally {
+    heartbeat.stop();
+    await releaseSyncLock(locksCollection);
+  }
+
+  publishEvent(
+    "feed.updated",
+    {
+      feedId: feed._id.toString(),
+      feedTitle: feed.title,
+      ...stored,
+      notModified: false,
+      pushed: true,
+    },
+    feed,
+  );
+
+  deliverWebhooks(db, options);
 
-    return { feedId: feed._id, itemsAdded: 0, error: lastError };
+  if (feed.fetchFullContent && newItems.length > 0) {
+    const client = new RssClient({ timeout: options.fetchTimeout || 10_000 });
+    fetchFullContent(db.collection("rssItems"), client, newItems).catch(
+      (error) => {
+        console.error(`[RSS] Full content error for ${feed.url}: ${error.message}`);
+      },
+    );
   }
+
+  return { feedId: feed._id, ...stored, deferred: false };
 }
 
 /**
@@ -249,16 +803,35 @@ async function createIndexes(feedsCollection, itemsCollection) {
   // Feeds indexes
   await feedsCollection.createIndex({ url: 1 }, { unique: true });
   await feedsCollection.createIndex({ enabled: 1 });
+  await feedsCollection.createIndex({ enabled: 1, nextFetchAt: 1 });
+  await feedsCollection.createIndex({ categories: 1 });
 
   // Items indexes
   await itemsCollection.createIndex({ feedId: 1, guid: 1 }, { unique: true });
   await itemsCollection.createIndex({ feedId: 1 });
   await itemsCollection.createIndex({ pubDate: -1 });
   await itemsCollection.createIndex({ fetchedAt: -1 });
+  await itemsCollection.createIndex({ feedId: 1, read: 1 });
+  await itemsCollection.createIndex({ starred: 1, pubDate: -1 });
+  await itemsCollection.createIndex({ duplicateOf: 1 });
+  await itemsCollection.createIndex({ canonicalLink: 1 });
+  await itemsCollection.createIndex({ contentHash: 1 });
+  await itemsCollection.createIndex({ titleKey: 1, pubDate: -1 });
+  await itemsCollection.createIndex({ tags: 1 });
+  await itemsCollection.createIndex({ "enclosures.type": 1 });
+  await itemsCollection.createIndex({ queuePosition: 1 }, { sparse: true });
+  await itemsCollection.createIndex(
+    { title: "text", description: "text", content: "text", author: "text" },
+    {
+      name: "rssItemsText",
+      weights: { title: 10, description: 5, author: 3, content: 1 },
+    },
+  );
 }
 
 /**
  * Prune items older than retention period and update feed item counts
+ * Starred and queued items are kept regardless of age
  * @param {Collection} itemsCollection - Items collection
  * @param {Collection} feedsCollection - Feeds collection
  * @param {number} retentionDays - Days to keep items
@@ -269,13 +842,15 @@ async function pruneOldItems(itemsCollection, feedsCollection, retentionDays) {
   cutoff.setDate(cutoff.getDate() - retentionDays);
 
   try {
-    const result = await itemsCollection.deleteMany({
+    const deletedCount = await deleteItems(itemsCollection, {
       pubDate: { $lt: cutoff },
+      starred: { $ne: true },
+      queuePosition: { $exists: false },
     });
 
-    if (result.deletedCount > 0) {
+    if (deletedCount > 0) {
       console.log(
-        `[RSS] Pruned ${result.deletedCount} items older than ${retentionDays} days`,
+        `[RSS] Pruned ${deletedCount} items older than ${retentionDays} days`,
       );
 
       // Update item counts for all feeds
@@ -291,7 +866,7 @@ async function pruneOldItems(itemsCollection, feedsCollection, retentionDays) {
       }
     }
 
-    return result.deletedCount;
+    return deletedCount;
   } catch (err) {
     console.error("[RSS] Prune error:", err.message);
     return 0;
@@ -303,13 +878,16 @@ async function pruneOldItems(itemsCollection, feedsCollection, retentionDays) {
  * @param {Array} feeds - Array of feeds
  * @param {number} limit - Concurrency limit
  * @param {Function} processor - Async function to process each feed
+ * @param {AbortSignal} [signal] - Once aborted, no more feeds are started
  * @returns {Promise<Array>}
  */
-async function processFeedsWithLimit(feeds, limit, processor) {
+async function processFeedsWithLimit(feeds, limit, processor, signal) {
   const results = [];
   const executing = [];
 
   for (const feed of feeds) {
+    if (signal?.aborted) break;
+
     const promise = processor(feed).then((result) => {
       executing.splice(executing.indexOf(promise), 1);
       return result;
@@ -327,24 +905,86 @@ async function processFeedsWithLimit(feeds, limit, processor) {
 
 /**
  * Sync a single feed by ID (for manual refresh)
+ * Takes the sync lock like a full run; while another sync holds it, the feed
+ * is left for the next sync (a new feed is always due)
  * @param {Object} db - Database instance
  * @param {string} feedId - Feed ID
  * @param {Object} options - Plugin options
+ * @param {Object} [runOptions] - Sync run options
+ * @param {string} [runOptions.trigger] - What started the run
  * @returns {Promise<Object>}
  */
-export async function syncSingleFeed(db, feedId, options) {
+export async function syncSingleFeed(db, feedId, options, runOptions = {}) {
   const { ObjectId } = await import("mongodb");
   const feedsCollection = db.collection("rssFeeds");
-  const itemsCollection = db.collection("rssItems");
 
   const feed = await feedsCollection.findOne({ _id: new ObjectId(feedId) });
   if (!feed) {
     return { error: "Feed not found" };
   }
 
-  const client = new RssClient({
-    timeout: options.fetchTimeout || 10_000,
-  });
+  const locksCollection = db.collection("rssLocks");
+  const lockTtl = options.syncLockTtl || 60_000;
+  if (!(await acquireSyncLock(locksCollection, lockTtl))) {
+    const lock = await getSyncLock(locksCollection);
+    return {
+      error: "Sync already in progress",
+      lockedBy: lock?.owner || null,
+    };
+  }
+  const heartbeat = startHeartbeat(locksCollection, lockTtl);
+
+  try {
+    const client = new RssClient({
+      timeout: options.fetchTimeout || 10_000,
+    });
+
+    const runsCollection = db.collection("rssSyncRuns");
+    const run = await startSyncRun(
+      runsCollection,
+      runOptions.trigger || "manual",
+    );
+    const handlers = await loadItemHandlers(db);
+    publishEvent("sync.started", {
+      runId: run._id.toString(),
+      trigger: run.trigger,
+      feedsTotal: 1,
+    });
+
+    const started = Date.now();
+    const result = await syncFeed(feed, db, client, options, handlers);
+    const feedResult = describeFeedResult(feed, result, Date.now() - started);
+    publishEvent(
+      "sync.progress",
+      {
+        runId: run._id.toString(),
+        feedsProcessed: 1,
+        feedsTotal: 1,
+        feedId: feed._id.toString(),
+        outcome: feedResult.outcome,
+      },
+      feed,
+    );
+
+    const report = {
+      feedsProcessed: 1,
+      feedsNotModified: feedResult.outcome === "not-modified" ? 1 : 0,
+      feedsFailed: feedResult.error ? 1 : 0,
+      itemsAdded: feedResult.itemsAdded,
+      itemsUpdated: feedResult.itemsUpdated,
+      itemsPruned: 0,
+    };
+    await finishSyncRun(runsCollection, run, { ...report, feeds: [feedResult] });
+    deliverWebhooks(db, options);
+    publishEvent("sync.finished", {
+      runId: run._id.toString(),
+      status: "completed",
+      ...report,
+    });
 
-  return syncFeed(feed, feedsCollection, itemsCollection, client, options);
+    return { ...result, runId: run._id };
+  } finally {
+    heartbeat.stop();
+    await releaseSyncLock(locksCollection);
+  }
 }
@@ -1,5 +1,9 @@
 import sanitizeHtmlLib from "sanitize-html";
 
+// Thumbnail widths proxied images are handed out at (see image-proxy.js)
+const DEFAULT_ITEM_WIDTH = 640;
+const DEFAULT_FEED_WIDTH = 160;
+
 /**
  * Ensure a value is an ISO 8601 date string.
  * Handles both Date objects (old MongoDB data) and strings (new data).
@@ -13,36 +17,231 @@ function toISO(value) {
   return null;
 }
 
+// Sanitization profiles, from most to least restrictive
+export const SANITIZE_PROFILES = ["text", "rich", "embeds"];
+
+// Hosts whose players the "embeds" profile keeps
+export const DEFAULT_EMBED_HOSTS = [
+  "www.youtube.com",
+  "youtube.com",
+  "www.youtube-nocookie.com",
+  "player.vimeo.com",
+];
+
+const TEXT_TAGS = [
+  "p",
+  "br",
+  "b",
+  "i",
+  "em",
+  "strong",
+  "a",
+  "ul",
+  "ol",
+  "li",
+  "blockquote",
+  "code",
+  "pre",
+];
+
+const RICH_TAGS = [
+  ...TEXT_TAGS,
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "s",
+  "del",
+  "ins",
+  "sub",
+  "sup",
+  "mark",
+  "small",
+  "abbr",
+  "cite",
+  "q",
+  "kbd",
+  "dl",
+  "dt",
+  "dd",
+  "img",
+  "figure",
+  "figcaption",
+  "picture",
+  "source",
+  "video",
+  "audio",
+  "track",
+  "table",
+  "caption",
+  "thead",
+  "tbody",
+  "tfoot",
+  "tr",
+  "th",
+  "td",
+];
+
+const RICH_ATTRIBUTES = {
+  a: ["href", "title", "rel"],
+  img: ["src", "srcset", "sizes", "alt", "title", "width", "height", "loading"],
+  source: ["src", "srcset", "sizes", "type", "media"],
+  video: [
+    "src",
+    "poster",
+    "width",
+    "height",
+    "controls",
+    "loop",
+    "muted",
+    "playsinline",
+    "preload",
+  ],
+  audio: ["src", "controls", "loop", "muted", "preload"],
+  track: ["src", "kind", "srclang", "label"],
+  abbr: ["title"],
+  ol: ["start", "reversed"],
+  th: ["colspan", "rowspan", "scope"],
+  td: ["colspan", "rowspan"],
+};
+
+/**
+ * Resolve a URL attribute against the page it came from
+ * @param {string} value - Attribute value
+ * @param {string} [baseUrl] - URL of the page
+ * @returns {string}
+ */
+function absoluteUrl(value, baseUrl) {
+  if (!value || !baseUrl) return value;
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Resolve every candidate in a srcset attribute
+ * @param {string} value - srcset value, e.g. `a.jpg 1x, b.jpg 2x`
+ * @param {string} [baseUrl] - URL of the page
+ * @returns {string}
+ */
+function absoluteSrcset(value, baseUrl) {
+  if (!value || !baseUrl) return value;
+  return value
+    .split(/,\s+/)
+    .map((candidate) => {
+      const [url, ...descriptors] = candidate.trim().split(/\s+/);
+      return [absoluteUrl(url, baseUrl), ...descriptors].join(" ");
+    })
+    .join(", ");
+}
+
+/**
+ * Build a transformTags function that makes URL attributes absolute
+ * @param {string} [baseUrl] - URL of the page
+ * @param {Object} [extra] - Attributes to force onto the tag
+ * @returns {Function}
+ */
+function resolveUrls(baseUrl, extra = {}) {
+  return (tagName, attribs) => {
+    const resolved = { ...attribs };
+    for (const name of ["href", "src", "poster"]) {
+      if (resolved[name]) {
+        resolved[name] = absoluteUrl(resolved[name], baseUrl);
+      }
+    }
+    if (resolved.srcset) {
+      resolved.srcset = absoluteSrcset(resolved.srcset, baseUrl);
+    }
+    return { tagName, attribs: { ...resolved, ...extra } };
+  };
+}
+
 /**
- * Sanitize HTML content - strip dangerous tags, keep basic formatting
+ * Sanitize HTML content - strip dangerous tags, keep formatting
+ * Profiles:
+ * - text: basic text formatting and links
+ * - rich: also headings, images, figures, tables, audio and video
+ * - embeds: rich, plus iframes from embedHosts (YouTube, Vimeo)
+ * Relative links are resolved against baseUrl, images load lazily and links
+ * always get rel="noopener nofollow"
  * @param {string} html - Raw HTML
+ * @param {Object} [options] - Sanitizing options
+ * @param {string} [options.profile] - text (default), rich or embeds
+ * @param {string} [options.baseUrl] - URL the content came from (the item link)
+ * @param {Array<string>} [options.embedHosts] - Hostnames allowed in iframes
  * @returns {string}
  */
-export function sanitizeHtml(html) {
+export function sanitizeHtml(html, options = {}) {
   if (!html) return "";
+  const {
+    profile = "text",
+    baseUrl,
+    embedHosts = DEFAULT_EMBED_HOSTS,
+  } = options;
+  const rich = profile === "rich" || profile === "embeds";
+  const embeds = profile === "embeds";
+
+  const allowedTags = rich ? [...RICH_TAGS] : [...TEXT_TAGS];
+  const allowedAttributes = rich
+    ? { ...RICH_ATTRIBUTES }
+    : { a: ["href", "title", "rel"] };
+  if (embeds) {
+    allowedTags.push("iframe");
+    allowedAttributes.iframe = [
+      "src",
+      "width",
+      "height",
+      "title",
+      "allow",
+      "allowfullscreen",
+      "loading",
+    ];
+  }
+
+  const resolve = resolveUrls(baseUrl);
   return sanitizeHtmlLib(html, {
-    allowedTags: [
-      "p",
-      "br",
-      "b",
-      "i",
-      "em",
-      "strong",
-      "a",
-      "ul",
-      "ol",
-      "li",
-      "blockquote",
-      "code",
-      "pre",
+    allowedTags,
+    allowedAttributes,
+    allowedSchemes: ["http", "https", "mailto"],
+    allowedSchemesAppliedToAttributes: [
+      "href",
+      "src",
+      "srcset",
+      "poster",
+      "cite",
     ],
-    allowedAttributes: {
-      a: ["href", "title", "rel"],
+    allowedIframeHostnames: embeds ? embedHosts : [],
+    allowIframeRelativeUrls: false,
+    // Iframes from other hosts lose their src; drop the empty frame too
+    exclusiveFilter: (frame) => frame.tag === "iframe" && !frame.attribs.src,
+    transformTags: {
+      a: resolveUrls(baseUrl, { rel: "noopener nofollow" }),
+      img: resolveUrls(baseUrl, { loading: "lazy" }),
+      iframe: resolveUrls(baseUrl, { loading: "lazy" }),
+      source: resolve,
+      video: resolve,
+      audio: resolve,
+      track: resolve,
     },
-    allowedSchemes: ["http", "https", "mailto"],
   });
 }
 
+/**
+ * Pick the first valid sanitization profile
+ * @param {...string} candidates - Requested, per-feed and default profiles
+ * @returns {string}
+ */
+export function getSanitizeProfile(...candidates) {
+  return (
+    candidates.find((profile) => SANITIZE_PROFILES.includes(profile)) || "text"
+  );
+}
+
 /**
  * Strip all HTML tags
  * @param {string} html - HTML content
@@ -103,14 +302,78 @@ function isImageType(type) {
   return type.startsWith("image/");
 }
 
+/**
+ * Parse attributes from a single HTML/XML start tag
+ * @param {string} tag - Start tag, e.g. `<link rel="alternate" href="/feed">`
+ * @returns {Object} Attribute values keyed by lowercase name
+ */
+export function parseAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(
+    /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g,
+  )) {
+    attributes[match[1].toLowerCase()] = decodeEntities(
+      match[2] ?? match[3] ?? match[4],
+    );
+  }
+  return attributes;
+}
+
+/**
+ * Decode basic XML/HTML entities
+ * @param {string} text - Encoded text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  if (!text) return "";
+  return text
+    .replace(/&#x([\da-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16)),
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replaceAll("&quot;", '"')
+    .replaceAll("&apos;", "'")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&amp;", "&");
+}
+
+/**
+ * Escape text for use in XML content or attributes
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  if (text === null || text === undefined) return "";
+  return String(text)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
 /**
  * Format item for API response
  * @param {Object} item - MongoDB item document
  * @param {Object} options - Formatting options
+ * @param {string} [options.profile] - Sanitization profile for content
+ * @param {Array<string>} [options.embedHosts] - Hosts the embeds profile keeps
+ * @param {Function} [options.proxyImage] - From createImageProxy(), to hand out
+ *   proxied image URLs instead of third-party ones
  * @returns {Object}
  */
 export function formatItem(item, options = {}) {
-  const { includeContent = false, descriptionLength = 200 } = options;
+  const {
+    includeContent = false,
+    includeRevisions = false,
+    descriptionLength = 200,
+    profile = "text",
+    embedHosts,
+    proxyImage,
+  } = options;
+  const sanitizeOptions = { profile, baseUrl: item.link, embedHosts };
+  const proxy = (url) => (proxyImage ? proxyImage(url, DEFAULT_ITEM_WIDTH) : url);
 
   // Handle description - use item.description if available, otherwise generate from content
   let description = item.description;
@@ -130,51 +393,259 @@ export function formatItem(item, options = {}) {
     description: description || "",
     author: item.author,
     pubDate: toISO(item.pubDate),
-    imageUrl: item.imageUrl,
+    // Podcast episodes often only have artwork
+    imageUrl: proxy(item.imageUrl || item.podcast?.imageUrl || null),
     categories: item.categories || [],
     fetchedAt: toISO(item.fetchedAt),
+    updatedAt: toISO(item.updatedAt),
+    read: item.read === true,
+    starred: item.starred === true,
+    played: item.played === true,
+    playbackPosition: item.playbackPosition || 0,
+    playbackUpdatedAt: toISO(item.playbackUpdatedAt),
+    queuePosition: item.queuePosition ?? null,
+    hidden: item.hidden === true,
+    tags: item.tags || [],
     // Source info for aggregators (like FreshRSS) - represents the original feed
     sourceTitle: item.sourceTitle || null,
     sourceUrl: item.sourceUrl || null,
   };
 
+  // Every feed this article came from (primary first), for duplicate groups
+  formatted.duplicateOf = item.duplicateOf?.toString() || null;
+  formatted.sources = [
+    { feedId: item.feedId?.toString(), feedTitle: item.feedTitle, link: item.link },
+    ...(item.duplicates || []).map((duplicate) => ({
+      feedId: duplicate.feedId?.toString(),
+      feedTitle: duplicate.feedTitle,
+      link: duplicate.link,
+    })),
+  ];
+
   // Include origin object if present (for aggregator metadata)
   if (item.origin) {
     formatted.origin = item.origin;
   }
 
   if (includeContent) {
-    formatted.content = sanitizeHtml(item.content);
+    formatted.content = sanitizeHtml(item.content, sanitizeOptions);
+    // Article extracted from the item's link (stored with the rich profile)
+    formatted.fullContent =
+      sanitizeHtml(item.fullContent, sanitizeOptions) || null;
   }
 
-  if (item.enclosure) {
-    formatted.enclosure = item.enclosure;
+  // Earlier versions, newest first (only kept when keepRevisions is set)
+  if (includeRevisions && item.revisions?.length) {
+    formatted.revisions = item.revisions.map((revision) => ({
+      title: revision.title,
+      link: revision.link,
+      content: sanitizeHtml(
+        revision.content || revision.description,
+        { ...sanitizeOptions, baseUrl: revision.link || item.link },
+      ),
+      fetchedAt: toISO(revision.fetchedAt),
+    }));
   }
 
+  // Every enclosure, plus the first one on its own for older clients
+  formatted.enclosures = item.enclosures || (item.enclosure ? [item.enclosure] : []);
+  if (item.enclosure || formatted.enclosures.length > 0) {
+    formatted.enclosure = item.enclosure || formatted.enclosures[0];
+  }
+
+  // iTunes and Podcasting 2.0 episode metadata
+  formatted.podcast = item.podcast
+    ? { ...item.podcast, imageUrl: proxy(item.podcast.imageUrl) }
+    : null;
+
   return formatted;
 }
 
 /**
  * Format feed for API response
  * @param {Object} feed - MongoDB feed document
+ * @param {Object} [options] - Formatting options
+ * @param {Function} [options.proxyImage] - From createImageProxy()
  * @returns {Object}
  */
-export function formatFeed(feed) {
+export function formatFeed(feed, options = {}) {
+  const { proxyImage } = options;
   return {
     id: feed._id?.toString(),
     url: feed.url,
     title: feed.title,
     siteUrl: feed.siteUrl,
     description: feed.description,
-    imageUrl: feed.imageUrl,
+    imageUrl: proxyImage
+      ? proxyImage(feed.imageUrl, DEFAULT_FEED_WIDTH)
+      : feed.imageUrl,
     enabled: feed.enabled,
     addedAt: toISO(feed.addedAt),
     lastFetchedAt: toISO(feed.lastFetchedAt),
     lastError: feed.lastError,
+    lastStatus: feed.lastStatus || null,
+    lastSuccessAt: toISO(feed.lastSuccessAt),
+    consecutiveFailures: feed.consecutiveFailures || 0,
+    failingSince: toISO(feed.failingSince),
+    failureHistory: (feed.failureHistory || []).map((failure) => ({
+      at: toISO(failure.at),
+      status: failure.status,
+      error: failure.error,
+    })),
+    disabledReason: feed.disabledReason || null,
+    disabledAt: toISO(feed.disabledAt),
     itemCount: feed.itemCount || 0,
+    unreadCount: feed.unreadCount || 0,
+    categories: feed.categories || [],
+    pollInterval: feed.pollInterval || null,
+    fetchFullContent: feed.fetchFullContent || false,
+    sanitizeProfile: feed.sanitizeProfile || null,
+    fetchInterval: feed.fetchInterval || null,
+    nextFetchAt: toISO(feed.nextFetchAt),
+    urlHistory: (feed.urlHistory || []).map((move) => ({
+      url: move.url,
+      movedAt: toISO(move.movedAt),
+    })),
+    hubs: feed.hubs || [],
+    // The subscription secret stays private
+    websub: feed.websub
+      ? {
+          hub: feed.websub.hub,
+          topic: feed.websub.topic,
+          state: feed.websub.state,
+          requestedAt: toISO(feed.websub.requestedAt),
+          verifiedAt: toISO(feed.websub.verifiedAt),
+          expiresAt: toISO(feed.websub.expiresAt),
+          lastPushAt: toISO(feed.websub.lastPushAt),
+          error: feed.websub.error || null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Format activity event for API response
+ * @param {Object} event - MongoDB activity document
+ * @returns {Object}
+ */
+export function formatActivity(event) {
+  return {
+    id: event._id?.toString(),
+    type: event.type,
+    feedId: event.feedId?.toString(),
+    feedTitle: event.feedTitle,
+    from: event.from || null,
+    to: event.to || null,
+    reason: event.reason || null,
+    at: toISO(event.at),
+  };
+}
+
+/**
+ * Format filter rule for API response
+ * @param {Object} rule - MongoDB rule document
+ * @returns {Object}
+ */
+export function formatRule(rule) {
+  return {
+    id: rule._id?.toString(),
+    name: rule.name || null,
+    feedId: rule.feedId?.toString() || null,
+    field: rule.field,
+    matchType: rule.matchType,
+    pattern: rule.pattern,
+    caseSensitive: rule.caseSensitive === true,
+    action: rule.action,
+    tag: rule.tag || null,
+    enabled: rule.enabled !== false,
+    createdAt: toISO(rule.createdAt),
+    updatedAt: toISO(rule.updatedAt),
+  };
+}
+
+/**
+ * Format webhook target for API response
+ * The secret is included, as webhook routes are protected
+ * @param {Object} webhook - MongoDB webhook document
+ * @returns {Object}
+ */
+export function formatWebhook(webhook) {
+  return {
+    id: webhook._id?.toString(),
+    name: webhook.name || null,
+    url: webhook.url,
+    secret: webhook.secret,
+    feedId: webhook.feedId?.toString() || null,
+    category: webhook.category || null,
+    keyword: webhook.keyword || null,
+    enabled: webhook.enabled !== false,
+    createdAt: toISO(webhook.createdAt),
+    updatedAt: toISO(webhook.updatedAt),
   };
 }
 
+/**
+ * Format webhook delivery for API response
+ * @param {Object} delivery - MongoDB webhook delivery document
+ * @returns {Object}
+ */
+export function formatWebhookDelivery(delivery) {
+  return {
+    id: delivery._id?.toString(),
+    webhookId: delivery.webhookId?.toString(),
+    event: delivery.event,
+    state: delivery.state,
+    attempts: delivery.attempts || 0,
+    lastStatus: delivery.lastStatus || null,
+    lastError: delivery.lastError || null,
+    nextAttemptAt: toISO(delivery.nextAttemptAt),
+    deliveredAt: toISO(delivery.deliveredAt),
+    createdAt: toISO(delivery.createdAt),
+    itemId: delivery.payload?.id || null,
+    itemTitle: delivery.payload?.title || null,
+    history: (delivery.history || []).map((attempt) => ({
+      at: toISO(attempt.at),
+      status: attempt.status,
+      error: attempt.error,
+      durationMs: attempt.durationMs,
+    })),
+  };
+}
+
+/**
+ * Format sync run for API response
+ * @param {Object} run - MongoDB sync run document
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.includeFeeds] - Include per-feed outcomes
+ * @returns {Object}
+ */
+export function formatSyncRun(run, options = {}) {
+  const formatted = {
+    id: run._id?.toString(),
+    trigger: run.trigger,
+    status: run.status,
+    startedAt: toISO(run.startedAt),
+    finishedAt: toISO(run.finishedAt),
+    durationMs: run.durationMs ?? null,
+    feedsProcessed: run.feedsProcessed || 0,
+    feedsNotModified: run.feedsNotModified || 0,
+    feedsFailed: run.feedsFailed || 0,
+    itemsAdded: run.itemsAdded || 0,
+    itemsUpdated: run.itemsUpdated || 0,
+    itemsPruned: run.itemsPruned || 0,
+    error: run.error || null,
+  };
+
+  if (options.includeFeeds) {
+    formatted.feeds = (run.feeds || []).map((feed) => ({
+      ...feed,
+      feedId: feed.feedId?.toString(),
+    }));
+  }
+
+  return formatted;
+}
+
 /**
  * Format relative time (e.g., "5 minutes ago")
  * @param {Date|string} date - Date to format
@@ -199,6 +670,21 @@ export function formatRelativeTime(date) {
   return d.toLocaleDateString();
 }
 
+/**
+ * Format a duration in seconds as H:MM:SS or M:SS
+ * @param {number} seconds - Duration
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  if (!seconds) return "";
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
 /**
  * Validate URL format
  * @param {string} url - URL to validate
@@ -0,0 +1,376 @@
+import { createHmac, randomBytes } from "node:crypto";
+import { ObjectId } from "mongodb";
+import { normalizeCategories } from "./categories.js";
+import { compileRule } from "./rules.js";
+import { isValidUrl } from "./utils.js";
+
+const USER_AGENT = "Indiekit-RSS-Reader/1.0 (+https://getindiekit.com)";
+const DELIVERY_TTL = 30 * 86_400; // 30 days, in seconds
+const DEFAULT_MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 60_000; // 1 minute, doubled after each failure
+const CLAIM_TIMEOUT = 300_000; // Deliveries claimed this long ago were abandoned
+const MAX_KEYWORD_LENGTH = 200;
+const MAX_HISTORY = 10;
+
+// Statuses worth retrying; any other 4xx means the target rejected the payload
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
+
+let processing = false;
+
+/**
+ * Validate and normalize a webhook target from a request body
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored webhook, when updating (only given fields change)
+ * @returns {{webhook: Object}|{error: string}}
+ */
+export function validateWebhook(body, existing = {}) {
+  const webhook = {
+    name: existing.name ?? null,
+    url: existing.url,
+    secret: existing.secret,
+    feedId: existing.feedId ?? null,
+    category: existing.category ?? null,
+    keyword: existing.keyword ?? null,
+    enabled: existing.enabled ?? true,
+  };
+
+  if (body.name !== undefined) {
+    if (body.name !== null && typeof body.name !== "string") {
+      return { error: "name must be a string" };
+    }
+    webhook.name = body.name?.trim().slice(0, 100) || null;
+  }
+
+  if (body.url !== undefined) {
+    if (typeof body.url !== "string" || !isValidUrl(body.url)) {
+      return { error: "url must be an http(s) URL" };
+    }
+    webhook.url = body.url;
+  }
+  if (!webhook.url) {
+    return { error: "url must be an http(s) URL" };
+  }
+
+  if (body.secret !== undefined && body.secret !== null && body.secret !== "") {
+    if (typeof body.secret !== "string" || body.secret.length > 200) {
+      return { error: "secret must be a string of up to 200 characters" };
+    }
+    webhook.secret = body.secret;
+  }
+  webhook.secret ||= randomBytes(24).toString("hex");
+
+  if (body.feedId !== undefined) {
+    if (body.feedId !== null && body.feedId !== "" && !ObjectId.isValid(body.feedId)) {
+      return { error: "Invalid feed ID" };
+    }
+    webhook.feedId = body.feedId ? new ObjectId(body.feedId) : null;
+  }
+
+  if (body.category !== undefined) {
+    if (body.category !== null && typeof body.category !== "string") {
+      return { error: "category must be a string" };
+    }
+    webhook.category = normalizeCategories(body.category || "")?.[0] || null;
+  }
+
+  if (body.keyword !== undefined) {
+    if (body.keyword !== null && typeof body.keyword !== "string") {
+      return { error: "keyword must be a string" };
+    }
+    webhook.keyword =
+      body.keyword?.trim().slice(0, MAX_KEYWORD_LENGTH) || null;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") {
+      return { error: "enabled must be boolean" };
+    }
+    webhook.enabled = body.enabled;
+  }
+
+  return { webhook };
+}
+
+/**
+ * Check whether a new item passes a webhook's filters
+ * @param {Object} webhook - Webhook document
+ * @param {Object} item - Item document
+ * @param {Object} feed - Feed document the item came from
+ * @returns {boolean}
+ */
+export function matchesWebhook(webhook, item, feed) {
+  if (webhook.feedId && !webhook.feedId.equals(feed._id)) return false;
+  if (webhook.category && !(feed.categories || []).includes(webhook.category)) {
+    return false;
+  }
+  if (webhook.keyword) {
+    const { matches } = compileRule({
+      field: "any",
+      matchType: "contains",
+      pattern: webhook.keyword,
+      caseSensitive: false,
+    });
+    return matches(item);
+  }
+  return true;
+}
+
+/**
+ * Create indexes for the delivery log
+ * Deliveries expire on their own after 30 days
+ * @param {Collection} deliveriesCollection - Webhook deliveries collection
+ */
+export async function createWebhookIndexes(deliveriesCollection) {
+  await deliveriesCollection.createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: DELIVERY_TTL },
+  );
+  await deliveriesCollection.createIndex({ state: 1, nextAttemptAt: 1 });
+  await deliveriesCollection.createIndex({ webhookId: 1, createdAt: -1 });
+}
+
+/**
+ * Load enabled webhook targets
+ * @param {Collection} webhooksCollection - Webhooks collection
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadWebhooks(webhooksCollection) {
+  return webhooksCollection.find({ enabled: true }).toArray();
+}
+
+/**
+ * Queue deliveries of a new item to the webhooks whose filters it passes
+ * @param {Collection} deliveriesCollection - Webhook deliveries collection
+ * @param {Array<Object>} webhooks - Enabled webhooks
+ * @param {Object} payload - Formatted item
+ * @param {Object} item - Item document, for keyword filters
+ * @param {Object} feed - Feed document the item came from
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function queueItemDeliveries(
+  deliveriesCollection,
+  webhooks,
+  payload,
+  item,
+  feed,
+) {
+  const targets = webhooks.filter((webhook) =>
+    matchesWebhook(webhook, item, feed),
+  );
+  if (targets.length === 0) return 0;
+
+  const now = new Date();
+  await deliveriesCollection.insertMany(
+    targets.map((webhook) => ({
+      webhookId: webhook._id,
+      event: "item.added",
+      payload,
+      state: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      history: [],
+      createdAt: now,
+    })),
+  );
+  return targets.length;
+}
+
+/**
+ * Sign a payload with a webhook's secret
+ * @param {string} secret - Webhook secret
+ * @param {string} body - JSON body
+ * @returns {string} X-Webhook-Signature header value
+ */
+export function signPayload(secret, body) {
+  return `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+/**
+ * POST a delivery to its target
+ * @param {Object} webhook - Webhook document
+ * @param {Object} delivery - Delivery document
+ * @param {Object} options - Plugin options
+ * @returns {Promise<{status: number|null, error: string|null, durationMs: number}>}
+ */
+async function sendDelivery(webhook, delivery, options) {
+  const body = JSON.stringify({
+    id: delivery._id.toString(),
+    event: delivery.event,
+    createdAt: delivery.createdAt.toISOString(),
+    item: delivery.payload,
+  });
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "User-Agent": USER_AGENT,
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Signature": signPayload(webhook.secret, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(options.fetchTimeout || 10_000),
+    });
+    await response.body?.cancel();
+
+    return {
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - started,
+    };
+  } catch (error) {
+    return { status: null, error: error.message, durationMs: Date.now() - started };
+  }
+}
+
+/**
+ * Attempt a delivery and record the outcome
+ * Failures are retried with exponential backoff until maxAttempts
+ * @param {Collection} deliveriesCollection - Webhook deliveries collection
+ * @param {Object} webhook - Webhook document
+ * @param {Object} delivery - Claimed delivery document
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Updated delivery document
+ */
+export async function attemptDelivery(
+  deliveriesCollection,
+  webhook,
+  delivery,
+  options,
+) {
+  const result = await sendDelivery(webhook, delivery, options);
+  const attempts = delivery.attempts + 1;
+  const maxAttempts = options.webhookMaxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const now = new Date();
+
+  let state = "delivered";
+  let nextAttemptAt = null;
+  if (result.error) {
+    const retryable =
+      !result.status ||
+      result.status >= 500 ||
+      RETRYABLE_STATUSES.has(result.status);
+    if (retryable && attempts < maxAttempts && !delivery.test) {
+      state = "pending";
+      nextAttemptAt = new Date(
+        now.getTime() + RETRY_BASE_DELAY * 2 ** (attempts - 1),
+      );
+    } else {
+      state = "failed";
+    }
+  }
+
+  return deliveriesCollection.findOneAndUpdate(
+    { _id: delivery._id },
+    {
+      $set: {
+        state,
+        attempts,
+        nextAttemptAt,
+        lastStatus: result.status,
+        lastError: result.error,
+        claimedAt: null,
+        ...(state === "delivered" && { deliveredAt: now }),
+      },
+      $push: {
+        history: {
+          $each: [
+            {
+              at: now,
+              status: result.status,
+              error: result.error,
+              durationMs: result.durationMs,
+            },
+          ],
+          $slice: -MAX_HISTORY,
+        },
+      },
+    },
+    { returnDocument: "after" },
+  );
+}
+
+/**
+ * Send deliveries that are due
+ * Each delivery is claimed before sending, so several instances can share the
+ * queue without sending anything twice
+ * @param {Object} db - Database instance
+ * @param {Object} options - Plugin options
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export async function processWebhookDeliveries(db, options) {
+  // One pass at a time per instance; a slow target can outlast the interval
+  if (processing) return 0;
+  processing = true;
+
+  const deliveriesCollection = db.collection("rssWebhookDeliveries");
+  const webhooksCollection = db.collection("rssWebhooks");
+  const webhooks = new Map();
+  let attempted = 0;
+
+  try {
+    for (;;) {
+      const now = new Date();
+      const delivery = await deliveriesCollection.findOneAndUpdate(
+        {
+          $or: [
+            { state: "pending", nextAttemptAt: { $lte: now } },
+            {
+              state: "sending",
+              claimedAt: { $lte: new Date(now.getTime() - CLAIM_TIMEOUT) },
+            },
+          ],
+        },
+        { $set: { state: "sending", claimedAt: now } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: "after" },
+      );
+      if (!delivery) break;
+
+      const key = delivery.webhookId.toString();
+      if (!webhooks.has(key)) {
+        webhooks.set(
+          key,
+          await webhooksCollection.findOne({ _id: delivery.webhookId }),
+        );
+      }
+      const webhook = webhooks.get(key);
+
+      // Target removed or switched off since the item was queued
+      if (!webhook?.enabled) {
+        await deliveriesCollection.updateOne(
+          { _id: delivery._id },
+          {
+            $set: {
+              state: "failed",
+              lastError: "Webhook removed or disabled",
+              claimedAt: null,
+            },
+          },
+        );
+        continue;
+      }
+
+      const updated = await attemptDelivery(
+        deliveriesCollection,
+        webhook,
+        delivery,
+        options,
+      );
+      attempted++;
+
+      if (updated?.state === "failed") {
+        console.error(
+          `[RSS] Webhook delivery to ${webhook.url} failed after ${updated.attempts} attempts: ${updated.lastError}`,
+        );
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  return attempted;
+}
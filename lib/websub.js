@@ -0,0 +1,230 @@
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+const USER_AGENT = "Indiekit-RSS-Reader/1.0 (+https://getindiekit.com)";
+export const DEFAULT_LEASE_SECONDS = 864_000; // 10 days
+const RENEW_BEFORE = 86_400_000; // Renew leases expiring within a day
+const RETRY_AFTER = 86_400_000; // Retry failed or unverified requests daily
+
+// Algorithms a hub may sign pushed content with (X-Hub-Signature)
+const SIGNATURE_ALGORITHMS = new Set(["sha1", "sha256", "sha384", "sha512"]);
+
+/**
+ * Get the URL a hub calls back for a feed
+ * @param {Object} feed - Feed document
+ * @param {Object} options - Plugin options
+ * @returns {string|null} Null when the server's public URL is unknown
+ */
+export function getCallbackUrl(feed, options) {
+  if (!options.publicUrl) return null;
+  const base = options.publicUrl.replace(/\/+$/, "");
+  return `${base}${options.mountPath}/websub/${feed._id}`;
+}
+
+/**
+ * Get the topic URL to subscribe to (the feed's self link, if it has one)
+ * @param {Object} feed - Feed document
+ * @returns {string}
+ */
+export function getTopic(feed) {
+  return feed.selfUrl || feed.url;
+}
+
+/**
+ * Check whether a feed needs a new or renewed subscription
+ * @param {Object} feed - Feed document
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function needsSubscription(feed, now) {
+  const { websub } = feed;
+  if (!websub) return true;
+
+  // The feed changed hubs or topic since it subscribed
+  if (!feed.hubs.includes(websub.hub) || websub.topic !== getTopic(feed)) {
+    return true;
+  }
+
+  switch (websub.state) {
+    case "active":
+      return !websub.expiresAt || websub.expiresAt - now < RENEW_BEFORE;
+    case "pending":
+    case "failed":
+      return !websub.requestedAt || now - websub.requestedAt > RETRY_AFTER;
+    case "denied":
+      return false;
+    default:
+      // Unsubscribed while disabled, and since re-enabled
+      return true;
+  }
+}
+
+/**
+ * Send a subscription request to a hub
+ * The hub verifies it asynchronously by calling the callback URL
+ * @param {string} hub - Hub URL
+ * @param {Object} parameters - hub.* parameters, without the prefix
+ * @param {Object} options - Plugin options
+ */
+async function sendHubRequest(hub, parameters, options) {
+  const body = new URLSearchParams(
+    Object.entries(parameters)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [`hub.${key}`, String(value)]),
+  );
+
+  const response = await fetch(hub, {
+    method: "POST",
+    headers: {
+      "User-Agent": USER_AGENT,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body,
+    signal: AbortSignal.timeout(options.fetchTimeout || 10_000),
+  });
+  await response.body?.cancel();
+
+  if (!response.ok) {
+    throw new Error(`Hub responded HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Subscribe to (or renew a subscription to) a feed's hub
+ * @param {Collection} feedsCollection - Feeds collection
+ * @param {Object} feed - Feed document with hubs
+ * @param {Object} options - Plugin options
+ * @returns {Promise<boolean>} True if the hub accepted the request
+ */
+export async function subscribe(feedsCollection, feed, options) {
+  const callback = getCallbackUrl(feed, options);
+  const hub = feed.hubs[0];
+  const topic = getTopic(feed);
+
+  // Keep the secret across renewals, so pushes in between still verify
+  const renewal =
+    feed.websub?.hub === hub &&
+    feed.websub.topic === topic &&
+    feed.websub.state === "active";
+  const secret = renewal
+    ? feed.websub.secret
+    : randomBytes(20).toString("hex");
+
+  const websub = {
+    ...feed.websub,
+    hub,
+    topic,
+    secret,
+    state: renewal ? "active" : "pending",
+    requestedAt: new Date(),
+    error: null,
+  };
+
+  try {
+    await sendHubRequest(
+      hub,
+      {
+        mode: "subscribe",
+        topic,
+        callback,
+        secret,
+        lease_seconds: options.websubLeaseSeconds || DEFAULT_LEASE_SECONDS,
+      },
+      options,
+    );
+  } catch (error) {
+    websub.state = "failed";
+    websub.error = error.message;
+  }
+
+  await feedsCollection.updateOne({ _id: feed._id }, { $set: { websub } });
+  if (websub.error) {
+    console.error(`[RSS] WebSub subscription to ${hub} failed: ${websub.error}`);
+  }
+  return !websub.error;
+}
+
+/**
+ * Ask a feed's hub to stop pushing updates
+ * @param {Collection} feedsCollection - Feeds collection
+ * @param {Object} feed - Feed document with a subscription
+ * @param {Object} options - Plugin options
+ */
+export async function unsubscribe(feedsCollection, feed, options) {
+  const { websub } = feed;
+  const callback = getCallbackUrl(feed, options);
+  if (!websub || !callback) return;
+
+  await feedsCollection.updateOne(
+    { _id: feed._id },
+    { $set: { "websub.state": "unsubscribing", "websub.requestedAt": new Date() } },
+  );
+
+  try {
+    await sendHubRequest(
+      websub.hub,
+      { mode: "unsubscribe", topic: websub.topic, callback },
+      options,
+    );
+  } catch (error) {
+    // The lease runs out on its own, and pushes to removed feeds get a 404
+    console.error(
+      `[RSS] WebSub unsubscription from ${websub.hub} failed: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Subscribe feeds that advertise a hub, and renew leases before they expire
+ * Disabled feeds with a live subscription are unsubscribed
+ * @param {Object} db - Database instance
+ * @param {Object} options - Plugin options
+ * @returns {Promise<number>} Number of subscription requests sent
+ */
+export async function maintainWebSub(db, options) {
+  if (options.websub === false || !options.publicUrl) return 0;
+
+  const feedsCollection = db.collection("rssFeeds");
+  const now = new Date();
+  let requests = 0;
+
+  const feeds = await feedsCollection
+    .find({ enabled: true, "hubs.0": { $exists: true } })
+    .toArray();
+  for (const feed of feeds) {
+    if (needsSubscription(feed, now)) {
+      await subscribe(feedsCollection, feed, options);
+      requests++;
+    }
+  }
+
+  const disabled = await feedsCollection
+    .find({ enabled: false, "websub.state": { $in: ["pending", "active"] } })
+    .toArray();
+  for (const feed of disabled) {
+    await unsubscribe(feedsCollection, feed, options);
+    requests++;
+  }
+
+  return requests;
+}
+
+/**
+ * Check the X-Hub-Signature of pushed content
+ * @param {string} header - X-Hub-Signature header, e.g. "sha256=abc…"
+ * @param {string} secret - Secret sent with the subscription request
+ * @param {Buffer} body - Raw request body
+ * @returns {boolean}
+ */
+export function verifySignature(header, secret, body) {
+  const [algorithm, signature] = (header || "").split("=", 2);
+  if (!SIGNATURE_ALGORITHMS.has(algorithm?.toLowerCase()) || !signature) {
+    return false;
+  }
+
+  const expected = createHmac(algorithm.toLowerCase(), secret)
+    .update(body)
+    .digest();
+  const actual = Buffer.from(signature, "hex");
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import {
+  filterByCategory,
+  groupFeedsByCategory,
+  normalizeCategories,
+} from "../lib/categories.js";
+import { categoriesController } from "../lib/controllers/categories.js";
+import { itemsController } from "../lib/controllers/items.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+
+describe("normalizeCategories", () => {
+  it("accepts arrays and comma-separated strings", () => {
+    assert.deepEqual(normalizeCategories(["IndieWeb", " Tech "]), [
+      "IndieWeb",
+      "Tech",
+    ]);
+    assert.deepEqual(normalizeCategories("IndieWeb, Tech,,IndieWeb"), [
+      "IndieWeb",
+      "Tech",
+    ]);
+    assert.deepEqual(normalizeCategories([]), []);
+  });
+
+  it("rejects anything else", () => {
+    assert.equal(normalizeCategories(42), null);
+    assert.equal(normalizeCategories(["ok", 1]), null);
+  });
+
+  it("limits the length of names", () => {
+    assert.equal(normalizeCategories(["x".repeat(150)])[0].length, 100);
+  });
+});
+
+describe("groupFeedsByCategory", () => {
+  it("groups feeds by name, uncategorized last", () => {
+    const groups = groupFeedsByCategory([
+      { title: "A", categories: ["Tech", "Friends"] },
+      { title: "B", categories: [] },
+      { title: "C", categories: ["Friends"] },
+    ]);
+
+    assert.deepEqual(
+      groups.map(({ name, feeds }) => [name, feeds.map((feed) => feed.title)]),
+      [
+        ["Friends", ["A", "C"]],
+        ["Tech", ["A"]],
+        [null, ["B"]],
+      ],
+    );
+  });
+});
+
+describe("categories", () => {
+  let db;
+  const tech = { _id: new ObjectId(), categories: ["Tech"], itemCount: 2 };
+  const both = { _id: new ObjectId(), categories: ["Tech", "Friends"], itemCount: 1 };
+  const none = { _id: new ObjectId(), categories: [], itemCount: 1 };
+
+  beforeEach(async () => {
+    db = createDatabase();
+    await db.collection("rssFeeds").insertMany([tech, both, none]);
+    await db.collection("rssItems").insertMany([
+      { feedId: tech._id, title: "Tech 1", read: false, duplicateOf: null },
+      { feedId: tech._id, title: "Tech 2", read: true, duplicateOf: null },
+      { feedId: both._id, title: "Both", read: false, duplicateOf: null },
+      { feedId: none._id, title: "None", read: false, duplicateOf: null },
+    ]);
+  });
+
+  it("lists categories with feed, item and unread counts", async () => {
+    const { body } = await callController(categoriesController.list, { db });
+
+    assert.deepEqual(body, {
+      categories: [
+        { name: "Friends", feedCount: 1, itemCount: 1, unreadCount: 1 },
+        { name: "Tech", feedCount: 2, itemCount: 3, unreadCount: 2 },
+      ],
+      total: 2,
+    });
+  });
+
+  it("lists the items of a category", async () => {
+    const { body } = await callController(itemsController.list, {
+      db,
+      query: { category: "Tech" },
+    });
+
+    assert.deepEqual(body.items.map((item) => item.title).sort(), [
+      "Both",
+      "Tech 1",
+      "Tech 2",
+    ]);
+  });
+
+  it("keeps a feed filter when restricting to a category", async () => {
+    const feedsCollection = db.collection("rssFeeds");
+
+    const inCategory = await filterByCategory(
+      { feedId: both._id },
+      feedsCollection,
+      "Friends",
+    );
+    const outside = await filterByCategory(
+      { feedId: tech._id },
+      feedsCollection,
+      "Friends",
+    );
+
+    assert.equal(inCategory.feedId.$in.length, 1);
+    assert.deepEqual(outside.feedId.$in, []);
+  });
+});
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import {
+  canonicalizeLink,
+  getDuplicateKeys,
+  groupDuplicate,
+} from "../lib/duplicates.js";
+import { createDatabase } from "./helpers/database.js";
+
+describe("canonicalizeLink", () => {
+  it("returns null for missing or invalid links", () => {
+    assert.equal(canonicalizeLink(""), null);
+    assert.equal(canonicalizeLink("not a url"), null);
+  });
+
+  it("drops scheme, www., fragment and trailing slash", () => {
+    assert.equal(
+      canonicalizeLink("https://www.Example.com/post/#comments"),
+      "example.com/post",
+    );
+    assert.equal(
+      canonicalizeLink("http://example.com/post"),
+      canonicalizeLink("https://example.com/post/"),
+    );
+  });
+
+  it("drops tracking parameters and sorts the rest", () => {
+    assert.equal(
+      canonicalizeLink(
+        "https://example.com/post?utm_source=rss&b=2&fbclid=x&a=1&UTM_Medium=feed",
+      ),
+      "example.com/post?a=1&b=2",
+    );
+  });
+
+  it("keeps non-default ports", () => {
+    assert.equal(
+      canonicalizeLink("https://example.com:8443/post"),
+      "example.com:8443/post",
+    );
+  });
+});
+
+describe("getDuplicateKeys", () => {
+  const content = `<p>${"A long enough paragraph of text to fingerprint. ".repeat(4)}</p>`;
+
+  it("normalizes titles", () => {
+    const { titleKey } = getDuplicateKeys({ title: "  Café: the Sequel!  " });
+    assert.equal(titleKey, "cafe the sequel");
+  });
+
+  it("ignores placeholder titles", () => {
+    assert.equal(getDuplicateKeys({ title: "Untitled" }).titleKey, null);
+    assert.equal(getDuplicateKeys({ title: "!!!" }).titleKey, null);
+  });
+
+  it("fingerprints the same text the same way whatever the markup", () => {
+    const a = getDuplicateKeys({ content });
+    const b = getDuplicateKeys({
+      description: content.replace("<p>", "<div><em>").replace("</p>", "</em></div>"),
+    });
+    assert.ok(a.contentHash);
+    assert.equal(a.contentHash, b.contentHash);
+  });
+
+  it("does not fingerprint short content", () => {
+    assert.equal(getDuplicateKeys({ content: "<p>Short</p>" }).contentHash, null);
+  });
+
+  it("canonicalizes the link", () => {
+    assert.equal(
+      getDuplicateKeys({ link: "https://www.example.com/a/?utm_campaign=x" })
+        .canonicalLink,
+      "example.com/a",
+    );
+  });
+});
+
+describe("groupDuplicate", () => {
+  let items;
+  let primary;
+
+  /**
+   * Insert an item as the sync would, with its duplicate keys
+   * @param {Object} fields - Item fields
+   * @returns {Promise<Object>} Inserted item
+   */
+  async function insert(fields) {
+    const item = {
+      feedId: new ObjectId(),
+      feedTitle: "Feed",
+      pubDate: new Date("2024-05-01T10:00:00Z"),
+      fetchedAt: new Date(),
+      duplicateOf: null,
+      ...fields,
+    };
+    Object.assign(item, getDuplicateKeys(item));
+    await items.insertOne(item);
+    return item;
+  }
+
+  beforeEach(async () => {
+    items = createDatabase().collection("rssItems");
+    primary = await insert({
+      title: "Weekly links",
+      link: "https://alice.example/2024/05/links",
+      fetchedAt: new Date("2024-05-01T11:00:00Z"),
+    });
+  });
+
+  it("groups copies of the same link under the first one", async () => {
+    const copy = await insert({
+      title: "Links for the week",
+      link: "https://www.alice.example/2024/05/links/?utm_source=planet",
+    });
+
+    assert.deepEqual(await groupDuplicate(items, copy), primary._id);
+    const stored = await items.findOne({ _id: primary._id });
+    assert.deepEqual(
+      stored.duplicates.map(({ itemId }) => itemId),
+      [copy._id],
+    );
+  });
+
+  it("matches a title on the same site", async () => {
+    const copy = await insert({
+      title: "Weekly Links!",
+      link: "https://alice.example/?p=42",
+      pubDate: new Date("2024-05-02T10:00:00Z"),
+    });
+
+    assert.deepEqual(await groupDuplicate(items, copy), primary._id);
+  });
+
+  it("does not match a title alone", async () => {
+    const other = await insert({
+      title: "Weekly links",
+      link: "https://bob.example/2024/05/links",
+    });
+    const unlinked = await insert({ title: "Weekly links" });
+
+    assert.equal(await groupDuplicate(items, other), null);
+    assert.equal(await groupDuplicate(items, unlinked), null);
+  });
+
+  it("does not match a title published days apart", async () => {
+    const later = await insert({
+      title: "Weekly links",
+      link: "https://alice.example/?p=43",
+      pubDate: new Date("2024-05-08T10:00:00Z"),
+    });
+
+    assert.equal(await groupDuplicate(items, later), null);
+  });
+
+  it("ignores items from the same feed", async () => {
+    const copy = await insert({
+      feedId: primary.feedId,
+      title: "Weekly links",
+      link: primary.link,
+    });
+
+    assert.equal(await groupDuplicate(items, copy), null);
+  });
+});
@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import express from "express";
+import { eventsController } from "../lib/controllers/events.js";
+import {
+  getEventsSince,
+  matchesFilters,
+  publishEvent,
+  subscribeEvents,
+} from "../lib/events.js";
+
+const feed = { _id: "feed-1", categories: ["Tech"] };
+
+describe("events", () => {
+  it("delivers published events to listeners", () => {
+    const received = [];
+    const stop = subscribeEvents((event) => received.push(event));
+
+    publishEvent("feed.updated", { itemsAdded: 1 }, feed);
+    stop();
+    publishEvent("feed.updated", { itemsAdded: 2 }, feed);
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].type, "feed.updated");
+    assert.equal(received[0].feedId, "feed-1");
+    assert.deepEqual(received[0].categories, ["Tech"]);
+    assert.deepEqual(received[0].data, { itemsAdded: 1 });
+  });
+
+  it("replays the events a client missed", () => {
+    let first;
+    const stop = subscribeEvents((event) => (first ??= event));
+    publishEvent("sync.started", { trigger: "manual" });
+    stop();
+    publishEvent("sync.finished", { status: "completed" });
+
+    const missed = getEventsSince(first.id);
+    assert.deepEqual(missed.map((event) => event.type), ["sync.finished"]);
+    assert.deepEqual(getEventsSince(undefined), []);
+  });
+
+  it("replays every buffered event after a restart", () => {
+    const all = getEventsSince("earlier-1");
+
+    assert.ok(all.length >= 4);
+    assert.equal(all.at(-1).type, "sync.finished");
+  });
+
+  it("filters events by feed and category", () => {
+    const event = { feedId: "feed-1", categories: ["Tech"] };
+
+    assert.equal(matchesFilters(event, { feedId: "feed-1" }), true);
+    assert.equal(matchesFilters(event, { feedId: "feed-2" }), false);
+    assert.equal(matchesFilters(event, { category: "Tech" }), true);
+    assert.equal(matchesFilters(event, { category: "News" }), false);
+    // Run-wide events reach everyone
+    assert.equal(
+      matchesFilters({ feedId: null, categories: [] }, { feedId: "feed-2" }),
+      true,
+    );
+  });
+});
+
+describe("GET /api/events", () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.get("/api/events", eventsController.stream);
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}/api/events`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  /**
+   * Open an event stream and read it until enough events arrived
+   * @param {string} query - Query string
+   * @param {Object} headers - Request headers
+   * @param {number} count - Number of events to wait for
+   * @param {Function} [onOpen] - Called once the stream is open
+   * @returns {Promise<{response: Response, events: Array<Object>}>}
+   */
+  async function readEvents(query, headers, count, onOpen) {
+    const controller = new AbortController();
+    const response = await fetch(`${url}${query}`, {
+      headers,
+      signal: controller.signal,
+    });
+    onOpen?.();
+
+    const events = [];
+    const decoder = new TextDecoder();
+    let text = "";
+    for await (const chunk of response.body) {
+      text += decoder.decode(chunk, { stream: true });
+      const blocks = text.split("\n\n");
+      text = blocks.pop();
+      for (const block of blocks) {
+        const fields = Object.fromEntries(
+          block.split("\n").map((line) => line.split(/: (.*)/s, 2)),
+        );
+        if (fields.event) {
+          events.push({ ...fields, data: JSON.parse(fields.data) });
+        }
+      }
+      if (events.length >= count) break;
+    }
+    controller.abort();
+    return { response, events };
+  }
+
+  it("streams events matching the client's filters", async () => {
+    const { response, events } = await readEvents(
+      "?feedId=feed-1",
+      {},
+      2,
+      () => {
+        publishEvent("item.added", { title: "Other" }, { _id: "feed-2" });
+        publishEvent("item.added", { title: "Mine" }, feed);
+        publishEvent("sync.finished", { status: "completed" });
+      },
+    );
+
+    assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+    assert.deepEqual(
+      events.map(({ event, data }) => [event, data.title || data.status]),
+      [
+        ["item.added", "Mine"],
+        ["sync.finished", "completed"],
+      ],
+    );
+  });
+
+  it("resumes from Last-Event-ID", async () => {
+    let lastEventId;
+    const stop = subscribeEvents((event) => (lastEventId ??= event.id));
+    publishEvent("feed.updated", { n: 1 }, feed);
+    stop();
+    publishEvent("feed.updated", { n: 2 }, feed);
+    publishEvent("feed.error", { n: 3 }, feed);
+
+    const { events } = await readEvents("", { "Last-Event-ID": lastEventId }, 2);
+
+    assert.deepEqual(events.map(({ data }) => data.n), [2, 3]);
+  });
+});
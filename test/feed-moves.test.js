@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import { moveFeed } from "../lib/feed-moves.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+describe("moveFeed", () => {
+  let hub;
+  let hubRequests;
+  let db;
+  let feeds;
+  let items;
+  let feed;
+  let target;
+
+  const options = { publicUrl: "https://example.org", mountPath: "/rss" };
+
+  before(async () => {
+    hub = await startServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        hubRequests.push(new URLSearchParams(body));
+        response.writeHead(202);
+        response.end();
+      });
+    });
+  });
+
+  after(() => hub.close());
+
+  beforeEach(async () => {
+    hubRequests = [];
+    db = createDatabase();
+    feeds = db.collection("rssFeeds");
+    items = db.collection("rssItems");
+    await feeds.createIndex({ url: 1 }, { unique: true });
+
+    feed = {
+      url: "https://old.example/feed.xml",
+      title: "Old",
+      categories: ["Friends"],
+      websub: {
+        hub: `${hub.url}/hub`,
+        topic: "https://old.example/feed.xml",
+        state: "subscribed",
+      },
+    };
+    target = {
+      url: "https://new.example/feed.xml",
+      title: "New",
+      categories: ["Tech"],
+    };
+    await feeds.insertMany([feed, target]);
+  });
+
+  /**
+   * Insert an item of a feed
+   * @param {Object} owner - Feed document
+   * @param {string} guid - Item GUID
+   * @param {Object} [fields] - Other fields
+   * @returns {Promise<Object>}
+   */
+  async function insertItem(owner, guid, fields = {}) {
+    const item = {
+      feedId: owner._id,
+      feedTitle: owner.title,
+      guid,
+      duplicateOf: null,
+      read: false,
+      starred: false,
+      ...fields,
+    };
+    await items.insertOne(item);
+    return item;
+  }
+
+  it("moves a feed to its new URL", async () => {
+    const { feed: moved, merged } = await moveFeed(
+      db,
+      target,
+      "https://NEW.example/feed.xml#latest",
+      options,
+    );
+    const stored = await feeds.findOne({ _id: target._id });
+
+    assert.equal(merged, false);
+    assert.equal(stored.url, moved.url);
+    assert.equal(stored.urlHistory[0].url, "https://new.example/feed.xml");
+  });
+
+  it("merges into a feed already at the new URL", async () => {
+    await insertItem(feed, "only-old");
+    await insertItem(target, "only-new");
+    await db.collection("rssRules").insertOne({ feedId: feed._id });
+
+    const { feed: merged } = await moveFeed(db, feed, target.url, options);
+
+    assert.deepEqual(merged._id, target._id);
+    assert.equal(await feeds.findOne({ _id: feed._id }), null);
+    assert.deepEqual(merged.categories, ["Tech", "Friends"]);
+    assert.equal(merged.itemCount, 2);
+    assert.equal(merged.urlHistory.at(-1).url, feed.url);
+    assert.equal(await items.countDocuments({ feedId: target._id }), 2);
+    assert.equal(
+      await db.collection("rssRules").countDocuments({ feedId: target._id }),
+      1,
+    );
+  });
+
+  it("keeps the user state of both copies of an item", async () => {
+    await insertItem(feed, "read", {
+      read: true,
+      readAt: "2024-05-01T10:00:00.000Z",
+    });
+    await insertItem(feed, "starred", {
+      starred: true,
+      starredAt: "2024-05-01T11:00:00.000Z",
+    });
+    await insertItem(feed, "episode", {
+      queuePosition: 0,
+      queuedAt: "2024-05-01T12:00:00.000Z",
+      playbackPosition: 120,
+      playbackUpdatedAt: "2024-05-02T10:00:00.000Z",
+    });
+    await insertItem(feed, "played", {
+      played: true,
+      playedAt: "2024-05-01T13:00:00.000Z",
+    });
+    await insertItem(target, "read");
+    await insertItem(target, "starred", { read: true });
+    await insertItem(target, "episode", {
+      playbackPosition: 60,
+      playbackUpdatedAt: "2024-05-01T10:00:00.000Z",
+    });
+    // The kept copy's own, more recent position wins
+    await insertItem(target, "played", {
+      playbackPosition: 300,
+      playbackUpdatedAt: "2024-05-03T10:00:00.000Z",
+    });
+
+    await moveFeed(db, feed, target.url, options);
+    const kept = (guid) => items.findOne({ feedId: target._id, guid });
+
+    assert.equal(await items.countDocuments({ feedId: feed._id }), 0);
+    assert.equal(await items.countDocuments(), 4);
+
+    const read = await kept("read");
+    assert.equal(read.read, true);
+    assert.equal(read.readAt, "2024-05-01T10:00:00.000Z");
+
+    const starred = await kept("starred");
+    assert.equal(starred.read, true);
+    assert.equal(starred.starred, true);
+    assert.equal(starred.starredAt, "2024-05-01T11:00:00.000Z");
+
+    const episode = await kept("episode");
+    assert.equal(episode.queuePosition, 0);
+    assert.equal(episode.queuedAt, "2024-05-01T12:00:00.000Z");
+    assert.equal(episode.playbackPosition, 120);
+
+    const played = await kept("played");
+    assert.equal(played.played, true);
+    assert.equal(played.playedAt, "2024-05-01T13:00:00.000Z");
+    assert.equal(played.playbackPosition, 300);
+  });
+
+  it("unsubscribes the merged feed from its hub", async () => {
+    await moveFeed(db, feed, target.url, options);
+
+    assert.equal(hubRequests.length, 1);
+    assert.equal(hubRequests[0].get("hub.mode"), "unsubscribe");
+    assert.equal(hubRequests[0].get("hub.topic"), feed.websub.topic);
+    assert.equal(
+      hubRequests[0].get("hub.callback"),
+      `https://example.org/rss/websub/${feed._id}`,
+    );
+  });
+
+  it("rethrows other database errors", async () => {
+    feeds.updateOne = async () => {
+      throw new Error("Not primary");
+    };
+
+    await assert.rejects(
+      moveFeed(db, { ...feed, _id: new ObjectId() }, target.url, options),
+      /Not primary/,
+    );
+  });
+});
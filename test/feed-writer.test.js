@@ -0,0 +1,200 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import { timelineController } from "../lib/controllers/timeline.js";
+import { buildAtom, buildJsonFeed, buildRss } from "../lib/feed-writer.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+
+const meta = {
+  title: "Planet",
+  description: "Our blogs",
+  homeUrl: "https://example.org/",
+  feedUrl: "https://example.org/rss/feed.xml",
+};
+
+const feed = {
+  _id: new ObjectId(),
+  title: "Alice's blog",
+  url: "https://alice.example/feed.xml",
+  siteUrl: "https://alice.example/",
+};
+
+const entry = {
+  item: {
+    feedId: feed._id,
+    guid: "post-1",
+    title: "Fish & chips",
+    link: "https://alice.example/fish",
+    pubDate: new Date("2024-05-01T10:00:00Z"),
+    author: "Alice",
+    categories: ["food"],
+    description: "<p>A <b>short</b> summary</p>",
+    content: `<p>Hello <a href="/more">more</a></p><script>alert(1)</script>`,
+  },
+  feed,
+};
+
+// Aggregated item crediting the feed it was first published in
+const forwarded = {
+  item: {
+    feedId: feed._id,
+    guid: "post-2",
+    title: "Shared",
+    pubDate: new Date("2024-04-01T10:00:00Z"),
+    content: "<p>Elsewhere</p>",
+    origin: {
+      title: "Bob's blog",
+      htmlUrl: "https://bob.example/",
+      feedUrl: "https://bob.example/feed.xml",
+    },
+  },
+  feed,
+};
+
+describe("feed-writer", () => {
+  describe("buildRss", () => {
+    const xml = buildRss(meta, [entry, forwarded]);
+
+    it("escapes text and sanitizes content", () => {
+      assert.match(xml, /<title>Fish &amp; chips<\/title>/);
+      assert.match(xml, /href=&quot;https:\/\/alice\.example\/more&quot;/);
+      assert.doesNotMatch(xml, /alert/);
+    });
+
+    it("credits each item's source", () => {
+      assert.match(
+        xml,
+        /<source url="https:\/\/alice\.example\/feed\.xml">Alice&apos;s blog<\/source>/,
+      );
+      assert.match(xml, /<source url="https:\/\/bob\.example\/feed\.xml">Bob/);
+    });
+
+    it("writes a unique guid per feed and item", () => {
+      assert.match(
+        xml,
+        new RegExp(`<guid isPermaLink="false">${feed._id}:post-1</guid>`),
+      );
+      assert.match(xml, /<pubDate>Wed, 01 May 2024 10:00:00 GMT<\/pubDate>/);
+    });
+  });
+
+  describe("buildAtom", () => {
+    const xml = buildAtom(meta, [entry, forwarded]);
+
+    it("dates the feed by its newest entry", () => {
+      assert.match(xml, /<feed[^]*?<updated>2024-05-01T10:00:00\.000Z<\/updated>/);
+    });
+
+    it("describes each entry and its source", () => {
+      assert.match(xml, /<summary>A short summary<\/summary>/);
+      assert.match(xml, /<category term="food"\/>/);
+      assert.match(
+        xml,
+        /<source>\s*<id>https:\/\/bob\.example\/feed\.xml<\/id>\s*<title>Bob&apos;s blog<\/title>/,
+      );
+      // Without an author, the source stands in
+      assert.match(xml, /<author><name>Bob/);
+    });
+  });
+
+  describe("buildJsonFeed", () => {
+    it("lists items with a _source extension", () => {
+      const json = buildJsonFeed(meta, [entry, forwarded]);
+
+      assert.equal(json.version, "https://jsonfeed.org/version/1.1");
+      assert.equal(json.feed_url, meta.feedUrl);
+      assert.deepEqual(json.items[0], {
+        id: `${feed._id}:post-1`,
+        url: "https://alice.example/fish",
+        title: "Fish & chips",
+        content_html: json.items[0].content_html,
+        summary: "A short summary",
+        date_published: "2024-05-01T10:00:00.000Z",
+        authors: [{ name: "Alice" }],
+        tags: ["food"],
+        _source: {
+          title: "Alice's blog",
+          home_page_url: "https://alice.example/",
+          feed_url: "https://alice.example/feed.xml",
+        },
+      });
+      assert.doesNotMatch(json.items[0].content_html, /alert/);
+      assert.deepEqual(json.items[1]._source, {
+        title: "Bob's blog",
+        home_page_url: "https://bob.example/",
+        feed_url: "https://bob.example/feed.xml",
+      });
+    });
+  });
+});
+
+describe("timelineController", () => {
+  let db;
+  const other = { _id: new ObjectId(), title: "Other", categories: ["Tech"] };
+
+  beforeEach(async () => {
+    db = createDatabase();
+    await db.collection("rssFeeds").insertMany([
+      { ...feed, categories: [] },
+      other,
+    ]);
+    await db.collection("rssItems").insertMany([
+      { ...entry.item, duplicateOf: null },
+      {
+        feedId: other._id,
+        guid: "tech",
+        title: "Tech news",
+        pubDate: new Date("2024-05-02T10:00:00Z"),
+        duplicateOf: null,
+      },
+      // The copy carried by the other feed is published once
+      {
+        feedId: other._id,
+        guid: "copy",
+        title: "Fish & chips",
+        pubDate: new Date("2024-05-01T10:00:00Z"),
+        duplicateOf: new ObjectId(),
+      },
+      {
+        feedId: other._id,
+        guid: "muted",
+        title: "Muted",
+        pubDate: new Date("2024-05-03T10:00:00Z"),
+        duplicateOf: null,
+        hidden: true,
+      },
+    ]);
+  });
+
+  it("publishes the timeline newest first, each item once", async () => {
+    const { headers, body } = await callController(timelineController.json, {
+      db,
+    });
+    const json = JSON.parse(body);
+
+    assert.match(headers["Content-Type"], /^application\/feed\+json/);
+    assert.equal(json.feed_url, "https://example.org/rss/feed.xml");
+    assert.deepEqual(
+      json.items.map((item) => item.title),
+      ["Tech news", "Fish & chips"],
+    );
+  });
+
+  it("filters by feed and category", async () => {
+    const byFeed = await callController(timelineController.rss, {
+      db,
+      query: { feedId: feed._id.toString() },
+    });
+    const byCategory = await callController(timelineController.atom, {
+      db,
+      query: { category: "Tech" },
+    });
+
+    assert.match(byFeed.body, /Fish &amp; chips/);
+    assert.doesNotMatch(byFeed.body, /Tech news/);
+    assert.match(byCategory.body, /<title>RSS timeline - Tech<\/title>/);
+    assert.match(byCategory.body, /Tech news/);
+    assert.doesNotMatch(byCategory.body, /Fish/);
+  });
+});
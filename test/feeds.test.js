@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { feedsController } from "../lib/controllers/feeds.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+
+describe("feedsController.update", () => {
+  let db;
+  let feed;
+
+  beforeEach(async () => {
+    db = createDatabase();
+    feed = { url: "https://example.com/feed", enabled: true, categories: [] };
+    await db.collection("rssFeeds").insertOne(feed);
+  });
+
+  const patch = (body, config) =>
+    callController(feedsController.update, {
+      db,
+      config,
+      method: "PATCH",
+      params: { id: feed._id.toString() },
+      body,
+    });
+
+  it("rejects poll intervals shorter than the sync interval", async () => {
+    const { status, body } = await patch(
+      { pollInterval: 600_000 },
+      { syncInterval: 900_000 },
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "pollInterval must be null or at least 900000 (ms)");
+  });
+
+  it("pins a feed to an interval and clears its schedule", async () => {
+    const { status } = await patch({ pollInterval: 3_600_000 });
+    const stored = await db.collection("rssFeeds").findOne({ _id: feed._id });
+
+    assert.equal(status, 200);
+    assert.equal(stored.pollInterval, 3_600_000);
+    assert.equal(stored.nextFetchAt, null);
+  });
+
+  it("goes back to adaptive polling with null", async () => {
+    await patch({ pollInterval: 3_600_000 });
+    await patch({ pollInterval: null });
+    const stored = await db.collection("rssFeeds").findOne({ _id: feed._id });
+
+    assert.equal(stored.pollInterval, null);
+  });
+
+  it("sets or clears the feed's sanitization profile", async () => {
+    const rejected = await patch({ sanitizeProfile: "everything" });
+    assert.equal(rejected.status, 400);
+    assert.equal(
+      rejected.body.error,
+      "sanitizeProfile must be null or one of text, rich, embeds",
+    );
+
+    await patch({ sanitizeProfile: "embeds" });
+    const stored = () => db.collection("rssFeeds").findOne({ _id: feed._id });
+    assert.equal((await stored()).sanitizeProfile, "embeds");
+
+    await patch({ sanitizeProfile: null });
+    assert.equal((await stored()).sanitizeProfile, null);
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { extractArticle, fetchFullContent } from "../lib/full-content.js";
+import { RssClient } from "../lib/rss-client.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+const paragraph = (text) =>
+  `<p>${text} ${"The article goes on about it, with commas, clauses, and detail. ".repeat(3)}</p>`;
+
+const page = `<!DOCTYPE html>
+<html>
+  <head><title>A post</title><script>var tracking = true;</script></head>
+  <body>
+    <header class="site-header"><nav><a href="/">Home</a><a href="/about">About</a></nav></header>
+    <div id="sidebar"><p>Subscribe to the newsletter for more posts like this one, every week.</p></div>
+    <div class="post-content">
+      <h1>A post</h1>
+      ${paragraph("First point.")}
+      <p><img src="/images/photo.jpg" alt="Photo"> <a href="/related">A relative link</a></p>
+      ${paragraph("Second point.")}
+      ${paragraph("Third point.")}
+      <div style="display: none">${paragraph("Hidden text.")}</div>
+    </div>
+    <div class="comments"><p>Great post, thanks for writing it, I learned a lot from it today.</p></div>
+    <footer>Copyright</footer>
+  </body>
+</html>`;
+
+describe("extractArticle", () => {
+  it("returns null for empty or article-less pages", () => {
+    assert.equal(extractArticle("", "https://example.com/"), null);
+    assert.equal(
+      extractArticle("<html><body><p>Too short.</p></body></html>", "https://example.com/"),
+      null,
+    );
+  });
+
+  it("keeps the article and drops page furniture", () => {
+    const { content, textLength } = extractArticle(page, "https://example.com/post/");
+
+    assert.match(content, /First point\./);
+    assert.match(content, /Third point\./);
+    assert.ok(textLength >= 250);
+    for (const furniture of [
+      "Home",
+      "newsletter",
+      "Great post",
+      "Copyright",
+      "Hidden text",
+      "tracking",
+    ]) {
+      assert.doesNotMatch(content, new RegExp(furniture));
+    }
+  });
+
+  it("makes links and images absolute", () => {
+    const { content } = extractArticle(page, "https://example.com/post/");
+
+    assert.match(content, /src="https:\/\/example\.com\/images\/photo\.jpg"/);
+    assert.match(content, /href="https:\/\/example\.com\/related"/);
+  });
+
+  it("reads articles without paragraphs", () => {
+    const html = `<html><body><article>${"Words without paragraphs, but plenty of them. ".repeat(10)}</article></body></html>`;
+    const article = extractArticle(html, "https://example.com/");
+
+    assert.ok(article);
+    assert.match(article.content, /Words without paragraphs/);
+  });
+});
+
+describe("fetchFullContent", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      if (request.url === "/post") {
+        response.writeHead(200, { "Content-Type": "text/html" });
+        return response.end(page);
+      }
+      response.writeHead(200, { "Content-Type": "text/html" });
+      response.end("<p>Nothing to read here.</p>");
+    });
+  });
+
+  after(() => server.close());
+
+  it("stores each item's article, or why there is none", async () => {
+    const items = createDatabase().collection("rssItems");
+    const newItems = [
+      { link: `${server.url}/post` },
+      { link: `${server.url}/empty` },
+      { link: "not a url" },
+    ];
+    await items.insertMany(newItems);
+
+    const extracted = await fetchFullContent(items, new RssClient(), newItems);
+    const [post, empty, invalid] = await Promise.all(
+      newItems.map(({ _id }) => items.findOne({ _id })),
+    );
+
+    assert.equal(extracted, 1);
+    assert.match(post.fullContent, /First point\./);
+    assert.equal(post.fullContentError, null);
+    assert.equal(empty.fullContent, undefined);
+    assert.equal(empty.fullContentError, "No article content found");
+    assert.ok(empty.fullContentFetchedAt);
+    assert.equal(invalid.fullContentFetchedAt, undefined);
+    assert.equal(server.requests.length, 2);
+  });
+});
@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { feedsController } from "../lib/controllers/feeds.js";
+import { recordFailure, recordSuccess, resetHealth } from "../lib/health.js";
+import { syncSingleFeed } from "../lib/sync.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+const DAY = 86_400_000;
+
+/**
+ * Build a fetch error as thrown by RssClient
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function httpError(status) {
+  return new Error(`HTTP ${status}`, { cause: { status } });
+}
+
+describe("recordSuccess", () => {
+  it("clears the failure streak", () => {
+    const fields = recordSuccess(304);
+
+    assert.equal(fields.consecutiveFailures, 0);
+    assert.equal(fields.failingSince, null);
+    assert.equal(fields.lastStatus, 304);
+    assert.equal(fields.lastError, null);
+    assert.ok(fields.lastSuccessAt);
+  });
+});
+
+describe("recordFailure", () => {
+  it("starts a failure streak", () => {
+    const { update, consecutiveFailures, disabled } = recordFailure(
+      {},
+      httpError(500),
+    );
+
+    assert.equal(consecutiveFailures, 1);
+    assert.equal(disabled, false);
+    assert.equal(update.$set.failingSince, update.$set.lastFetchedAt);
+    assert.equal(update.$set.lastStatus, 500);
+    assert.equal(update.$push.failureHistory.$each[0].error, "HTTP 500");
+  });
+
+  it("keeps the start of an ongoing streak", () => {
+    const failingSince = new Date(Date.now() - DAY).toISOString();
+    const { update, consecutiveFailures } = recordFailure(
+      { consecutiveFailures: 3, failingSince },
+      new Error("Timeout"),
+    );
+
+    assert.equal(consecutiveFailures, 4);
+    assert.equal(update.$set.failingSince, failingSince);
+    assert.equal(update.$set.lastStatus, null);
+  });
+
+  it("disables feeds failing for too long", () => {
+    const failingSince = new Date(Date.now() - 8 * DAY).toISOString();
+    const { update, disabled, gone } = recordFailure(
+      { consecutiveFailures: 50, failingSince },
+      httpError(503),
+    );
+
+    assert.equal(disabled, true);
+    assert.equal(gone, false);
+    assert.equal(update.$set.enabled, false);
+    assert.match(
+      update.$set.disabledReason,
+      /^Failing since .* \(51 attempts\): HTTP 503$/,
+    );
+  });
+
+  it("follows autoDisableAfterDays, 0 meaning never", () => {
+    const failingSince = new Date(Date.now() - 2 * DAY).toISOString();
+    const feed = { consecutiveFailures: 5, failingSince };
+
+    assert.equal(
+      recordFailure(feed, httpError(500), { autoDisableAfterDays: 1 }).disabled,
+      true,
+    );
+    assert.equal(
+      recordFailure(
+        { ...feed, failingSince: new Date(0).toISOString() },
+        httpError(500),
+        { autoDisableAfterDays: 0 },
+      ).disabled,
+      false,
+    );
+  });
+
+  it("disables feeds that are gone at once", () => {
+    const { update, disabled, gone } = recordFailure({}, httpError(410));
+
+    assert.equal(disabled, true);
+    assert.equal(gone, true);
+    assert.equal(update.$set.disabledReason, "Feed is gone (HTTP 410)");
+  });
+});
+
+describe("syncSingleFeed failures", () => {
+  let server;
+  let status;
+  let db;
+  let feed;
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      response.writeHead(status);
+      response.end();
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    db = createDatabase();
+    feed = { url: `${server.url}/feed.xml`, title: "Blog", enabled: true };
+    await db.collection("rssFeeds").insertOne(feed);
+  });
+
+  const getFeed = () => db.collection("rssFeeds").findOne({ _id: feed._id });
+
+  it("records failures and backs off", async () => {
+    status = 500;
+    await syncSingleFeed(db, feed._id, {});
+    const first = await getFeed();
+    await syncSingleFeed(db, feed._id, {});
+    const second = await getFeed();
+
+    assert.equal(second.consecutiveFailures, 2);
+    assert.equal(second.failingSince, first.failingSince);
+    assert.equal(second.failureHistory.length, 2);
+    assert.equal(second.lastStatus, 500);
+    assert.ok(second.fetchInterval > first.fetchInterval);
+  });
+
+  it("disables a gone feed and logs it", async () => {
+    status = 410;
+    const result = await syncSingleFeed(db, feed._id, {});
+    const stored = await getFeed();
+
+    assert.equal(result.disabled, true);
+    assert.equal(stored.enabled, false);
+    assert.equal(stored.disabledReason, "Feed is gone (HTTP 410)");
+    assert.equal(
+      await db.collection("rssActivity").countDocuments({ type: "gone" }),
+      1,
+    );
+  });
+
+  it("gives a re-enabled feed a fresh start", async () => {
+    status = 410;
+    await syncSingleFeed(db, feed._id, {});
+
+    await callController(feedsController.update, {
+      db,
+      method: "PATCH",
+      params: { id: feed._id.toString() },
+      body: { enabled: true },
+    });
+    const stored = await getFeed();
+
+    assert.equal(stored.enabled, true);
+    for (const [field, value] of Object.entries(resetHealth())) {
+      assert.equal(stored[field], value);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Call an Express controller method and capture its answer
+ * @param {Function} handler - Controller method
+ * @param {Object} [request] - Request properties
+ * @param {Object} [request.db] - Database returned by getRssDb()
+ * @param {Object} [request.config] - Plugin options (rssConfig)
+ * @returns {Promise<{status: number, body: *, headers: Object}>}
+ */
+export async function callController(
+  handler,
+  { db, config = {}, method = "GET", params = {}, query = {}, body = {}, headers = {} } = {},
+) {
+  const answer = { status: 200, body: undefined, headers: {} };
+  const response = {
+    locals: { __: (key) => key },
+    status(status) {
+      answer.status = status;
+      return this;
+    },
+    type(type) {
+      answer.headers["Content-Type"] = type;
+      return this;
+    },
+    set(name, value) {
+      if (typeof name === "object") {
+        Object.assign(answer.headers, name);
+      } else {
+        answer.headers[name] = value;
+      }
+      return this;
+    },
+    json(value) {
+      answer.body = value;
+      return this;
+    },
+    send(value) {
+      answer.body = value;
+      return this;
+    },
+    sendStatus(status) {
+      answer.status = status;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+
+  await handler(
+    {
+      app: {
+        locals: {
+          application: { getRssDb: () => db, rssConfig: config },
+        },
+      },
+      method,
+      protocol: "https",
+      originalUrl: "/rss/feed.xml",
+      params,
+      query,
+      body,
+      get: (name) => ({ host: "example.org", ...headers })[name.toLowerCase()],
+    },
+    response,
+  );
+  return answer;
+}
@@ -0,0 +1,325 @@
+import { Aggregator, find, update } from "mingo";
+import { ObjectId } from "mongodb";
+
+/**
+ * Raise the error MongoDB gives for a unique index violation
+ * @param {string} key - Duplicate key
+ */
+function duplicateKeyError(key) {
+  return Object.assign(new Error(`E11000 duplicate key error: ${key}`), {
+    code: 11000,
+  });
+}
+
+/**
+ * Copy a document, keeping ObjectIds and dates intact
+ * @param {*} value - Value to copy
+ * @returns {*}
+ */
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof ObjectId || value instanceof Buffer) return value;
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Fields a filter pins to a single value, copied onto upserted documents
+ * @param {Object} filter - Query filter
+ * @returns {Object}
+ */
+function getEqualityFields(filter) {
+  return Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        !key.includes(".") &&
+        (value === null ||
+          typeof value !== "object" ||
+          value instanceof ObjectId ||
+          value instanceof Date),
+    ),
+  );
+}
+
+/**
+ * In-memory collection answering the subset of the MongoDB driver API the
+ * plugin uses, with queries and updates evaluated by mingo
+ */
+class Collection {
+  constructor(name) {
+    this.name = name;
+    this.documents = [];
+    this.uniqueIndexes = [];
+    this.textWeights = {};
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) {
+      this.uniqueIndexes.push(Object.keys(keys));
+    }
+    for (const [field, type] of Object.entries(keys)) {
+      if (type === "text") {
+        this.textWeights[field] = options.weights?.[field] || 1;
+      }
+    }
+    return Object.keys(keys).join("_");
+  }
+
+  /**
+   * Score documents against a $text search, like a text index would
+   * Without stemming or stop words: a term matches whole words only
+   * @param {Array<Object>} documents - Candidate documents
+   * @param {string} search - $search string
+   * @returns {Map<Object, number>} Scores of matching documents
+   */
+  searchText(documents, search) {
+    const phrases = [...search.matchAll(/"([^"]+)"/g)].map(([, phrase]) =>
+      phrase.toLowerCase(),
+    );
+    const words = search.replace(/"[^"]*"/g, " ").split(/\s+/).filter(Boolean);
+    const excluded = words
+      .filter((word) => word.startsWith("-"))
+      .map((word) => word.slice(1).toLowerCase());
+    const terms = words
+      .filter((word) => !word.startsWith("-"))
+      .map((word) => word.toLowerCase());
+
+    const scores = new Map();
+    for (const document of documents) {
+      const fields = Object.entries(this.textWeights).map(([field, weight]) => ({
+        text: String(document[field] ?? "").toLowerCase(),
+        weight,
+      }));
+      const all = fields.map(({ text }) => text).join(" ");
+      const tokens = new Set(all.split(/[^\p{L}\p{N}]+/u));
+      if (excluded.some((word) => tokens.has(word))) continue;
+      if (!phrases.every((phrase) => all.includes(phrase))) continue;
+
+      let score = 0;
+      for (const { text, weight } of fields) {
+        const fieldTokens = text.split(/[^\p{L}\p{N}]+/u);
+        for (const term of terms) {
+          score += weight * fieldTokens.filter((token) => token === term).length;
+        }
+        for (const phrase of phrases) {
+          if (text.includes(phrase)) score += weight;
+        }
+      }
+      if (score > 0) {
+        scores.set(document, score);
+      }
+    }
+    return scores;
+  }
+
+  checkUnique(document) {
+    for (const fields of [["_id"], ...this.uniqueIndexes]) {
+      const key = fields.map((field) => String(document[field])).join(",");
+      const clash = this.documents.some(
+        (other) =>
+          other !== document &&
+          fields.map((field) => String(other[field])).join(",") === key,
+      );
+      if (clash) throw duplicateKeyError(key);
+    }
+  }
+
+  match(filter = {}, options = {}) {
+    const { $text, ...query } = filter;
+    const { score, ...sort } = options.sort || {};
+
+    const cursor = find(this.documents, query);
+    if (Object.keys(sort).length > 0) cursor.sort(sort);
+    let documents = cursor.all();
+
+    if ($text) {
+      const scores = this.searchText(documents, $text.$search);
+      documents = documents.filter((document) => scores.has(document));
+      // Relevance first, then the other sort keys (sort() is stable)
+      if (score?.$meta === "textScore") {
+        documents.sort((a, b) => scores.get(b) - scores.get(a));
+      }
+    }
+    return documents;
+  }
+
+  find(filter = {}, options = {}) {
+    const state = { sort: options.sort, skip: 0, limit: 0 };
+    const cursor = {
+      sort: (sort) => Object.assign(state, { sort }) && cursor,
+      skip: (skip) => Object.assign(state, { skip }) && cursor,
+      limit: (limit) => Object.assign(state, { limit }) && cursor,
+      project: () => cursor,
+      toArray: async () => {
+        let documents = this.match(filter, state).slice(state.skip);
+        if (state.limit) documents = documents.slice(0, state.limit);
+        return clone(documents);
+      },
+      [Symbol.asyncIterator]: async function* () {
+        yield* await cursor.toArray();
+      },
+    };
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [document] = this.match(filter, options);
+    return document ? clone(document) : null;
+  }
+
+  async insertOne(document) {
+    document._id ??= new ObjectId();
+    const stored = clone(document);
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return { acknowledged: true, insertedId: document._id };
+  }
+
+  async insertMany(documents) {
+    const insertedIds = {};
+    for (const [index, document] of documents.entries()) {
+      insertedIds[index] = (await this.insertOne(document)).insertedId;
+    }
+    return { insertedCount: documents.length, insertedIds };
+  }
+
+  applyUpdate(document, modifier, options = {}) {
+    const { $setOnInsert, ...operators } = modifier;
+    const previous = clone(document);
+    if (Object.keys(operators).length > 0) {
+      update(document, operators, options.arrayFilters);
+    }
+    try {
+      this.checkUnique(document);
+    } catch (error) {
+      Object.assign(document, previous);
+      for (const key of Object.keys(document)) {
+        if (!(key in previous)) delete document[key];
+      }
+      throw error;
+    }
+  }
+
+  upsert(filter, modifier) {
+    const document = {
+      _id: new ObjectId(),
+      ...getEqualityFields(filter),
+      ...clone(modifier.$setOnInsert || {}),
+    };
+    this.documents.push(document);
+    try {
+      this.applyUpdate(document, modifier);
+    } catch (error) {
+      this.documents.pop();
+      throw error;
+    }
+    return document;
+  }
+
+  async updateOne(filter, modifier, options = {}) {
+    const [document] = this.match(filter, options);
+    if (!document) {
+      if (!options.upsert) {
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      }
+      const inserted = this.upsert(filter, modifier);
+      return {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: inserted._id,
+      };
+    }
+    this.applyUpdate(document, modifier, options);
+    return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, modifier, options = {}) {
+    const documents = this.match(filter);
+    for (const document of documents) {
+      this.applyUpdate(document, modifier, options);
+    }
+    return { matchedCount: documents.length, modifiedCount: documents.length };
+  }
+
+  async findOneAndUpdate(filter, modifier, options = {}) {
+    const [document] = this.match(filter, options);
+    if (!document) {
+      if (!options.upsert) return null;
+      const inserted = this.upsert(filter, modifier);
+      return options.returnDocument === "after" ? clone(inserted) : null;
+    }
+    const before = clone(document);
+    this.applyUpdate(document, modifier, options);
+    return options.returnDocument === "after" ? clone(document) : before;
+  }
+
+  async bulkWrite(operations) {
+    for (const { updateOne } of operations) {
+      await this.updateOne(updateOne.filter, updateOne.update, updateOne);
+    }
+    return { ok: 1 };
+  }
+
+  async deleteOne(filter) {
+    const [document] = this.match(filter);
+    if (!document) return { deletedCount: 0 };
+    this.documents.splice(this.documents.indexOf(document), 1);
+    return { deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const documents = new Set(this.match(filter));
+    this.documents = this.documents.filter((document) => !documents.has(document));
+    return { deletedCount: documents.size };
+  }
+
+  async countDocuments(filter = {}) {
+    return this.match(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.match(filter).flatMap((document) => {
+      const value = field
+        .split(".")
+        .reduce((object, key) => object?.[key], document);
+      return value === undefined ? [] : [value];
+    });
+    const seen = new Set();
+    return values.filter((value) => {
+      const key = String(value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  aggregate(pipeline) {
+    return {
+      toArray: async () =>
+        clone(new Aggregator(pipeline).run(this.documents)),
+    };
+  }
+}
+
+/**
+ * Create an in-memory database
+ * @returns {{collection: Function}} Database with lazily created collections
+ */
+export function createDatabase() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new Collection(name));
+      }
+      return collections.get(name);
+    },
+  };
+}
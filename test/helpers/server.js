@@ -0,0 +1,30 @@
+import { createServer } from "node:http";
+
+/**
+ * Start a local HTTP server on a free port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>}
+ *   requests lists each request's method, path and headers
+ */
+export async function startServer(handler) {
+  const requests = [];
+  const server = createServer((request, response) => {
+    requests.push({
+      method: request.method,
+      path: request.url,
+      headers: request.headers,
+    });
+    handler(request, response);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import sharp from "sharp";
+import { imagesController } from "../lib/controllers/images.js";
+import {
+  createImageProxy,
+  getCacheKey,
+  getThumbnail,
+  signImageUrl,
+} from "../lib/image-proxy.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+const secret = "s3cret";
+
+describe("image proxy", () => {
+  let server;
+  let photo;
+  let db;
+
+  const config = {
+    imageProxySecret: secret,
+    imageProxyAllowPrivateHosts: true,
+  };
+
+  before(async () => {
+    photo = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: "#c33" },
+    })
+      .png()
+      .toBuffer();
+
+    server = await startServer((request, response) => {
+      const redirect = request.url.match(/^\/redirect\/(\d+)$/);
+      if (redirect) {
+        const hops = Number(redirect[1]);
+        response.writeHead(302, {
+          Location: hops > 1 ? `/redirect/${hops - 1}` : "/photo.png",
+        });
+        return response.end();
+      }
+      if (request.url === "/page.html") {
+        response.writeHead(200, { "Content-Type": "text/html" });
+        return response.end("<p>Not an image</p>");
+      }
+      response.writeHead(200, { "Content-Type": "image/png" });
+      response.end(photo);
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    db = createDatabase();
+    server.requests.length = 0;
+  });
+
+  /**
+   * Request a proxied image
+   * @param {string} url - Remote image URL
+   * @param {Object} [fields] - Query, headers and config overrides
+   * @returns {Promise<{status: number, body: *, headers: Object}>}
+   */
+  const proxy = (url, { query, headers, options } = {}) =>
+    callController(imagesController.get, {
+      db,
+      config: { ...config, ...options },
+      query: { url, w: "160", s: signImageUrl(secret, url), ...query },
+      headers,
+    });
+
+  it("hands out signed proxy URLs", async () => {
+    const proxyImage = await createImageProxy(db, {
+      ...config,
+      proxyImages: true,
+      publicUrl: "https://example.org",
+      mountPath: "/rss",
+    });
+    const url = new URL(proxyImage("https://example.com/a.jpg", 640));
+
+    assert.equal(url.pathname, "/rss/image");
+    assert.equal(url.searchParams.get("w"), "640");
+    assert.equal(
+      url.searchParams.get("s"),
+      signImageUrl(secret, "https://example.com/a.jpg"),
+    );
+    assert.equal(await createImageProxy(db, config), null);
+  });
+
+  it("resizes an image to WebP", async () => {
+    const { status, body, headers } = await proxy(`${server.url}/photo.png`);
+    const { format, width } = await sharp(body).metadata();
+
+    assert.equal(status, 200);
+    assert.equal(format, "webp");
+    assert.equal(width, 160);
+    assert.equal(headers.ETag, `"${getCacheKey(`${server.url}/photo.png`, 160)}"`);
+    assert.match(headers["Cache-Control"], /immutable/);
+  });
+
+  it("checks the signature and width", async () => {
+    const url = `${server.url}/photo.png`;
+
+    assert.equal((await proxy(url, { query: { s: "forged" } })).status, 403);
+    assert.equal((await proxy(url, { query: { w: "100" } })).status, 400);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it("answers revalidation without fetching the image", async () => {
+    const url = `${server.url}/photo.png`;
+    const { status } = await proxy(url, {
+      headers: { "if-none-match": `"${getCacheKey(url, 160)}"` },
+    });
+
+    assert.equal(status, 304);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it("caches thumbnails, fetching each once", async () => {
+    const url = `${server.url}/photo.png`;
+    const [first, second] = await Promise.all([
+      getThumbnail(db, url, 160, config),
+      getThumbnail(db, url, 160, config),
+    ]);
+    const cached = await getThumbnail(db, url, 160, config);
+
+    assert.ok(first.image);
+    assert.equal(second.image, first.image);
+    assert.equal(cached.image, null);
+    assert.equal(cached.file.metadata.url, url);
+    assert.equal(await db.collection("rssImages.files").countDocuments(), 1);
+    assert.equal(server.requests.length, 1);
+  });
+
+  it("refuses anything but raster images", async () => {
+    const { status, body } = await proxy(`${server.url}/page.html`);
+
+    assert.equal(status, 415);
+    assert.equal(body.error, "Unsupported image type: text/html");
+  });
+
+  it("follows a few redirects", async () => {
+    assert.equal((await proxy(`${server.url}/redirect/2`)).status, 200);
+
+    const { status, body } = await proxy(`${server.url}/redirect/6`);
+    assert.equal(status, 502);
+    assert.equal(body.error, "Too many redirects");
+  });
+
+  it("refuses hosts on private networks", async () => {
+    for (const url of [`${server.url}/photo.png`, "http://[::1]/photo.png"]) {
+      const { status, body } = await proxy(url, {
+        options: { imageProxyAllowPrivateHosts: false },
+      });
+
+      assert.equal(status, 403);
+      assert.match(body.error, /^Image host not allowed/);
+    }
+    assert.equal(server.requests.length, 0);
+  });
+});
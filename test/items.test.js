@@ -0,0 +1,276 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import { itemsController } from "../lib/controllers/items.js";
+import { getUnreadCounts } from "../lib/item-state.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+
+const feedId = new ObjectId();
+const otherFeedId = new ObjectId();
+
+/**
+ * Build an item document
+ * @param {Object} fields - Fields to set
+ * @returns {Object}
+ */
+function item(fields) {
+  return {
+    feedId,
+    feedTitle: "Blog",
+    guid: new ObjectId().toString(),
+    title: "Post",
+    link: "https://example.com/post",
+    pubDate: new Date("2024-05-01T10:00:00Z"),
+    duplicateOf: null,
+    read: false,
+    starred: false,
+    ...fields,
+  };
+}
+
+describe("items", () => {
+  let db;
+  let items;
+
+  beforeEach(async () => {
+    db = createDatabase();
+    items = db.collection("rssItems");
+    await items.insertMany([
+      item({ title: "Old", pubDate: new Date("2024-01-01T00:00:00Z") }),
+      item({ title: "New" }),
+      item({ title: "Read", read: true }),
+      item({ title: "Other feed", feedId: otherFeedId }),
+    ]);
+  });
+
+  const list = (query) => callController(itemsController.list, { db, query });
+  const titles = ({ body }) => body.items.map((entry) => entry.title).sort();
+
+  describe("PATCH /api/items/:id", () => {
+    const patch = (id, body) =>
+      callController(itemsController.update, {
+        db,
+        method: "PATCH",
+        params: { id: id.toString() },
+        body,
+      });
+
+    it("marks an item read and starred", async () => {
+      const { _id } = await items.findOne({ title: "New" });
+      const { status, body } = await patch(_id, { read: true, starred: true });
+
+      assert.equal(status, 200);
+      assert.equal(body.item.read, true);
+      assert.equal(body.item.starred, true);
+      const stored = await items.findOne({ _id });
+      assert.ok(stored.readAt);
+      assert.ok(stored.starredAt);
+    });
+
+    it("reads the copies of an item from other feeds", async () => {
+      const { _id } = await items.findOne({ title: "New" });
+      await items.insertOne(item({ feedId: otherFeedId, duplicateOf: _id }));
+
+      await patch(_id, { read: true });
+      assert.equal(
+        await items.countDocuments({ duplicateOf: _id, read: true }),
+        1,
+      );
+    });
+
+    it("validates the request", async () => {
+      const { _id } = await items.findOne({ title: "New" });
+
+      assert.equal((await patch(_id, { read: "yes" })).status, 400);
+      assert.equal((await patch(_id, {})).status, 400);
+      assert.equal((await patch("nope", { read: true })).status, 400);
+      assert.equal((await patch(new ObjectId(), { read: true })).status, 404);
+    });
+  });
+
+  describe("POST /api/items/mark-read", () => {
+    const markRead = (body) =>
+      callController(itemsController.markRead, { db, method: "POST", body });
+
+    it("marks a feed's items read", async () => {
+      const { body } = await markRead({ feedId: feedId.toString() });
+
+      assert.equal(body.itemsMarked, 2);
+      assert.equal(await items.countDocuments({ read: false }), 1);
+    });
+
+    it("marks items older than a date read", async () => {
+      const { body } = await markRead({ olderThan: "2024-03-01T00:00:00Z" });
+
+      assert.equal(body.itemsMarked, 1);
+      assert.equal((await items.findOne({ title: "Old" })).read, true);
+    });
+
+    it("rejects invalid filters", async () => {
+      assert.equal((await markRead({ feedId: "nope" })).status, 400);
+      assert.equal((await markRead({ olderThan: "someday" })).status, 400);
+    });
+  });
+
+  describe("GET /api/items", () => {
+    it("lists unread or starred items", async () => {
+      await items.updateOne({ title: "Read" }, { $set: { starred: true } });
+
+      assert.deepEqual(titles(await list({ unread: "true" })), [
+        "New",
+        "Old",
+        "Other feed",
+      ]);
+      assert.deepEqual(titles(await list({ starred: "true" })), ["Read"]);
+    });
+  });
+
+  describe("GET /api/items?q=", () => {
+    beforeEach(async () => {
+      // As created by the sync
+      await items.createIndex(
+        { title: "text", description: "text", content: "text", author: "text" },
+        { weights: { title: 10, description: 5, author: 3, content: 1 } },
+      );
+      await items.insertMany([
+        item({
+          title: "Notes",
+          content: "<p>Merging edits with a CRDT</p>",
+          pubDate: new Date("2024-06-01T00:00:00Z"),
+        }),
+        item({
+          title: "CRDT primer",
+          pubDate: new Date("2024-02-01T00:00:00Z"),
+        }),
+        item({ title: "CRDTs elsewhere", feedId: otherFeedId }),
+      ]);
+    });
+
+    it("ranks matches in the title first", async () => {
+      const { body } = await list({ q: "crdt" });
+
+      assert.deepEqual(
+        body.items.map((entry) => entry.title),
+        ["CRDT primer", "Notes"],
+      );
+      assert.equal(body.pagination.total, 2);
+    });
+
+    it("sorts matches newest first with sort=date", async () => {
+      const { body } = await list({ q: "crdt", sort: "date" });
+
+      assert.deepEqual(
+        body.items.map((entry) => entry.title),
+        ["Notes", "CRDT primer"],
+      );
+    });
+
+    it("combines with the other filters", async () => {
+      await items.updateOne({ title: "Notes" }, { $set: { read: true } });
+
+      assert.deepEqual(titles(await list({ q: "crdt", unread: "true" })), [
+        "CRDT primer",
+      ]);
+      assert.deepEqual(
+        titles(await list({ q: "crdts", feedId: otherFeedId.toString() })),
+        ["CRDTs elsewhere"],
+      );
+    });
+  });
+
+  describe("GET /api/items?profile=", () => {
+    beforeEach(async () => {
+      await items.deleteMany({});
+      await items.insertOne(
+        item({ content: '<h2>Heading</h2><p><img src="/photo.jpg"></p>' }),
+      );
+    });
+
+    const content = async (query, config) => {
+      const { body } = await callController(itemsController.list, {
+        db,
+        config,
+        query: { includeContent: "true", ...query },
+      });
+      return body.items[0].content;
+    };
+
+    it("uses the configured profile", async () => {
+      assert.equal(await content({}), "Heading<p></p>");
+      assert.match(
+        await content({}, { sanitizeProfile: "rich" }),
+        /<h2>Heading<\/h2><p><img src="https:\/\/example\.com\/photo\.jpg" loading="lazy" \/><\/p>/,
+      );
+    });
+
+    it("prefers the feed's profile, and the requested one over both", async () => {
+      await db.collection("rssFeeds").insertOne({
+        _id: feedId,
+        url: "https://example.com/feed",
+        sanitizeProfile: "rich",
+      });
+
+      assert.match(await content({}), /<h2>/);
+      assert.equal(await content({ profile: "text" }), "Heading<p></p>");
+    });
+
+    it("rejects unknown profiles", async () => {
+      const { status, body } = await list({ profile: "everything" });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, "profile must be one of text, rich, embeds");
+    });
+  });
+
+  describe("GET /api/items?hasMedia=", () => {
+    beforeEach(async () => {
+      await items.insertMany([
+        item({
+          title: "Episode",
+          enclosures: [
+            { url: "https://cdn.example/1.jpg", type: "image/jpeg" },
+            { url: "https://cdn.example/1.mp3", type: "audio/mpeg" },
+          ],
+        }),
+        item({
+          title: "Clip",
+          enclosures: [{ url: "https://cdn.example/1.mp4", type: "video/mp4" }],
+        }),
+        // Cached before every enclosure was kept
+        item({
+          title: "Old episode",
+          enclosure: { url: "https://cdn.example/0.mp3", type: "audio/mpeg" },
+        }),
+      ]);
+    });
+
+    it("lists items with audio or video enclosures", async () => {
+      assert.deepEqual(titles(await list({ hasMedia: "audio" })), [
+        "Episode",
+        "Old episode",
+      ]);
+      assert.deepEqual(titles(await list({ hasMedia: "video" })), ["Clip"]);
+    });
+
+    it("rejects other media kinds", async () => {
+      const { status, body } = await list({ hasMedia: "image" });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, "hasMedia must be one of audio, video");
+    });
+  });
+
+  describe("getUnreadCounts", () => {
+    it("counts unread items per feed, leaving out duplicates and hidden items", async () => {
+      await items.insertMany([
+        item({ hidden: true }),
+        item({ duplicateOf: new ObjectId() }),
+      ]);
+      const counts = await getUnreadCounts(items);
+
+      assert.equal(counts.get(feedId.toString()), 2);
+      assert.equal(counts.get(otherFeedId.toString()), 1);
+    });
+  });
+});
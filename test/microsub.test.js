@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import { microsubController } from "../lib/controllers/microsub.js";
+import { decodeCursor, encodeCursor, toJf2Entry } from "../lib/microsub.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+
+/**
+ * Run the Microsub endpoint and capture its answer
+ * @param {string} method - HTTP method
+ * @param {Object} params - Query (GET) or body (POST) parameters
+ * @param {Object} [db] - Database instance
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function callMicrosub(method, params, db = createDatabase()) {
+  return callController(microsubController.handle, {
+    db,
+    method,
+    query: method === "GET" ? params : {},
+    body: method === "POST" ? params : {},
+  });
+}
+
+describe("Microsub endpoint", () => {
+  for (const action of ["toString", "constructor", "__proto__", "hasOwnProperty"]) {
+    it(`rejects ${action} as an action`, async () => {
+      const { status, body } = await callMicrosub("POST", { action });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, "invalid_request");
+    });
+  }
+
+  it("rejects actions that change state over GET", async () => {
+    const { status, body } = await callMicrosub("GET", { action: "unfollow" });
+
+    assert.equal(status, 400);
+    assert.equal(body.error_description, "Unsupported action: unfollow");
+  });
+});
+
+describe("Microsub cursors", () => {
+  it("round-trips an item's place in the timeline", () => {
+    const item = { _id: new ObjectId(), pubDate: "2024-05-01T10:00:00.000Z" };
+    const cursor = decodeCursor(encodeCursor(item));
+
+    assert.ok(cursor._id.equals(item._id));
+    assert.equal(cursor.pubDate.toISOString(), item.pubDate);
+  });
+
+  it("handles undated items", () => {
+    const item = { _id: new ObjectId(), pubDate: null };
+    assert.equal(decodeCursor(encodeCursor(item)).pubDate, null);
+  });
+
+  it("rejects malformed cursors", () => {
+    assert.equal(decodeCursor("nonsense"), null);
+    assert.equal(
+      decodeCursor(Buffer.from("abc:123").toString("base64url")),
+      null,
+    );
+  });
+});
+
+describe("toJf2Entry", () => {
+  it("converts an item, leaving out empty properties", () => {
+    const entry = toJf2Entry(
+      {
+        id: "abc",
+        read: false,
+        link: "https://example.com/post",
+        title: "Post",
+        pubDate: "2024-05-01T10:00:00.000Z",
+        content: "<p>Fish &amp; chips</p>",
+        imageUrl: null,
+        enclosures: [
+          { url: "https://example.com/episode.mp3", type: "audio/mpeg" },
+        ],
+        categories: [],
+      },
+      { title: "Example", siteUrl: "https://example.com/" },
+    );
+
+    assert.deepEqual(entry, {
+      type: "entry",
+      _id: "abc",
+      _is_read: false,
+      url: "https://example.com/post",
+      name: "Post",
+      published: "2024-05-01T10:00:00.000Z",
+      content: { html: "<p>Fish &amp; chips</p>", text: "Fish & chips" },
+      author: { type: "card", name: "Example", url: "https://example.com/" },
+      audio: ["https://example.com/episode.mp3"],
+    });
+  });
+});
+
+describe("Microsub unfollow", () => {
+  let db;
+  let feed;
+
+  beforeEach(async () => {
+    db = createDatabase();
+    feed = {
+      url: "https://example.com/feed.xml",
+      title: "Blog",
+      categories: ["Friends", "Tech"],
+      enabled: true,
+    };
+    await db.collection("rssFeeds").insertOne(feed);
+    await db.collection("rssItems").insertMany([
+      { feedId: feed._id, guid: "1", title: "Read later", starred: true },
+      { feedId: feed._id, guid: "2", title: "Skimmed", starred: false },
+    ]);
+  });
+
+  const unfollow = (channel) =>
+    callMicrosub("POST", { action: "unfollow", channel, url: feed.url }, db);
+
+  it("takes a feed out of one channel", async () => {
+    const { status } = await unfollow("Friends");
+    const stored = await db.collection("rssFeeds").findOne({ _id: feed._id });
+
+    assert.equal(status, 200);
+    assert.deepEqual(stored.categories, ["Tech"]);
+    assert.equal(await db.collection("rssItems").countDocuments(), 2);
+  });
+
+  it("removes a feed left in no channel, keeping starred items", async () => {
+    await unfollow("Friends");
+    await unfollow("Tech");
+    const items = await db.collection("rssItems").find({}).toArray();
+
+    assert.equal(await db.collection("rssFeeds").countDocuments(), 0);
+    assert.deepEqual(items.map((item) => item.title), ["Read later"]);
+  });
+
+  it("refuses channels the feed isn't in", async () => {
+    const { status, body } = await unfollow("News");
+
+    assert.equal(status, 404);
+    assert.equal(body.error, "not_found");
+  });
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildOpml, parseOpml } from "../lib/opml.js";
+
+describe("parseOpml", () => {
+  it("rejects documents that are not OPML", () => {
+    assert.throws(() => parseOpml("<rss></rss>"), /Not an OPML document/);
+    assert.throws(() => parseOpml(null), /Not an OPML document/);
+  });
+
+  it("reads feeds, using folders and category attributes as categories", () => {
+    const feeds = parseOpml(`<?xml version="1.0"?>
+      <opml version="2.0">
+        <head><title>Subscriptions</title></head>
+        <body>
+          <outline text="Loose" xmlUrl=" https://loose.example/feed " />
+          <outline text="IndieWeb" title="IndieWeb">
+            <outline text="Alice" xmlUrl="https://alice.example/feed"
+              htmlUrl="https://alice.example/" category="/Friends,Tech/Web" />
+            <outline text="Nested">
+              <outline title="Bob" xmlUrl="https://bob.example/feed"></outline>
+            </outline>
+          </outline>
+        </body>
+      </opml>`);
+
+    assert.deepEqual(feeds, [
+      {
+        url: "https://loose.example/feed",
+        title: "Loose",
+        siteUrl: null,
+        categories: [],
+      },
+      {
+        url: "https://alice.example/feed",
+        title: "Alice",
+        siteUrl: "https://alice.example/",
+        categories: ["IndieWeb", "Friends", "Web"],
+      },
+      {
+        url: "https://bob.example/feed",
+        title: "Bob",
+        siteUrl: null,
+        categories: ["Nested"],
+      },
+    ]);
+  });
+});
+
+describe("buildOpml", () => {
+  const feeds = [
+    {
+      url: "https://alice.example/feed?a=1&b=2",
+      title: "Alice & Co",
+      siteUrl: "https://alice.example/",
+      categories: ["Friends", "Tech"],
+    },
+    { url: "https://bob.example/feed", title: null, categories: [] },
+  ];
+
+  it("groups feeds in folders by their first category", () => {
+    const opml = buildOpml(feeds, { title: "My feeds" });
+
+    assert.match(opml, /<title>My feeds<\/title>/);
+    assert.match(opml, /<outline text="Friends" title="Friends">/);
+    assert.match(opml, /xmlUrl="https:\/\/alice\.example\/feed\?a=1&amp;b=2"/);
+    assert.match(opml, /text="Alice &amp; Co"/);
+    assert.match(opml, /category="Friends,Tech"/);
+    assert.match(opml, /text="https:\/\/bob\.example\/feed"/);
+  });
+
+  it("round-trips through parseOpml", () => {
+    const parsed = parseOpml(buildOpml(feeds));
+
+    assert.deepEqual(
+      parsed.map(({ url, categories }) => ({ url, categories })),
+      [
+        {
+          url: "https://alice.example/feed?a=1&b=2",
+          categories: ["Friends", "Tech"],
+        },
+        { url: "https://bob.example/feed", categories: [] },
+      ],
+    );
+  });
+});
@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import { itemsController } from "../lib/controllers/items.js";
+import { queueController } from "../lib/controllers/queue.js";
+import { addToQueue, getQueueIds, setQueue } from "../lib/playback.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+
+describe("playback", () => {
+  let db;
+  let items;
+  let episodes;
+
+  beforeEach(async () => {
+    db = createDatabase();
+    items = db.collection("rssItems");
+    episodes = ["One", "Two", "Three"].map((title) => ({
+      feedId: new ObjectId(),
+      guid: title,
+      title,
+      duplicateOf: null,
+      enclosures: [{ url: `https://cdn.example/${title}.mp3`, type: "audio/mpeg" }],
+    }));
+    await items.insertMany(episodes);
+  });
+
+  const ids = (...indexes) => indexes.map((index) => episodes[index]._id);
+  const titles = ({ body }) => body.items.map((item) => item.title);
+  const call = (handler, request) => callController(handler, { db, ...request });
+
+  describe("queue", () => {
+    it("adds items at the end or at a position", async () => {
+      await addToQueue(items, episodes[0]._id);
+      await addToQueue(items, episodes[1]._id);
+      await addToQueue(items, episodes[2]._id, 0);
+
+      assert.deepEqual(await getQueueIds(items), ids(2, 0, 1));
+    });
+
+    it("moves an item already queued", async () => {
+      await setQueue(items, ids(0, 1, 2));
+      const { queuedAt } = await items.findOne({ _id: episodes[0]._id });
+      await addToQueue(items, episodes[0]._id);
+      const moved = await items.findOne({ _id: episodes[0]._id });
+
+      assert.deepEqual(await getQueueIds(items), ids(1, 2, 0));
+      assert.equal(moved.queuePosition, 2);
+      // Still queued since it was first added
+      assert.equal(moved.queuedAt, queuedAt);
+    });
+
+    it("is listed, reordered and emptied through the API", async () => {
+      const add = (itemId, position) =>
+        call(queueController.add, { method: "POST", body: { itemId, position } });
+
+      await add(episodes[0]._id.toString());
+      const added = await add(episodes[1]._id.toString(), 0);
+      assert.deepEqual(titles(added), ["Two", "One"]);
+      assert.equal(added.body.total, 2);
+
+      const reordered = await call(queueController.reorder, {
+        method: "PUT",
+        body: { itemIds: ids(2, 0).map(String) },
+      });
+      assert.deepEqual(titles(reordered), ["Three", "One"]);
+      assert.equal(
+        (await items.findOne({ _id: episodes[1]._id })).queuePosition,
+        undefined,
+      );
+
+      const removed = await call(queueController.remove, {
+        method: "DELETE",
+        params: { itemId: episodes[2]._id.toString() },
+      });
+      assert.deepEqual(titles(removed), ["One"]);
+      assert.equal((await items.findOne({ _id: episodes[0]._id })).queuePosition, 0);
+      assert.deepEqual(titles(await call(queueController.list)), ["One"]);
+    });
+
+    it("validates the request", async () => {
+      const add = (body) => call(queueController.add, { method: "POST", body });
+      const reorder = (itemIds) =>
+        call(queueController.reorder, { method: "PUT", body: { itemIds } });
+      const missing = new ObjectId().toString();
+
+      assert.equal((await add({ itemId: "nope" })).status, 400);
+      assert.equal(
+        (await add({ itemId: episodes[0]._id.toString(), position: -1 })).status,
+        400,
+      );
+      assert.equal((await add({ itemId: missing })).status, 404);
+      assert.equal((await reorder("nope")).status, 400);
+      assert.equal(
+        (await reorder(ids(0, 0).map(String))).body.error,
+        "itemIds must not contain duplicates",
+      );
+      assert.equal((await reorder([missing])).status, 404);
+      assert.equal(
+        (
+          await call(queueController.remove, {
+            method: "DELETE",
+            params: { itemId: episodes[0]._id.toString() },
+          })
+        ).body.error,
+        "Item not in queue",
+      );
+    });
+  });
+
+  describe("PATCH /api/items/:id", () => {
+    const patch = (index, body) =>
+      call(itemsController.update, {
+        method: "PATCH",
+        params: { id: episodes[index]._id.toString() },
+        body,
+      });
+
+    it("saves the playback position", async () => {
+      const { body } = await patch(0, { position: 61.6 });
+
+      assert.equal(body.item.playbackPosition, 62);
+      assert.ok(body.item.playbackUpdatedAt);
+      assert.equal((await patch(0, { position: -5 })).status, 400);
+    });
+
+    it("rewinds a played item and takes it off the queue", async () => {
+      await setQueue(items, ids(0, 1));
+      await patch(0, { position: 300 });
+      const { body } = await patch(0, { played: true });
+
+      assert.equal(body.item.played, true);
+      assert.equal(body.item.playbackPosition, 0);
+      assert.equal(body.item.queuePosition, null);
+      assert.deepEqual(await getQueueIds(items), ids(1));
+
+      const unplayed = await patch(0, { played: false });
+      assert.equal(unplayed.body.item.played, false);
+    });
+  });
+
+  describe("GET /api/items filters", () => {
+    const list = (query) => call(itemsController.list, { query });
+
+    beforeEach(async () => {
+      await items.updateOne(
+        { _id: episodes[0]._id },
+        { $set: { played: true, playbackPosition: 0 } },
+      );
+      await items.updateOne(
+        { _id: episodes[1]._id },
+        { $set: { playbackPosition: 120 } },
+      );
+      await setQueue(items, ids(2, 1));
+    });
+
+    it("lists played, unplayed, in-progress and queued items", async () => {
+      assert.deepEqual(titles(await list({ played: "true" })), ["One"]);
+      assert.deepEqual(
+        titles(await list({ played: "false" })).sort(),
+        ["Three", "Two"],
+      );
+      assert.deepEqual(titles(await list({ inProgress: "true" })), ["Two"]);
+      assert.deepEqual(
+        titles(await list({ queued: "true" })).sort(),
+        ["Three", "Two"],
+      );
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import {
+  applyRevision,
+  getRevisionHash,
+  REVISION_PROJECTION,
+} from "../lib/revisions.js";
+import { syncSingleFeed } from "../lib/sync.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+/**
+ * Build an item document as the sync would
+ * @param {Object} fields - Item fields
+ * @returns {Object}
+ */
+function document(fields) {
+  const item = {
+    guid: "1",
+    title: "Hello wrold",
+    link: "https://example.com/1",
+    content: "<p>First version</p>",
+    ...fields,
+  };
+  return { ...item, revisionHash: getRevisionHash(item) };
+}
+
+describe("applyRevision", () => {
+  let items;
+  let stored;
+
+  beforeEach(async () => {
+    items = createDatabase().collection("rssItems");
+    stored = document({ fetchedAt: "2024-05-01T10:00:00.000Z" });
+    await items.insertOne(stored);
+  });
+
+  const load = () =>
+    items.findOne({ _id: stored._id }, { projection: REVISION_PROJECTION });
+
+  it("leaves an unchanged item alone", async () => {
+    assert.equal(await applyRevision(items, await load(), document({})), false);
+    assert.equal((await items.findOne({ _id: stored._id })).updatedAt, undefined);
+  });
+
+  it("updates a changed item, keeping the earlier version", async () => {
+    const updated = await applyRevision(
+      items,
+      await load(),
+      document({ title: "Hello world" }),
+      5,
+    );
+    const item = await items.findOne({ _id: stored._id });
+
+    assert.equal(updated, true);
+    assert.equal(item.title, "Hello world");
+    assert.ok(item.updatedAt);
+    assert.equal(item.revisions.length, 1);
+    assert.equal(item.revisions[0].title, "Hello wrold");
+    assert.equal(item.revisions[0].fetchedAt, "2024-05-01T10:00:00.000Z");
+  });
+
+  it("keeps no revisions unless asked to", async () => {
+    await applyRevision(items, await load(), document({ title: "Hello world" }));
+
+    const item = await items.findOne({ _id: stored._id });
+    assert.equal(item.revisions, undefined);
+  });
+
+  it("updates an item with a newer updated date", async () => {
+    await items.updateOne(
+      { _id: stored._id },
+      { $set: { updatedDate: "2024-05-01T10:00:00.000Z" } },
+    );
+
+    assert.equal(
+      await applyRevision(
+        items,
+        await load(),
+        document({ updatedDate: "2024-05-02T10:00:00.000Z" }),
+      ),
+      true,
+    );
+    assert.equal(
+      (await items.findOne({ _id: stored._id })).updatedDate,
+      "2024-05-02T10:00:00.000Z",
+    );
+  });
+
+  it("only records the hash of items cached before revisions", async () => {
+    await items.updateOne({ _id: stored._id }, { $unset: { revisionHash: "" } });
+    const fresh = document({ title: "Hello world" });
+
+    assert.equal(await applyRevision(items, await load(), fresh), false);
+    const item = await items.findOne({ _id: stored._id });
+    assert.equal(item.title, "Hello wrold");
+    assert.equal(item.revisionHash, fresh.revisionHash);
+  });
+});
+
+describe("syncSingleFeed item updates", () => {
+  let server;
+  let title;
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      response.writeHead(200, { "Content-Type": "application/rss+xml" });
+      response.end(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Blog</title>
+    <item><title>${title}</title><link>https://example.com/1</link><guid>1</guid></item>
+  </channel>
+</rss>`);
+    });
+  });
+
+  after(() => server.close());
+
+  it("counts the items a publisher changed", async () => {
+    const db = createDatabase();
+    const feed = { url: `${server.url}/feed.xml`, enabled: true };
+    await db.collection("rssFeeds").insertOne(feed);
+
+    title = "Hello wrold";
+    const first = await syncSingleFeed(db, feed._id, {});
+    title = "Hello world";
+    const second = await syncSingleFeed(db, feed._id, {});
+
+    assert.deepEqual([first.itemsAdded, first.itemsUpdated], [1, 0]);
+    assert.deepEqual([second.itemsAdded, second.itemsUpdated], [0, 1]);
+    const item = await db.collection("rssItems").findOne({});
+    assert.equal(item.title, "Hello world");
+  });
+});
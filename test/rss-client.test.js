@@ -0,0 +1,416 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { RssClient } from "../lib/rss-client.js";
+import { startServer } from "./helpers/server.js";
+
+const rss = (title) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${title}</title>
+    <link>https://example.com/</link>
+    <item><title>First post</title><link>https://example.com/first</link><guid>first</guid></item>
+  </channel>
+</rss>`;
+
+describe("RssClient", () => {
+  const client = new RssClient({ timeout: 5000 });
+  let server;
+  const routes = new Map();
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      const route = routes.get(request.url);
+      if (!route) {
+        response.writeHead(404);
+        return response.end();
+      }
+      route(request, response);
+    });
+  });
+
+  after(() => server.close());
+
+  describe("fetchFeed", () => {
+    before(() => {
+      routes.set("/conditional.xml", (request, response) => {
+        if (request.headers["if-none-match"] === '"v1"') {
+          // Validators may be left out of a 304
+          response.writeHead(304, { "Cache-Control": "max-age=600" });
+          return response.end();
+        }
+        response.writeHead(200, {
+          "Content-Type": "application/rss+xml",
+          ETag: '"v1"',
+          "Last-Modified": "Wed, 01 May 2024 10:00:00 GMT",
+          "Cache-Control": "public, max-age=300",
+        });
+        response.end(rss("Blog"));
+      });
+    });
+
+    it("returns the cache validators", async () => {
+      const { cache, items, notModified } = await client.fetchFeed(
+        `${server.url}/conditional.xml`,
+      );
+
+      assert.deepEqual(cache, {
+        etag: '"v1"',
+        lastModified: "Wed, 01 May 2024 10:00:00 GMT",
+        maxAge: 300,
+      });
+      assert.equal(items.length, 1);
+      assert.equal(notModified, undefined);
+    });
+
+    it("reports permanent redirects only", async () => {
+      const redirect = (status) => (request, response) => {
+        response.writeHead(status, { Location: "/conditional.xml" });
+        response.end();
+      };
+      routes.set("/moved.xml", redirect(301));
+      routes.set("/renamed.xml", redirect(308));
+      routes.set("/detour.xml", redirect(302));
+
+      const moved = await client.fetchFeed(`${server.url}/moved.xml`);
+      const renamed = await client.fetchFeed(`${server.url}/renamed.xml`);
+      const detour = await client.fetchFeed(`${server.url}/detour.xml`);
+
+      assert.equal(moved.movedTo, `${server.url}/conditional.xml`);
+      assert.equal(renamed.movedTo, `${server.url}/conditional.xml`);
+      assert.equal(detour.movedTo, null);
+      assert.equal(detour.items.length, 1);
+    });
+
+    it("sends the validators and reports an unchanged feed", async () => {
+      const result = await client.fetchFeed(`${server.url}/conditional.xml`, {
+        etag: '"v1"',
+        lastModified: "Wed, 01 May 2024 10:00:00 GMT",
+      });
+      const request = server.requests.at(-1);
+
+      assert.equal(request.headers["if-none-match"], '"v1"');
+      assert.equal(
+        request.headers["if-modified-since"],
+        "Wed, 01 May 2024 10:00:00 GMT",
+      );
+      assert.equal(result.notModified, true);
+      assert.equal(result.status, 304);
+      assert.deepEqual(result.items, []);
+      assert.deepEqual(result.cache, {
+        etag: '"v1"',
+        lastModified: "Wed, 01 May 2024 10:00:00 GMT",
+        maxAge: 600,
+      });
+    });
+  });
+
+  describe("discoverFeeds", () => {
+    const page = (links) =>
+      `<!DOCTYPE html><html><head><title>Example</title>${links}</head><body><p>Hi</p></body></html>`;
+    const serve = (type, body) => (request, response) => {
+      response.writeHead(200, { "Content-Type": type });
+      response.end(body);
+    };
+
+    before(() => {
+      routes.set(
+        "/advertised/",
+        serve(
+          "text/html",
+          page(`
+            <link rel="alternate" type="application/rss+xml" title="Posts" href="/posts.xml">
+            <link rel="alternate" type="application/atom+xml" title="Comments" href="https://example.com/comments.atom">
+            <link rel="stylesheet" href="/style.css">`),
+        ),
+      );
+      routes.set("/", serve("text/html", page("")));
+      routes.set("/feed", (request, response) => {
+        response.writeHead(301, { Location: "/feed.xml" });
+        response.end();
+      });
+      routes.set("/feed.xml", serve("application/rss+xml", rss("Blog")));
+      routes.set("/atom.xml", serve("application/rss+xml", rss("Comments")));
+      // Same feed as /atom.xml, by its self link
+      routes.set(
+        "/index.xml",
+        serve(
+          "application/rss+xml",
+          rss("Comments (mirror)").replace(
+            "<channel>",
+            `<channel><atom:link xmlns:atom="http://www.w3.org/2005/Atom" rel="self" href="${server.url}/atom.xml"/>`,
+          ),
+        ),
+      );
+    });
+
+    it("finds the feeds a page advertises", async () => {
+      const feeds = await client.discoverFeeds(`${server.url}/advertised/`);
+
+      assert.deepEqual(feeds, [
+        {
+          url: `${server.url}/posts.xml`,
+          title: "Posts",
+          type: "application/rss+xml",
+        },
+        {
+          url: "https://example.com/comments.atom",
+          title: "Comments",
+          type: "application/atom+xml",
+        },
+      ]);
+    });
+
+    it("probes common paths, offering each feed once", async () => {
+      const feeds = await client.discoverFeeds(`${server.url}/`);
+
+      assert.deepEqual(feeds, [
+        { url: `${server.url}/feed.xml`, title: "Blog", type: null },
+        { url: `${server.url}/atom.xml`, title: "Comments", type: null },
+      ]);
+    });
+  });
+
+  describe("fetchArticle", () => {
+    before(() => {
+      routes.set("/article", (request, response) => {
+        response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        response.end("<p>Article</p>");
+      });
+      routes.set("/article.pdf", (request, response) => {
+        response.writeHead(200, { "Content-Type": "application/pdf" });
+        response.end("%PDF");
+      });
+      routes.set("/huge", (request, response) => {
+        // No Content-Length, so only the bytes read give the size away
+        response.writeHead(200, { "Content-Type": "text/html" });
+        response.end("x".repeat(6 * 1024 * 1024));
+      });
+    });
+
+    it("fetches a web page", async () => {
+      const { html, url } = await client.fetchArticle(`${server.url}/article`);
+
+      assert.equal(html, "<p>Article</p>");
+      assert.equal(url, `${server.url}/article`);
+    });
+
+    it("refuses anything but HTML", async () => {
+      await assert.rejects(
+        client.fetchArticle(`${server.url}/article.pdf`),
+        /Not a web page \(application\/pdf\)/,
+      );
+    });
+
+    it("stops reading a page past the size limit", async () => {
+      await assert.rejects(client.fetchArticle(`${server.url}/huge`), /Page too large/);
+    });
+  });
+
+  describe("podcast episodes", () => {
+    const podcast = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
+  xmlns:podcast="https://podcastindex.org/namespace/1.0">
+  <channel>
+    <title>Podcast</title>
+    <itunes:image href="https://example.com/show.jpg"/>
+    <item>
+      <title>Episode 12</title>
+      <guid>ep-12</guid>
+      <enclosure url="https://cdn.example/ep12.mp3" type="audio/mpeg" length="1234567"/>
+      <enclosure url="https://cdn.example/ep12.m4v" length="nope"/>
+      <enclosure url="https://cdn.example/ep12.mp3" type="audio/mpeg"/>
+      <itunes:duration>1:02:03</itunes:duration>
+      <itunes:episode>12</itunes:episode>
+      <itunes:season>2</itunes:season>
+      <itunes:episodeType>Full</itunes:episodeType>
+      <itunes:explicit>clean</itunes:explicit>
+      <itunes:image href="https://example.com/ep12.jpg"/>
+      <podcast:chapters url="https://example.com/ep12.json" type="application/json+chapters"/>
+      <podcast:transcript url="https://example.com/ep12.vtt" type="text/vtt" language="en"/>
+      <podcast:transcript url="https://example.com/ep12.srt" type="application/srt" rel="captions"/>
+    </item>
+    <item><title>Blog post</title><guid>post</guid></item>
+  </channel>
+</rss>`;
+
+    it("keeps every enclosure and the episode's metadata", async () => {
+      const { items } = await client.parseFeed(
+        podcast,
+        "https://example.com/podcast.xml",
+        "application/rss+xml",
+      );
+      const [episode, post] = items;
+
+      assert.deepEqual(episode.enclosures, [
+        { url: "https://cdn.example/ep12.mp3", type: "audio/mpeg", length: 1234567 },
+        { url: "https://cdn.example/ep12.m4v", type: "video/mp4", length: null },
+      ]);
+      assert.equal(episode.enclosure.url, "https://cdn.example/ep12.mp3");
+      assert.deepEqual(episode.podcast, {
+        duration: 3723,
+        episode: 12,
+        season: 2,
+        episodeType: "full",
+        explicit: false,
+        imageUrl: "https://example.com/ep12.jpg",
+        chapters: {
+          url: "https://example.com/ep12.json",
+          type: "application/json+chapters",
+        },
+        transcripts: [
+          {
+            url: "https://example.com/ep12.vtt",
+            type: "text/vtt",
+            language: "en",
+            rel: null,
+          },
+          {
+            url: "https://example.com/ep12.srt",
+            type: "application/srt",
+            language: null,
+            rel: "captions",
+          },
+        ],
+      });
+      assert.deepEqual(post.enclosures, []);
+      assert.equal(post.podcast, null);
+    });
+
+    it("reads Atom enclosure links and JSON Feed attachments", async () => {
+      const atom = await client.parseFeed(
+        `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Videos</title>
+  <entry>
+    <title>Clip</title>
+    <id>clip</id>
+    <link rel="alternate" href="https://example.com/clip"/>
+    <link rel="enclosure" href="https://cdn.example/clip.webm" length="99"/>
+  </entry>
+</feed>`,
+        "https://example.com/atom.xml",
+        "application/atom+xml",
+      );
+      const json = await client.parseFeed(
+        JSON.stringify({
+          version: "https://jsonfeed.org/version/1.1",
+          title: "Podcast",
+          items: [
+            {
+              id: "1",
+              content_text: "Episode",
+              attachments: [
+                {
+                  url: "https://cdn.example/1.mp3",
+                  mime_type: "audio/mpeg",
+                  size_in_bytes: 42,
+                  duration_in_seconds: 90,
+                },
+              ],
+            },
+          ],
+        }),
+        "https://example.com/feed.json",
+        "application/feed+json",
+      );
+
+      assert.deepEqual(atom.items[0].enclosures, [
+        { url: "https://cdn.example/clip.webm", type: "video/webm", length: 99 },
+      ]);
+      assert.deepEqual(json.items[0].enclosures, [
+        { url: "https://cdn.example/1.mp3", type: "audio/mpeg", length: 42 },
+      ]);
+      assert.equal(json.items[0].podcast.duration, 90);
+    });
+
+    it("parses durations", () => {
+      assert.equal(client.parseDuration("90"), 90);
+      assert.equal(client.parseDuration("05:30"), 330);
+      assert.equal(client.parseDuration("1:00:00.6"), 3601);
+      assert.equal(client.parseDuration("an hour"), null);
+    });
+  });
+
+  describe("h-feed pages", () => {
+    const hFeed = `<!DOCTYPE html>
+<html lang="en">
+  <head><title>Jane's site</title></head>
+  <body>
+    <div class="h-feed">
+      <h1 class="p-name">Jane's posts</h1>
+      <a class="p-author h-card" href="/"><img class="u-photo" src="/jane.jpg" alt="">Jane</a>
+      <article class="h-entry">
+        <h2 class="p-name">A longer article</h2>
+        <a class="u-url" href="/2024/article"><time class="dt-published" datetime="2024-05-01T10:00:00Z">1 May</time></a>
+        <div class="e-content"><p>Some <b>rich</b> text.</p><img src="/photo.jpg" alt=""></div>
+        <a class="p-category" href="/tags/indieweb">indieweb</a>
+      </article>
+      <article class="h-entry">
+        <p class="p-content">Just a quick note &amp; nothing more</p>
+        <a class="u-url" href="/2024/note">link</a>
+        <div class="p-author h-card"><span class="p-name">Guest</span></div>
+      </article>
+    </div>
+  </body>
+</html>`;
+
+    it("maps h-entries onto items", async () => {
+      const { feed, items } = await client.parseFeed(
+        hFeed,
+        "https://jane.example/",
+        "text/html",
+      );
+      const [article, note] = items;
+
+      assert.equal(feed.title, "Jane's posts");
+      assert.equal(feed.format, "h-feed");
+      assert.equal(feed.imageUrl, "https://jane.example/jane.jpg");
+      assert.equal(article.title, "A longer article");
+      assert.equal(article.link, "https://jane.example/2024/article");
+      assert.equal(article.guid, "https://jane.example/2024/article");
+      assert.equal(article.author, "Jane");
+      assert.deepEqual(article.pubDate, new Date("2024-05-01T10:00:00Z"));
+      assert.match(article.content, /<b>rich<\/b>/);
+      assert.equal(article.imageUrl, "https://jane.example/photo.jpg");
+      assert.deepEqual(article.categories, ["indieweb"]);
+      // Notes have no name of their own
+      assert.equal(note.title, "Just a quick note & nothing more");
+      assert.equal(note.content, "Just a quick note &amp; nothing more");
+      assert.equal(note.author, "Guest");
+    });
+
+    it("reads top-level h-entries without an h-feed", async () => {
+      const { feed, items } = await client.parseFeed(
+        `<!DOCTYPE html><html><head><title>Notes</title></head><body>
+          <div class="h-entry"><p class="e-content">Hello world</p></div>
+        </body></html>`,
+        "https://jane.example/notes",
+      );
+
+      assert.equal(feed.title, "Notes");
+      assert.equal(items[0].title, "Hello world");
+      assert.equal(items[0].link, null);
+    });
+
+    it("fetches h-feed pages and leaves other pages to discovery", async () => {
+      routes.set("/h-feed", (request, response) => {
+        response.writeHead(200, { "Content-Type": "text/html" });
+        response.end(hFeed);
+      });
+      routes.set("/plain", (request, response) => {
+        response.writeHead(200, { "Content-Type": "text/html" });
+        response.end("<!DOCTYPE html><html><body><p>Hi</p></body></html>");
+      });
+
+      const { feed, items } = await client.fetchFeed(`${server.url}/h-feed`);
+      assert.equal(feed.format, "h-feed");
+      assert.equal(items.length, 2);
+
+      await assert.rejects(client.fetchFeed(`${server.url}/plain`), (error) => {
+        assert.equal(error.cause.isHtml, true);
+        return true;
+      });
+    });
+  });
+});
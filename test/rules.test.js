@@ -0,0 +1,251 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import { rulesController } from "../lib/controllers/rules.js";
+import {
+  applyRules,
+  compileRule,
+  getFeedRules,
+  validateRule,
+} from "../lib/rules.js";
+import { syncSingleFeed } from "../lib/sync.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+describe("validateRule", () => {
+  it("applies defaults", () => {
+    const { rule } = validateRule({ pattern: "sponsored", action: "drop" });
+    assert.deepEqual(rule, {
+      name: null,
+      feedId: null,
+      field: "any",
+      matchType: "contains",
+      pattern: "sponsored",
+      caseSensitive: false,
+      action: "drop",
+      tag: null,
+      enabled: true,
+    });
+  });
+
+  it("requires an action and a pattern", () => {
+    assert.match(validateRule({ pattern: "x" }).error, /^action must be/);
+    assert.match(validateRule({ action: "drop" }).error, /^pattern must be/);
+    assert.match(
+      validateRule({ action: "drop", pattern: "  " }).error,
+      /^pattern must be/,
+    );
+  });
+
+  it("rejects unknown fields, match types and invalid regexes", () => {
+    const base = { pattern: "x", action: "drop" };
+    assert.match(validateRule({ ...base, field: "body" }).error, /^field/);
+    assert.match(validateRule({ ...base, matchType: "glob" }).error, /^matchType/);
+    assert.ok(
+      validateRule({ ...base, matchType: "regex", pattern: "(" }).error,
+    );
+    assert.equal(validateRule({ ...base, feedId: "nope" }).error, "Invalid feed ID");
+  });
+
+  it("only keeps a tag for tag rules", () => {
+    assert.equal(
+      validateRule({ pattern: "x", action: "tag" }).rule.tag,
+      "highlight",
+    );
+    assert.equal(
+      validateRule({ pattern: "x", action: "hide", tag: "later" }).rule.tag,
+      null,
+    );
+  });
+
+  it("only changes given fields when updating", () => {
+    const existing = validateRule({
+      pattern: "x",
+      action: "tag",
+      tag: "later",
+    }).rule;
+    const { rule } = validateRule({ enabled: false }, existing);
+    assert.equal(rule.enabled, false);
+    assert.equal(rule.tag, "later");
+    assert.equal(rule.pattern, "x");
+  });
+});
+
+describe("compileRule", () => {
+  const item = {
+    title: "Weekly Links",
+    content: "<p>Some <b>Sponsored</b> content</p>",
+    author: "Jane",
+    link: "https://example.com/links",
+    categories: ["IndieWeb", "Links"],
+  };
+
+  it("matches case-insensitively by default", () => {
+    const rule = compileRule({ field: "content", pattern: "sponsored" });
+    assert.equal(rule.matches(item), true);
+  });
+
+  it("matches case-sensitively when asked", () => {
+    const rule = compileRule({
+      field: "title",
+      pattern: "weekly",
+      caseSensitive: true,
+    });
+    assert.equal(rule.matches(item), false);
+  });
+
+  it("matches markup-free content only", () => {
+    const rule = compileRule({ field: "content", pattern: "<b>" });
+    assert.equal(rule.matches(item), false);
+  });
+
+  it("matches any category", () => {
+    const rule = compileRule({
+      field: "category",
+      matchType: "regex",
+      pattern: "^links$",
+    });
+    assert.equal(rule.matches(item), true);
+  });
+
+  it("searches every field with any", () => {
+    assert.equal(compileRule({ field: "any", pattern: "jane" }).matches(item), true);
+    assert.equal(compileRule({ field: "any", pattern: "bob" }).matches(item), false);
+  });
+});
+
+describe("getFeedRules", () => {
+  it("keeps global rules and the feed's own", () => {
+    const feedId = new ObjectId();
+    const rules = [
+      { name: "global", feedId: null },
+      { name: "own", feedId },
+      { name: "other", feedId: new ObjectId() },
+    ];
+    assert.deepEqual(
+      getFeedRules(rules, feedId).map((rule) => rule.name),
+      ["global", "own"],
+    );
+  });
+});
+
+describe("applyRules", () => {
+  const rule = (action, pattern, tag = null) =>
+    compileRule({ _id: new ObjectId(), field: "title", pattern, action, tag });
+
+  it("leaves unmatched items alone", () => {
+    assert.deepEqual(applyRules({ title: "Hello" }, [rule("drop", "bye")]), {
+      drop: false,
+      fields: {},
+    });
+  });
+
+  it("combines the actions of every matching rule", () => {
+    const rules = [
+      rule("hide", "hello"),
+      rule("mark-read", "hello"),
+      rule("tag", "hello", "greeting"),
+      rule("tag", "hello", "greeting"),
+      rule("tag", "bye", "farewell"),
+    ];
+    const { drop, fields } = applyRules({ title: "Hello" }, rules);
+
+    assert.equal(drop, false);
+    assert.equal(fields.hidden, true);
+    assert.equal(fields.read, true);
+    assert.ok(fields.readAt);
+    assert.deepEqual(fields.tags, ["greeting"]);
+    assert.equal(fields.matchedRules.length, 4);
+  });
+
+  it("drops the item when a drop rule matches", () => {
+    assert.equal(applyRules({ title: "Ad" }, [rule("drop", "ad")]).drop, true);
+  });
+});
+
+describe("filter rules", () => {
+  let server;
+  let db;
+  let feed;
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      response.writeHead(200, { "Content-Type": "application/rss+xml" });
+      response.end(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Blog</title>
+    <item><title>Sponsored: buy now</title><guid>1</guid></item>
+    <item><title>Weekly links</title><guid>2</guid></item>
+    <item><title>Release notes</title><guid>3</guid></item>
+    <item><title>Hello</title><guid>4</guid></item>
+  </channel>
+</rss>`);
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    db = createDatabase();
+    feed = { url: `${server.url}/feed.xml`, title: "Blog", enabled: true };
+    await db.collection("rssFeeds").insertOne(feed);
+  });
+
+  const add = (body) =>
+    callController(rulesController.add, { db, method: "POST", body });
+
+  it("applies rules to new items as they are fetched", async () => {
+    await add({ pattern: "sponsored", action: "drop" });
+    await add({ pattern: "weekly", action: "hide" });
+    await add({
+      pattern: "^release",
+      matchType: "regex",
+      action: "tag",
+      tag: "releases",
+      feedId: feed._id.toString(),
+    });
+    // Another feed's rule
+    await db.collection("rssRules").insertOne({
+      ...validateRule({ pattern: "hello", action: "drop" }).rule,
+      feedId: new ObjectId(),
+    });
+
+    const result = await syncSingleFeed(db, feed._id, {});
+    const items = await db.collection("rssItems").find({}).toArray();
+    const byTitle = new Map(items.map((item) => [item.title, item]));
+
+    assert.equal(result.itemsAdded, 3);
+    assert.equal(byTitle.has("Sponsored: buy now"), false);
+    assert.equal(byTitle.get("Weekly links").hidden, true);
+    assert.deepEqual(byTitle.get("Release notes").tags, ["releases"]);
+    assert.ok(byTitle.has("Hello"));
+  });
+
+  it("rejects rules for unknown feeds", async () => {
+    const { status } = await add({
+      pattern: "x",
+      action: "hide",
+      feedId: new ObjectId().toString(),
+    });
+
+    assert.equal(status, 404);
+  });
+
+  it("previews the cached items a rule would match", async () => {
+    await syncSingleFeed(db, feed._id, {});
+    const { body } = await callController(rulesController.preview, {
+      db,
+      method: "POST",
+      body: { pattern: "re", field: "title", action: "hide" },
+    });
+
+    assert.equal(body.scanned, 4);
+    assert.equal(body.matched, 2);
+    assert.deepEqual(
+      body.items.map((item) => item.title).sort(),
+      ["Release notes", "Sponsored: buy now"],
+    );
+  });
+});
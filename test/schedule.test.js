@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  getDeclaredInterval,
+  getPostingInterval,
+  scheduleNextFetch,
+} from "../lib/schedule.js";
+
+const MINUTE = 60_000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe("getDeclaredInterval", () => {
+  it("returns null without hints", () => {
+    assert.equal(getDeclaredInterval(), null);
+    assert.equal(getDeclaredInterval({ ttl: 0, maxAge: 0 }), null);
+  });
+
+  it("converts each hint to milliseconds", () => {
+    assert.equal(getDeclaredInterval({ ttl: 30 }), 30 * MINUTE);
+    assert.equal(getDeclaredInterval({ maxAge: 600 }), 10 * MINUTE);
+    assert.equal(
+      getDeclaredInterval({ updatePeriod: "Daily", updateFrequency: 4 }),
+      6 * HOUR,
+    );
+  });
+
+  it("honours the shortest of several hints", () => {
+    assert.equal(
+      getDeclaredInterval({ ttl: 120, updatePeriod: "hourly", maxAge: 300 }),
+      5 * MINUTE,
+    );
+  });
+
+  it("ignores unknown update periods", () => {
+    assert.equal(getDeclaredInterval({ updatePeriod: "fortnightly" }), null);
+  });
+});
+
+describe("getPostingInterval", () => {
+  it("needs at least two dates", () => {
+    assert.equal(getPostingInterval([]), null);
+    assert.equal(getPostingInterval([new Date(), null]), null);
+  });
+
+  it("returns the median gap, ignoring invalid dates", () => {
+    const start = Date.UTC(2024, 0, 1);
+    const dates = [0, 1, 3, 6, 30].map((days) => new Date(start + days * DAY));
+    dates.push(new Date("not a date"), null);
+
+    assert.equal(getPostingInterval(dates), 3 * DAY);
+  });
+});
+
+describe("scheduleNextFetch", () => {
+  const options = { syncInterval: 15 * MINUTE, maxPollInterval: DAY };
+
+  it("uses a pinned poll interval as is", () => {
+    const { fetchInterval } = scheduleNextFetch(
+      { pollInterval: 2 * HOUR, postingInterval: 10 * DAY },
+      {},
+      options,
+    );
+    assert.equal(fetchInterval, 2 * HOUR);
+  });
+
+  it("polls twice per posting gap, within the configured bounds", () => {
+    assert.equal(
+      scheduleNextFetch({ postingInterval: 4 * HOUR }, {}, options).fetchInterval,
+      2 * HOUR,
+    );
+    assert.equal(
+      scheduleNextFetch({ postingInterval: MINUTE }, {}, options).fetchInterval,
+      15 * MINUTE,
+    );
+    assert.equal(
+      scheduleNextFetch({ postingInterval: 30 * DAY }, {}, options).fetchInterval,
+      DAY,
+    );
+  });
+
+  it("never polls more often than the feed declares", () => {
+    const { fetchInterval } = scheduleNextFetch(
+      { postingInterval: HOUR, declaredInterval: 6 * HOUR },
+      {},
+      options,
+    );
+    assert.equal(fetchInterval, 6 * HOUR);
+  });
+
+  it("falls back to the maximum interval for WebSub feeds", () => {
+    const { fetchInterval } = scheduleNextFetch(
+      { postingInterval: HOUR, websub: { state: "active" } },
+      {},
+      options,
+    );
+    assert.equal(fetchInterval, DAY);
+  });
+
+  it("backs off exponentially on failures", () => {
+    const feed = { postingInterval: 2 * HOUR };
+    assert.equal(
+      scheduleNextFetch(feed, { failures: 2 }, options).fetchInterval,
+      4 * HOUR,
+    );
+    // Capped at the maximum interval
+    assert.equal(
+      scheduleNextFetch(feed, { failures: 10 }, options).fetchInterval,
+      DAY,
+    );
+  });
+
+  it("waits for Retry-After when it is later", () => {
+    const retryAfter = new Date(Date.now() + 3 * DAY);
+    const { nextFetchAt } = scheduleNextFetch({}, { retryAfter }, options);
+    assert.equal(nextFetchAt, retryAfter);
+  });
+});
@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { RssClient } from "../lib/rss-client.js";
+import {
+  acquireSyncLock,
+  getSyncLock,
+  INSTANCE_ID,
+  releaseSyncLock,
+  startHeartbeat,
+} from "../lib/sync-lock.js";
+import { ingestPushedFeed, runSync } from "../lib/sync.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Blog</title>
+    <item><title>Post</title><link>https://example.com/1</link><guid>1</guid></item>
+  </channel>
+</rss>`;
+
+/**
+ * Lock document held by another instance
+ * @param {number} expiresIn - Milliseconds until the lease runs out
+ * @returns {Object}
+ */
+function otherLock(expiresIn) {
+  return {
+    _id: "sync",
+    owner: "other:1:abcd",
+    expiresAt: new Date(Date.now() + expiresIn),
+  };
+}
+
+describe("sync lock", () => {
+  let locks;
+
+  beforeEach(() => {
+    locks = createDatabase().collection("rssLocks");
+  });
+
+  it("is taken by one instance at a time", async () => {
+    await locks.insertOne(otherLock(60_000));
+
+    assert.equal(await acquireSyncLock(locks), false);
+    assert.equal((await getSyncLock(locks)).owner, "other:1:abcd");
+  });
+
+  it("takes over an expired lease", async () => {
+    await locks.insertOne(otherLock(-1000));
+
+    assert.equal(await acquireSyncLock(locks), true);
+    assert.equal((await getSyncLock(locks)).owner, INSTANCE_ID);
+  });
+
+  it("only releases a lock it holds", async () => {
+    await locks.insertOne(otherLock(60_000));
+    await releaseSyncLock(locks);
+    assert.ok(await getSyncLock(locks));
+
+    await locks.deleteMany({});
+    await acquireSyncLock(locks);
+    await releaseSyncLock(locks);
+    assert.equal(await getSyncLock(locks), null);
+  });
+
+  it("renews the lease while it is held", async () => {
+    await acquireSyncLock(locks, 60);
+    const { expiresAt } = await getSyncLock(locks);
+    const heartbeat = startHeartbeat(locks, 60);
+
+    await sleep(50);
+    heartbeat.stop();
+    assert.ok((await getSyncLock(locks)).expiresAt > expiresAt);
+    assert.equal(heartbeat.signal.aborted, false);
+  });
+
+  it("signals a lease taken over by another instance", async () => {
+    await acquireSyncLock(locks, 60);
+    const heartbeat = startHeartbeat(locks, 60);
+    await locks.updateOne(
+      { _id: "sync" },
+      { $set: { owner: "other:1:abcd" } },
+    );
+
+    await sleep(50);
+    heartbeat.stop();
+    assert.equal(heartbeat.signal.aborted, true);
+    assert.match(heartbeat.signal.reason.message, /Lost the sync lock/);
+  });
+});
+
+describe("runSync with a lost lease", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(async (request, response) => {
+      // Slow enough for a heartbeat to notice the takeover
+      await sleep(100);
+      response.writeHead(200, { "Content-Type": "application/rss+xml" });
+      response.end(FEED);
+    });
+  });
+
+  after(() => server.close());
+
+  it("starts no more feeds", async () => {
+    const db = createDatabase();
+    await db.collection("rssFeeds").insertMany([
+      { url: `${server.url}/1.xml`, title: "One", enabled: true },
+      { url: `${server.url}/2.xml`, title: "Two", enabled: true },
+    ]);
+
+    const running = runSync(
+      db,
+      { syncLockTtl: 60, maxConcurrentFetches: 1 },
+      { trigger: "manual" },
+    );
+    await sleep(20);
+    await db
+      .collection("rssLocks")
+      .updateOne({ _id: "sync" }, { $set: { owner: "other:1:abcd" } });
+    const result = await running;
+
+    assert.match(result.error, /Lost the sync lock/);
+    assert.equal(server.requests.length, 1);
+    const run = await db.collection("rssSyncRuns").findOne({});
+    assert.equal(run.status, "failed");
+    // The other instance's lock is left alone
+    const lock = await db.collection("rssLocks").findOne({ _id: "sync" });
+    assert.equal(lock.owner, "other:1:abcd");
+  });
+});
+
+describe("ingestPushedFeed", () => {
+  let db;
+  let feed;
+  const parsed = new RssClient().parseFeed(
+    FEED,
+    "https://example.com/feed.xml",
+    "application/rss+xml",
+  );
+
+  beforeEach(async () => {
+    db = createDatabase();
+    feed = {
+      url: "https://example.com/feed.xml",
+      title: "Blog",
+      enabled: true,
+      nextFetchAt: new Date(Date.now() + 3_600_000),
+    };
+    await db.collection("rssFeeds").insertOne(feed);
+  });
+
+  it("stores pushed items under the sync lock", async () => {
+    const result = await ingestPushedFeed(db, feed, await parsed, {});
+
+    assert.equal(result.deferred, false);
+    assert.equal(result.itemsAdded, 1);
+    assert.equal(await getSyncLock(db.collection("rssLocks")), null);
+  });
+
+  it("leaves a push to the next sync while the lock is held", async () => {
+    await db.collection("rssLocks").insertOne(otherLock(60_000));
+    const result = await ingestPushedFeed(db, feed, await parsed, {});
+    const stored = await db.collection("rssFeeds").findOne({ _id: feed._id });
+
+    assert.equal(result.deferred, true);
+    assert.equal(await db.collection("rssItems").countDocuments(), 0);
+    assert.equal(stored.nextFetchAt, null);
+  });
+});
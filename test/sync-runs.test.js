@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import { syncRunsController } from "../lib/controllers/sync-runs.js";
+import { describeFeedResult } from "../lib/sync-runs.js";
+import { runSync } from "../lib/sync.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+describe("describeFeedResult", () => {
+  const feed = {
+    _id: new ObjectId(),
+    title: "Blog",
+    url: "https://example.com/feed",
+  };
+
+  it("describes each outcome", () => {
+    const outcome = (result) => describeFeedResult(feed, result, 10).outcome;
+
+    assert.equal(outcome({ itemsAdded: 2 }), "fetched");
+    assert.equal(outcome({ notModified: true }), "not-modified");
+    assert.equal(outcome({ error: "HTTP 500" }), "failed");
+    assert.equal(outcome({ error: "HTTP 410", disabled: true }), "disabled");
+  });
+
+  it("reports the feed it ended up in", () => {
+    const mergedInto = new ObjectId();
+    const result = {
+      feedId: mergedInto,
+      itemsAdded: 1,
+      movedTo: "https://example.org/feed",
+    };
+
+    assert.deepEqual(describeFeedResult(feed, result, 25), {
+      feedId: mergedInto,
+      title: "Blog",
+      url: "https://example.com/feed",
+      outcome: "fetched",
+      itemsAdded: 1,
+      itemsUpdated: 0,
+      movedTo: "https://example.org/feed",
+      error: null,
+      durationMs: 25,
+    });
+  });
+});
+
+describe("sync run history", () => {
+  let server;
+  let db;
+  let runs;
+  let working;
+  let broken;
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      if (request.url === "/broken.xml") {
+        response.writeHead(500);
+        return response.end();
+      }
+      response.writeHead(200, { "Content-Type": "application/rss+xml" });
+      response.end(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Blog</title>
+    <item><title>Post</title><link>https://example.com/1</link><guid>1</guid></item>
+  </channel>
+</rss>`);
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    db = createDatabase();
+    runs = db.collection("rssSyncRuns");
+    working = { url: `${server.url}/feed.xml`, title: "Blog", enabled: true };
+    broken = {
+      url: `${server.url}/broken.xml`,
+      title: "Broken",
+      enabled: true,
+    };
+    await db.collection("rssFeeds").insertMany([working, broken]);
+  });
+
+  it("records each run with the outcome of every feed", async () => {
+    const result = await runSync(db, {}, { trigger: "manual" });
+    const run = await runs.findOne({ _id: result.runId });
+
+    assert.equal(run.trigger, "manual");
+    assert.equal(run.status, "completed");
+    assert.ok(run.finishedAt >= run.startedAt);
+    assert.equal(run.feedsProcessed, 2);
+    assert.equal(run.feedsFailed, 1);
+    assert.equal(run.itemsAdded, 1);
+    assert.deepEqual(
+      run.feeds.map(({ title, outcome }) => [title, outcome]).sort(),
+      [
+        ["Blog", "fetched"],
+        ["Broken", "failed"],
+      ],
+    );
+  });
+
+  it("leaves scheduled runs with nothing due out of the history", async () => {
+    await runSync(db, {});
+    assert.equal(await runs.countDocuments(), 1);
+
+    const idle = await runSync(db, {});
+    assert.equal(idle.runId, null);
+    assert.equal(await runs.countDocuments(), 1);
+  });
+
+  describe("GET /api/sync-runs", () => {
+    beforeEach(async () => {
+      await runSync(db, {}, { trigger: "manual" });
+      await runSync(
+        db,
+        {},
+        { trigger: "clear-resync", force: true, clearItems: true },
+      );
+    });
+
+    it("lists runs newest first, without feed outcomes", async () => {
+      const { body } = await callController(syncRunsController.list, { db });
+
+      assert.deepEqual(
+        body.runs.map((run) => run.trigger),
+        ["clear-resync", "manual"],
+      );
+      assert.equal(body.runs[0].feeds, undefined);
+      assert.equal(body.pagination.total, 2);
+    });
+
+    it("filters by trigger", async () => {
+      const { body } = await callController(syncRunsController.list, {
+        db,
+        query: { trigger: "manual" },
+      });
+
+      assert.equal(body.runs.length, 1);
+    });
+
+    it("lists a feed's outcome in each run", async () => {
+      const { body } = await callController(syncRunsController.list, {
+        db,
+        query: { feedId: broken._id.toString() },
+      });
+
+      assert.equal(body.runs.length, 2);
+      for (const run of body.runs) {
+        assert.equal(run.feeds.length, 1);
+        assert.equal(run.feeds[0].outcome, "failed");
+      }
+    });
+
+    it("gets a run with every feed's outcome", async () => {
+      const run = await runs.findOne({ trigger: "manual" });
+      const get = (id) =>
+        callController(syncRunsController.get, { db, params: { id } });
+
+      const { body } = await get(run._id.toString());
+      assert.equal(body.run.feeds.length, 2);
+      assert.equal((await get("nope")).status, 400);
+      assert.equal((await get(new ObjectId().toString())).status, 404);
+    });
+  });
+});
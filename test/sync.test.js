@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { syncSingleFeed } from "../lib/sync.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Blog</title>
+    <link>https://example.com/</link>
+    <item><title>First</title><link>https://example.com/1</link><guid>1</guid></item>
+    <item><title>Second</title><link>https://example.com/2</link><guid>2</guid></item>
+  </channel>
+</rss>`;
+
+describe("syncSingleFeed", () => {
+  let server;
+  let db;
+  let feed;
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      if (request.headers["if-none-match"] === '"v1"') {
+        response.writeHead(304);
+        return response.end();
+      }
+      response.writeHead(200, {
+        "Content-Type": "application/rss+xml",
+        ETag: '"v1"',
+        "Last-Modified": "Wed, 01 May 2024 10:00:00 GMT",
+      });
+      response.end(FEED);
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    server.requests.length = 0;
+    db = createDatabase();
+    feed = {
+      url: `${server.url}/feed.xml`,
+      title: "Blog",
+      enabled: true,
+      etag: null,
+      lastModified: null,
+      itemCount: 0,
+    };
+    await db.collection("rssFeeds").insertOne(feed);
+  });
+
+  const getFeed = () => db.collection("rssFeeds").findOne({ _id: feed._id });
+
+  it("sends the saved validators and skips an unchanged feed", async () => {
+    const first = await syncSingleFeed(db, feed._id, {});
+    assert.equal(first.itemsAdded, 2);
+    assert.equal((await getFeed()).etag, '"v1"');
+
+    const second = await syncSingleFeed(db, feed._id, {});
+    const [, request] = server.requests;
+
+    assert.equal(request.headers["if-none-match"], '"v1"');
+    assert.equal(
+      request.headers["if-modified-since"],
+      "Wed, 01 May 2024 10:00:00 GMT",
+    );
+    assert.equal(second.notModified, true);
+    assert.equal(second.itemsAdded, 0);
+    assert.equal((await getFeed()).etag, '"v1"');
+    assert.equal(await db.collection("rssItems").countDocuments(), 2);
+  });
+
+  it("keeps the old validators when an item can't be stored", async () => {
+    const itemsCollection = db.collection("rssItems");
+    const updateOne = itemsCollection.updateOne.bind(itemsCollection);
+    itemsCollection.updateOne = async (filter, ...rest) => {
+      if (filter.guid === "2") throw new Error("Disk full");
+      return updateOne(filter, ...rest);
+    };
+
+    await syncSingleFeed(db, feed._id, {});
+    const stored = await getFeed();
+    assert.equal(stored.etag, null);
+    assert.equal(stored.lastModified, null);
+    assert.equal(stored.itemCount, 1);
+
+    // The next fetch is unconditional, so the lost item comes back
+    itemsCollection.updateOne = updateOne;
+    const retry = await syncSingleFeed(db, feed._id, {});
+
+    assert.equal(server.requests[1].headers["if-none-match"], undefined);
+    assert.equal(retry.itemsAdded, 1);
+    assert.equal((await getFeed()).etag, '"v1"');
+  });
+});
+
+describe("syncSingleFeed polling schedule", () => {
+  let server;
+
+  before(async () => {
+    // Declares a 30-minute ttl; a 304 only repeats a (longer) max-age
+    server = await startServer((request, response) => {
+      if (request.headers["if-none-match"] === '"v1"') {
+        response.writeHead(304, { "Cache-Control": "max-age=7200" });
+        return response.end();
+      }
+      response.writeHead(200, {
+        "Content-Type": "application/rss+xml",
+        ETag: '"v1"',
+        "Cache-Control": "max-age=7200",
+      });
+      response.end(FEED.replace("<title>Blog</title>", "<title>Blog</title><ttl>30</ttl>"));
+    });
+  });
+
+  after(() => server.close());
+
+  it("keeps the feed's declared hints when it is not modified", async () => {
+    const db = createDatabase();
+    const feed = { url: `${server.url}/feed.xml`, enabled: true };
+    await db.collection("rssFeeds").insertOne(feed);
+    const options = { syncInterval: 60_000 };
+
+    await syncSingleFeed(db, feed._id, options);
+    const fetched = await db.collection("rssFeeds").findOne({ _id: feed._id });
+    assert.equal(fetched.declaredInterval, 30 * 60_000);
+
+    const result = await syncSingleFeed(db, feed._id, options);
+    const unchanged = await db.collection("rssFeeds").findOne({ _id: feed._id });
+    assert.equal(result.notModified, true);
+    assert.equal(unchanged.declaredInterval, 30 * 60_000);
+    assert.equal(unchanged.fetchInterval, 30 * 60_000);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getSanitizeProfile, sanitizeHtml } from "../lib/utils.js";
+
+const html = `<h2>Heading</h2>
+<p>Text with <a href="/about">a link</a> and <img src="images/photo.jpg" alt="Photo"></p>
+<figure><img src="https://cdn.example/a.png"><figcaption>Caption</figcaption></figure>
+<table><tr><td>Cell</td></tr></table>
+<video controls src="/clip.mp4"></video>
+<iframe src="https://www.youtube.com/embed/abc"></iframe>
+<iframe src="https://evil.example/embed"></iframe>
+<script>alert(1)</script>
+<p onclick="steal()"><a href="javascript:steal()">Bad link</a></p>`;
+
+const baseUrl = "https://example.com/posts/1";
+
+describe("sanitizeHtml", () => {
+  it("keeps only text formatting and links by default", () => {
+    const content = sanitizeHtml(html, { baseUrl });
+
+    assert.match(content, /<a href="https:\/\/example\.com\/about" rel="noopener nofollow">a link<\/a>/);
+    for (const dropped of ["<h2", "<img", "<figure", "<table", "<video", "<iframe"]) {
+      assert.doesNotMatch(content, new RegExp(dropped));
+    }
+  });
+
+  it("keeps headings, images, figures, tables and media with the rich profile", () => {
+    const content = sanitizeHtml(html, { profile: "rich", baseUrl });
+
+    assert.match(content, /<h2>Heading<\/h2>/);
+    assert.match(content, /<img src="https:\/\/example\.com\/posts\/images\/photo\.jpg" alt="Photo" loading="lazy" \/>/);
+    assert.match(content, /<figcaption>Caption<\/figcaption>/);
+    assert.match(content, /<td>Cell<\/td>/);
+    assert.match(content, /<video controls src="https:\/\/example\.com\/clip\.mp4">/);
+    assert.doesNotMatch(content, /<iframe/);
+  });
+
+  it("keeps iframes from allowed hosts with the embeds profile", () => {
+    const content = sanitizeHtml(html, { profile: "embeds", baseUrl });
+
+    assert.match(content, /<iframe src="https:\/\/www\.youtube\.com\/embed\/abc" loading="lazy">/);
+    // Frames from other hosts are dropped, not left empty
+    assert.equal(content.match(/<iframe/g).length, 1);
+    assert.doesNotMatch(
+      sanitizeHtml(html, { profile: "embeds", embedHosts: ["player.vimeo.com"] }),
+      /<iframe/,
+    );
+  });
+
+  it("drops scripts, event handlers and javascript: links in every profile", () => {
+    for (const profile of ["text", "rich", "embeds"]) {
+      const content = sanitizeHtml(html, { profile, baseUrl });
+
+      assert.doesNotMatch(content, /alert|onclick|javascript:/);
+      assert.match(content, /Bad link/);
+    }
+  });
+
+  it("overrides the rel of links", () => {
+    assert.equal(
+      sanitizeHtml('<a href="https://example.org/" rel="me">Me</a>'),
+      '<a href="https://example.org/" rel="noopener nofollow">Me</a>',
+    );
+  });
+});
+
+describe("getSanitizeProfile", () => {
+  it("picks the first valid profile", () => {
+    assert.equal(getSanitizeProfile(null, "rich", "text"), "rich");
+    assert.equal(getSanitizeProfile("embeds", "rich", "text"), "embeds");
+    assert.equal(getSanitizeProfile(undefined, "bogus", undefined), "text");
+  });
+});
@@ -0,0 +1,260 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { ObjectId } from "mongodb";
+import {
+  attemptDelivery,
+  matchesWebhook,
+  processWebhookDeliveries,
+  queueItemDeliveries,
+  signPayload,
+  validateWebhook,
+} from "../lib/webhooks.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+const MINUTE = 60_000;
+
+/**
+ * Deliveries collection that records the update attemptDelivery() makes
+ */
+function createDeliveries() {
+  return {
+    updates: [],
+    async findOneAndUpdate(filter, update) {
+      this.updates.push(update);
+      return { _id: filter._id, ...update.$set };
+    },
+  };
+}
+
+describe("attemptDelivery", () => {
+  let server;
+  let requests = [];
+
+  before(async () => {
+    // Answers with the status given in the path, e.g. /503
+    server = await startServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        requests.push({ headers: request.headers, body });
+        response.writeHead(Number(request.url.slice(1)) || 200);
+        response.end();
+      });
+    });
+  });
+
+  after(() => server.close());
+
+  const send = async (status, delivery = {}, options = {}) => {
+    requests = [];
+    const deliveries = createDeliveries();
+    const webhook = { url: `${server.url}/${status}`, secret: "s3cret" };
+    const result = await attemptDelivery(
+      deliveries,
+      webhook,
+      {
+        _id: new ObjectId(),
+        event: "item.added",
+        createdAt: new Date(),
+        payload: { title: "Hello" },
+        attempts: 0,
+        ...delivery,
+      },
+      options,
+    );
+    return { result, update: deliveries.updates[0] };
+  };
+
+  it("marks a successful delivery as delivered", async () => {
+    const { result, update } = await send(204);
+
+    assert.equal(result.state, "delivered");
+    assert.equal(result.attempts, 1);
+    assert.equal(result.nextAttemptAt, null);
+    assert.ok(result.deliveredAt instanceof Date);
+    assert.equal(update.$push.history.$each[0].status, 204);
+  });
+
+  it("signs the body with the webhook secret", async () => {
+    await send(200);
+    const [{ headers, body }] = requests;
+
+    assert.equal(headers["x-webhook-event"], "item.added");
+    assert.equal(headers["x-webhook-signature"], signPayload("s3cret", body));
+    assert.deepEqual(JSON.parse(body).item, { title: "Hello" });
+  });
+
+  it("retries server errors with exponential backoff", async () => {
+    for (const [attempts, delay] of [
+      [0, MINUTE],
+      [1, 2 * MINUTE],
+      [3, 8 * MINUTE],
+    ]) {
+      const started = Date.now();
+      const { result } = await send(503, { attempts });
+
+      assert.equal(result.state, "pending");
+      assert.equal(result.attempts, attempts + 1);
+      assert.equal(result.lastError, "HTTP 503");
+      const wait = result.nextAttemptAt.getTime() - started;
+      assert.ok(wait >= delay && wait < delay + 5000, `waits ${wait}ms`);
+    }
+  });
+
+  it("retries 429 but fails other client errors at once", async () => {
+    assert.equal((await send(429)).result.state, "pending");
+    assert.equal((await send(404)).result.state, "failed");
+  });
+
+  it("gives up after webhookMaxAttempts", async () => {
+    const { result } = await send(500, { attempts: 2 }, { webhookMaxAttempts: 3 });
+    assert.equal(result.state, "failed");
+    assert.equal(result.nextAttemptAt, null);
+  });
+
+  it("does not retry test deliveries", async () => {
+    assert.equal((await send(503, { test: true })).result.state, "failed");
+  });
+
+  it("retries unreachable targets", async () => {
+    const deliveries = createDeliveries();
+    const result = await attemptDelivery(
+      deliveries,
+      { url: "http://127.0.0.1:1/", secret: "s3cret" },
+      {
+        _id: new ObjectId(),
+        event: "item.added",
+        createdAt: new Date(),
+        payload: {},
+        attempts: 0,
+      },
+      {},
+    );
+
+    assert.equal(result.state, "pending");
+    assert.equal(result.lastStatus, null);
+    assert.ok(result.lastError);
+  });
+});
+
+describe("validateWebhook", () => {
+  it("requires a URL and generates a secret", () => {
+    assert.match(validateWebhook({}).error, /url/);
+
+    const { webhook } = validateWebhook({ url: "https://example.org/hook" });
+    assert.equal(webhook.url, "https://example.org/hook");
+    assert.equal(webhook.secret.length, 48);
+  });
+
+  it("rejects invalid filters", () => {
+    const url = "https://example.org/hook";
+
+    assert.equal(
+      validateWebhook({ url, feedId: "nope" }).error,
+      "Invalid feed ID",
+    );
+    assert.match(validateWebhook({ url, keyword: 42 }).error, /keyword/);
+  });
+});
+
+describe("matchesWebhook", () => {
+  const feed = { _id: new ObjectId(), categories: ["Tech"] };
+  const item = { title: "Release notes", content: "<p>Version 2</p>" };
+
+  it("filters by feed, category and keyword", () => {
+    assert.equal(matchesWebhook({}, item, feed), true);
+    assert.equal(matchesWebhook({ feedId: feed._id }, item, feed), true);
+    assert.equal(matchesWebhook({ feedId: new ObjectId() }, item, feed), false);
+    assert.equal(matchesWebhook({ category: "Tech" }, item, feed), true);
+    assert.equal(matchesWebhook({ category: "News" }, item, feed), false);
+    assert.equal(matchesWebhook({ keyword: "version 2" }, item, feed), true);
+    assert.equal(matchesWebhook({ keyword: "version 3" }, item, feed), false);
+  });
+});
+
+describe("processWebhookDeliveries", () => {
+  let server;
+  let received;
+  let db;
+  let deliveries;
+
+  before(async () => {
+    server = await startServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        received.push(JSON.parse(body));
+        response.writeHead(request.url === "/broken" ? 500 : 200);
+        response.end();
+      });
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    received = [];
+    db = createDatabase();
+    deliveries = db.collection("rssWebhookDeliveries");
+  });
+
+  /**
+   * Store a webhook
+   * @param {Object} fields - Webhook fields
+   * @returns {Promise<Object>}
+   */
+  async function addWebhook(fields) {
+    const webhook = { secret: "s3cret", enabled: true, ...fields };
+    await db.collection("rssWebhooks").insertOne(webhook);
+    return webhook;
+  }
+
+  it("queues a new item for each matching webhook and sends it", async () => {
+    const feed = { _id: new ObjectId(), categories: [] };
+    const webhooks = [
+      await addWebhook({ url: `${server.url}/all` }),
+      await addWebhook({ url: `${server.url}/other`, keyword: "elsewhere" }),
+    ];
+
+    const queued = await queueItemDeliveries(
+      deliveries,
+      webhooks,
+      { title: "Hello" },
+      { title: "Hello" },
+      feed,
+    );
+    const attempted = await processWebhookDeliveries(db, {});
+
+    assert.equal(queued, 1);
+    assert.equal(attempted, 1);
+    assert.deepEqual(received[0].item, { title: "Hello" });
+    const [delivery] = await deliveries.find({}).toArray();
+    assert.equal(delivery.state, "delivered");
+  });
+
+  it("leaves failed deliveries for a later retry", async () => {
+    const webhook = await addWebhook({ url: `${server.url}/broken` });
+    await queueItemDeliveries(deliveries, [webhook], {}, {}, { _id: 1 });
+
+    assert.equal(await processWebhookDeliveries(db, {}), 1);
+    // Not due again yet
+    assert.equal(await processWebhookDeliveries(db, {}), 0);
+    const [delivery] = await deliveries.find({}).toArray();
+    assert.equal(delivery.state, "pending");
+    assert.equal(delivery.history.length, 1);
+  });
+
+  it("fails deliveries to disabled webhooks without sending", async () => {
+    const webhook = await addWebhook({ url: `${server.url}/all` });
+    await queueItemDeliveries(deliveries, [webhook], {}, {}, { _id: 1 });
+    await db
+      .collection("rssWebhooks")
+      .updateOne({ _id: webhook._id }, { $set: { enabled: false } });
+
+    assert.equal(await processWebhookDeliveries(db, {}), 0);
+    assert.equal(received.length, 0);
+    const [delivery] = await deliveries.find({}).toArray();
+    assert.equal(delivery.state, "failed");
+  });
+});
@@ -0,0 +1,252 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { websubController } from "../lib/controllers/websub.js";
+import { RssClient } from "../lib/rss-client.js";
+import { maintainWebSub, verifySignature } from "../lib/websub.js";
+import { callController } from "./helpers/controller.js";
+import { createDatabase } from "./helpers/database.js";
+import { startServer } from "./helpers/server.js";
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Blog</title>
+    <atom:link rel="hub" href="https://hub.example/"/>
+    <atom:link rel="self" href="/feed.xml"/>
+    <item><title>Pushed</title><link>https://example.com/1</link><guid>1</guid></item>
+  </channel>
+</rss>`;
+
+/**
+ * Sign a body as a hub would
+ * @param {string} body - Request body
+ * @param {string} secret - Subscription secret
+ * @param {string} [algorithm] - HMAC algorithm
+ * @returns {string} X-Hub-Signature header
+ */
+function sign(body, secret, algorithm = "sha256") {
+  const digest = createHmac(algorithm, secret).update(body).digest("hex");
+  return `${algorithm}=${digest}`;
+}
+
+describe("verifySignature", () => {
+  const body = Buffer.from("<rss/>");
+
+  it("accepts bodies signed with the secret", () => {
+    assert.equal(verifySignature(sign(body, "s3cret"), "s3cret", body), true);
+    assert.equal(
+      verifySignature(sign(body, "s3cret", "sha1"), "s3cret", body),
+      true,
+    );
+  });
+
+  it("rejects anything else", () => {
+    assert.equal(verifySignature(sign(body, "other"), "s3cret", body), false);
+    assert.equal(verifySignature(undefined, "s3cret", body), false);
+    assert.equal(verifySignature("md5=abcd", "s3cret", body), false);
+    assert.equal(verifySignature("sha256=zz", "s3cret", body), false);
+  });
+});
+
+describe("RssClient hub discovery", () => {
+  const client = new RssClient();
+
+  it("finds the hub and self links of RSS and Atom feeds", async () => {
+    const { feed } = await client.parseFeed(
+      RSS,
+      "https://example.com/rss",
+      "application/rss+xml",
+    );
+
+    assert.deepEqual(feed.hubs, ["https://hub.example/"]);
+    assert.equal(feed.selfUrl, "https://example.com/feed.xml");
+  });
+
+  it("reads the hubs of a JSON Feed", async () => {
+    const { feed } = await client.parseFeed(
+      JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: "Blog",
+        feed_url: "https://example.com/feed.json",
+        hubs: [{ type: "WebSub", url: "https://hub.example/" }],
+        items: [],
+      }),
+      "https://example.com/feed.json",
+      "application/feed+json",
+    );
+
+    assert.deepEqual(feed.hubs, ["https://hub.example/"]);
+    assert.equal(feed.selfUrl, "https://example.com/feed.json");
+  });
+});
+
+describe("WebSub subscriptions", () => {
+  let hub;
+  let hubRequests;
+  let db;
+  let feeds;
+  let feed;
+
+  const options = { publicUrl: "https://example.org/", mountPath: "/rss" };
+
+  before(async () => {
+    hub = await startServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        hubRequests.push(Object.fromEntries(new URLSearchParams(body)));
+        response.writeHead(202);
+        response.end();
+      });
+    });
+  });
+
+  after(() => hub.close());
+
+  beforeEach(async () => {
+    hubRequests = [];
+    db = createDatabase();
+    feeds = db.collection("rssFeeds");
+    feed = {
+      url: "https://example.com/rss",
+      selfUrl: "https://example.com/feed.xml",
+      hubs: [`${hub.url}/`],
+      enabled: true,
+    };
+    await feeds.insertOne(feed);
+  });
+
+  const getFeed = () => feeds.findOne({ _id: feed._id });
+  const verify = (query) =>
+    callController(websubController.verify, {
+      db,
+      params: { id: feed._id.toString() },
+      query,
+    });
+
+  it("subscribes to the hub a feed advertises", async () => {
+    assert.equal(await maintainWebSub(db, options), 1);
+    const { websub } = await getFeed();
+
+    assert.equal(hubRequests[0]["hub.mode"], "subscribe");
+    assert.equal(hubRequests[0]["hub.topic"], "https://example.com/feed.xml");
+    assert.equal(
+      hubRequests[0]["hub.callback"],
+      `https://example.org/rss/websub/${feed._id}`,
+    );
+    assert.equal(hubRequests[0]["hub.secret"], websub.secret);
+    assert.equal(websub.state, "pending");
+  });
+
+  it("is left alone without a public URL", async () => {
+    assert.equal(await maintainWebSub(db, { mountPath: "/rss" }), 0);
+    assert.equal(hubRequests.length, 0);
+  });
+
+  it("answers the hub's verification and renews the lease", async () => {
+    await maintainWebSub(db, options);
+    const { status, body } = await verify({
+      "hub.mode": "subscribe",
+      "hub.topic": "https://example.com/feed.xml",
+      "hub.challenge": "abc123",
+      "hub.lease_seconds": "3600",
+    });
+    const { websub } = await getFeed();
+
+    assert.equal(status, 200);
+    assert.equal(body, "abc123");
+    assert.equal(websub.state, "active");
+    assert.equal(websub.leaseSeconds, 3600);
+
+    // The lease ends within a day, so it is renewed with the same secret
+    assert.equal(await maintainWebSub(db, options), 1);
+    assert.equal(hubRequests[1]["hub.secret"], websub.secret);
+    assert.equal((await getFeed()).websub.state, "active");
+  });
+
+  it("refuses to verify subscriptions it didn't ask for", async () => {
+    await maintainWebSub(db, options);
+    const { status } = await verify({
+      "hub.mode": "subscribe",
+      "hub.topic": "https://example.com/other.xml",
+      "hub.challenge": "abc123",
+    });
+
+    assert.equal(status, 404);
+    assert.equal((await getFeed()).websub.state, "pending");
+  });
+
+  it("records a denied subscription and stops asking", async () => {
+    await maintainWebSub(db, options);
+    await verify({
+      "hub.mode": "denied",
+      "hub.topic": "https://example.com/feed.xml",
+      "hub.reason": "Not allowed",
+    });
+    const { websub } = await getFeed();
+
+    assert.equal(websub.state, "denied");
+    assert.equal(websub.error, "Not allowed");
+    assert.equal(await maintainWebSub(db, options), 0);
+  });
+
+  it("unsubscribes disabled feeds", async () => {
+    await maintainWebSub(db, options);
+    await feeds.updateOne(
+      { _id: feed._id },
+      { $set: { enabled: false, "websub.state": "active" } },
+    );
+
+    await maintainWebSub(db, options);
+    assert.equal(hubRequests[1]["hub.mode"], "unsubscribe");
+    const { status, body } = await verify({
+      "hub.mode": "unsubscribe",
+      "hub.topic": "https://example.com/feed.xml",
+      "hub.challenge": "bye",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body, "bye");
+    assert.equal((await getFeed()).websub.state, "unsubscribed");
+  });
+
+  describe("pushed content", () => {
+    const secret = "s3cret";
+
+    beforeEach(async () => {
+      await feeds.updateOne(
+        { _id: feed._id },
+        { $set: { title: "Blog", websub: { state: "active", secret } } },
+      );
+    });
+
+    const push = (body, signature) =>
+      callController(websubController.receive, {
+        db,
+        method: "POST",
+        params: { id: feed._id.toString() },
+        body: Buffer.from(body),
+        headers: {
+          "content-type": "application/rss+xml",
+          "x-hub-signature": signature,
+        },
+      });
+
+    it("stores signed content", async () => {
+      const { status } = await push(RSS, sign(RSS, secret));
+      const item = await db.collection("rssItems").findOne({});
+
+      assert.equal(status, 200);
+      assert.equal(item.title, "Pushed");
+      assert.ok((await getFeed()).websub.lastPushAt);
+    });
+
+    it("acknowledges but ignores content with a bad signature", async () => {
+      const { status } = await push(RSS, sign(RSS, "guessed"));
+
+      assert.equal(status, 202);
+      assert.equal(await db.collection("rssItems").countDocuments(), 0);
+    });
+  });
+});